@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+const { run } = require('../src/cli')
+
+run(process.argv.slice(2)).catch(err => {
+  console.error(err.message)
+  process.exit(1)
+})
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+const Web3 = require('web3')
+
+const { Keeper, ValidatorClient } = require('..')
+
+// Settings are read from the environment:
+// - RPC_URL: The URL of the Ethereum node. Defaults to http://localhost:8545.
+// - VALIDATOR_ADDRESS: The address of the Validator contract.
+// - KEEPER_PRIVATE_KEY: The key of the sender. The first unlocked account of the node is used if omitted.
+// - FROM_BLOCK: The block from which to replay events. Defaults to 0.
+// - GAS_LIMIT: Gas limit of each transaction. Estimated if omitted.
+// - MAX_GAS_PRICE: Maximum gas price in wei.
+// - POLL_INTERVAL: Time between polls in seconds. Defaults to 60.
+// - DRY_RUN: Set to `true` to log transactions instead of sending them.
+const main = async () => {
+  const { env } = process
+  if (!env.VALIDATOR_ADDRESS)
+    throw new Error('The VALIDATOR_ADDRESS environment variable is required.')
+
+  const web3 = new Web3(env.RPC_URL || 'http://localhost:8545')
+  let from
+  if (env.KEEPER_PRIVATE_KEY)
+    from = web3.eth.accounts.wallet.add(env.KEEPER_PRIVATE_KEY).address
+  else [from] = await web3.eth.getAccounts()
+
+  const client = new ValidatorClient(web3, env.VALIDATOR_ADDRESS, { from })
+  const keeper = new Keeper(client, {
+    dryRun: env.DRY_RUN === 'true',
+    fromBlock: Number(env.FROM_BLOCK || 0),
+    gasLimit: env.GAS_LIMIT ? Number(env.GAS_LIMIT) : undefined,
+    maxGasPrice: env.MAX_GAS_PRICE
+  })
+
+  keeper.start(Number(env.POLL_INTERVAL || 60) * 1000)
+  process.on('SIGINT', () => keeper.stop())
+}
+
+main().catch(err => {
+  console.error(err)
+  process.exit(1)
+})
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+const Web3 = require('web3')
+
+const { Relayer } = require('..')
+
+// Settings are read from the environment:
+// - RPC_URL: The URL of the Ethereum node. Defaults to http://localhost:8545.
+// - FORWARDER_ADDRESS: The address of the ValidatorForwarder contract.
+// - RELAYER_PRIVATE_KEY: The key of the sender, which pays the gas. The first unlocked account of the node is used if omitted.
+// - PORT: The port to listen on. Defaults to 8546.
+// - MAX_VALUE: Maximum amount of wei sent along a request, e.g. for a provider bond. Defaults to 0.
+// - MAX_GAS: Maximum gas a request can ask for. Defaults to 1000000.
+const main = async () => {
+  const { env } = process
+  if (!env.FORWARDER_ADDRESS)
+    throw new Error('The FORWARDER_ADDRESS environment variable is required.')
+
+  const web3 = new Web3(env.RPC_URL || 'http://localhost:8545')
+  let from
+  if (env.RELAYER_PRIVATE_KEY)
+    from = web3.eth.accounts.wallet.add(env.RELAYER_PRIVATE_KEY).address
+  else [from] = await web3.eth.getAccounts()
+
+  const relayer = new Relayer(web3, env.FORWARDER_ADDRESS, {
+    from,
+    maxGas: env.MAX_GAS ? Number(env.MAX_GAS) : undefined,
+    maxValue: env.MAX_VALUE
+  })
+  const server = relayer.createServer()
+  const port = Number(env.PORT || 8546)
+  server.listen(port, () =>
+    console.info(`Relaying requests posted to port ${port} from ${from}.`)
+  )
+  process.on('SIGINT', () => server.close())
+}
+
+main().catch(err => {
+  console.error(err)
+  process.exit(1)
+})
@@ -0,0 +1,109 @@
+/**
+ *  @authors: [@unknownunknown1]
+ *  @reviewers: []
+ *  @auditors: []
+ *  @bounties: []
+ *  @deployments: []
+ */
+
+pragma solidity ^0.5.13;
+
+/* solium-disable max-len*/
+import { CappedMath } from "@kleros/ethereum-libraries/contracts/CappedMath.sol";
+
+/** @title Crowdfunding
+ *  Bookkeeping of the rounds of a report, whose deposits and appeal fees are crowdfunded by the contributors of each side, and of the rewards of the contributors.
+ *  It is a linked library so its code is deployed once, out of the bytecode of the Validators.
+ *  Sides are the values of the Party enum of the Validator: 1 for the supporter and 2 for the challenger. The ruling is the party that won the dispute, 0 if there is none.
+ */
+library Crowdfunding {
+
+    using CappedMath for uint;
+
+    uint constant SUPPORTER = 1; // Party.Supporter.
+    uint constant CHALLENGER = 2; // Party.Challenger.
+
+    /* Structs */
+
+    // Some arrays below have 3 elements to map with the Party enums for better readability:
+    // - 0: is unused, matches `Party.None`.
+    // - 1: for `Party.Supporter`.
+    // - 2: for `Party.Challenger`.
+    struct Round {
+        uint256[3] paidFees; // Tracks the fees paid by each side in this round.
+        bool[3] hasPaid; // True when the side has fully paid its fee. False otherwise.
+        uint256 feeRewards; // Sum of reimbursable fees and stake rewards available to the parties that made contributions to the side that ultimately wins a dispute.
+        mapping(address => uint[3]) contributions; // Maps contributors to their contributions for each side.
+    }
+
+    /* Public */
+
+    /** @dev Make a fee contribution, taking up to the amount the side still needs. Mark the side as fully funded once the total amount required is paid.
+     *  @param _round The round to contribute to.
+     *  @param _side The side for which to contribute.
+     *  @param _contributor The contributor.
+     *  @param _amount The amount made available.
+     *  @param _totalRequired The total amount required for this side.
+     *  @return contribution The amount taken.
+     *  @return remainder The amount made available but not taken.
+     */
+    function contribute(Round storage _round, uint _side, address _contributor, uint _amount, uint _totalRequired) public returns(uint contribution, uint remainder) {
+        uint required = _totalRequired.subCap(_round.paidFees[_side]);
+        if (required > _amount)
+            contribution = _amount; // Take whatever is available, leave nothing.
+        else
+            (contribution, remainder) = (required, _amount - required);
+        _round.contributions[_contributor][_side] += contribution;
+        _round.paidFees[_side] += contribution;
+        _round.feeRewards += contribution;
+
+        if (_round.paidFees[_side] >= _totalRequired)
+            _round.hasPaid[_side] = true;
+    }
+
+    /** @dev Clear the contributions of a beneficiary to a round of a resolved report.
+     *  @param _round The round.
+     *  @param _ruling The party that won the dispute of the report.
+     *  @param _beneficiary The address that made contributions.
+     *  @return The amount to pay to the beneficiary.
+     */
+    function withdraw(Round storage _round, uint _ruling, address _beneficiary) public returns(uint reward) {
+        reward = calculateReward(_round.paidFees, _round.hasPaid, _round.feeRewards, _round.contributions[_beneficiary], _ruling);
+        _round.contributions[_beneficiary][SUPPORTER] = 0;
+        _round.contributions[_beneficiary][CHALLENGER] = 0;
+    }
+
+    /* Internal */
+
+    /** @dev Compute the fees and rewards of a beneficiary in a round of a resolved report. Internal so the ValidatorView can compute them from the getters of the Validator.
+     *  Reimburse contributions if no disputes were raised. If a dispute was raised, send the fee stake rewards and reimbursements proportionally to the contributions made to the winner of a dispute.
+     *  @param _paidFees The fees paid by each side in the round.
+     *  @param _hasPaid Whether each side fully paid its fees.
+     *  @param _feeRewards The fees and rewards available to the contributors of the round.
+     *  @param _contributions The contributions of the beneficiary to each side.
+     *  @param _ruling The party that won the dispute of the report.
+     *  @return The amount the beneficiary can withdraw.
+     */
+    function calculateReward(uint[3] memory _paidFees, bool[3] memory _hasPaid, uint _feeRewards, uint[3] memory _contributions, uint _ruling) internal pure returns(uint reward) {
+        if (!_hasPaid[SUPPORTER] || !_hasPaid[CHALLENGER]) {
+            // Reimburse if not enough fees were raised to appeal the ruling.
+            reward = _contributions[SUPPORTER] + _contributions[CHALLENGER];
+        } else if (_ruling == 0) {
+            // Reimburse unspent fees proportionally if there is no winner or loser.
+            uint totalPaid = _paidFees[SUPPORTER] + _paidFees[CHALLENGER];
+            uint rewardSupporter = _paidFees[SUPPORTER] > 0
+                ? (_contributions[SUPPORTER] * _feeRewards) / totalPaid
+                : 0;
+            uint rewardChallenger = _paidFees[CHALLENGER] > 0
+                ? (_contributions[CHALLENGER] * _feeRewards) / totalPaid
+                : 0;
+
+            reward = rewardSupporter + rewardChallenger;
+        } else {
+            // Reward the winner.
+            reward = _paidFees[_ruling] > 0
+                ? (_contributions[_ruling] * _feeRewards) / _paidFees[_ruling]
+                : 0;
+        }
+    }
+}
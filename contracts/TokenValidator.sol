@@ -0,0 +1,154 @@
+/**
+ *  @authors: [@unknownunknown1]
+ *  @reviewers: []
+ *  @auditors: []
+ *  @bounties: []
+ *  @deployments: []
+ */
+
+pragma solidity ^0.5.13;
+
+/* solium-disable max-len*/
+import { IArbitrator } from "@kleros/erc-792/contracts/IArbitrator.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { Validator } from "./Validator.sol";
+
+/** @title TokenValidator
+ *  Validator whose deposits and appeal fees are paid in an ERC20 token, e.g. the payment token of the IDAs.
+ *  The arbitrator is still paid in ETH, out of a pool funded by the governor. The share of the contributions that covers arbitration fees is converted into tokens at a rate set by the governor, and the governor can withdraw it to compensate the pool.
+ *  Contributors approve the Validator to transfer their tokens. A contribution takes up to the allowance of the contributor, so approving the exact amount caps it.
+ *  A token payout that fails, e.g. because the token blocks the recipient, is credited to the recipient, who can withdraw it in tokens with withdrawCredit.
+ *  NOTE: This contract trusts that the token reverts or returns false on failed transfers.
+ */
+contract TokenValidator is Validator {
+
+    /* Storage */
+
+    IERC20 public token; // The token in which deposits and appeal fees are paid.
+    uint public arbitrationCostRate; // The amount of token base units charged per wei of arbitration cost, multiplied by RATE_DIVISOR.
+    uint public constant RATE_DIVISOR = 10000; // Divisor parameter for the rate.
+    uint public collectedFees; // The amount of tokens that covered arbitration fees and was not yet withdrawn by the governor.
+
+    /** @dev Constructor.
+     *  @param _token The token in which deposits and appeal fees are paid.
+     *  @param _arbitrationCostRate The amount of token base units charged per wei of arbitration cost, multiplied by RATE_DIVISOR.
+     *  @param _arbitrator The arbitrator of the contract.
+     *  @param _arbitratorExtraData Extra data for the arbitrator.
+     *  @param _metaEvidence The URI of the meta evidence object.
+     *  @param _executionTimeout Time in seconds during which it is possible to challenge or confirm the report.
+     *  @param _baseDeposit The deposit that must be paid by challenger or supporter, in tokens.
+     *  @param _sharedStakeMultiplier Multiplier of the arbitration cost that each party has to pay as fee stake for a round when there is no winner/loser in the previous round (e.g. when it's the first round or the arbitrator refused to arbitrate). In basis points.
+     *  @param _winnerStakeMultiplier Multiplier of the arbitration cost that the winner has to pay as fee stake for a round in basis points.
+     *  @param _loserStakeMultiplier Multiplier of the arbitration cost that the loser has to pay as fee stake for a round in basis points.
+     */
+    constructor(
+        IERC20 _token,
+        uint _arbitrationCostRate,
+        IArbitrator  _arbitrator,
+        bytes memory _arbitratorExtraData,
+        string memory _metaEvidence,
+        uint _executionTimeout,
+        uint _baseDeposit,
+        uint _sharedStakeMultiplier,
+        uint _winnerStakeMultiplier,
+        uint _loserStakeMultiplier
+    ) public Validator(
+        _arbitrator,
+        _arbitratorExtraData,
+        _metaEvidence,
+        _executionTimeout,
+        _baseDeposit,
+        _sharedStakeMultiplier,
+        _winnerStakeMultiplier,
+        _loserStakeMultiplier
+    ) {
+        token = _token;
+        arbitrationCostRate = _arbitrationCostRate;
+    }
+
+    /* External and Public */
+
+    // ************************ //
+    // *      Governance      * //
+    // ************************ //
+
+    /** @dev Change the rate at which arbitration costs are converted into tokens.
+     *  @param _arbitrationCostRate The amount of token base units charged per wei of arbitration cost, multiplied by RATE_DIVISOR.
+     */
+    function changeArbitrationCostRate(uint _arbitrationCostRate) external onlyGovernance {
+        arbitrationCostRate = _arbitrationCostRate;
+    }
+
+    /** @dev Add ETH to the pool that pays the arbitrator.
+     */
+    function fundArbitrationPool() external payable onlyGovernor {}
+
+    /** @dev Send ETH from the pool that pays the arbitrator to the governor. Queued like the other governance changes, so the pool cannot be emptied before disputes are created.
+     *  @param _amount The amount of wei to withdraw.
+     */
+    function withdrawArbitrationPool(uint _amount) external onlyGovernance {
+        address(uint160(governor)).transfer(_amount);
+    }
+
+    /** @dev Send the tokens that covered arbitration fees to the governor, in exchange for the ETH the pool paid. Queued like the other governance changes.
+     */
+    function withdrawCollectedFees() external onlyGovernance {
+        uint amount = collectedFees;
+        collectedFees = 0;
+        pay(address(uint160(governor)), amount);
+    }
+
+    /* Internal */
+
+    /** @dev Convert an amount of ETH owed to the arbitrator into tokens.
+     *  @param _cost The arbitration or appeal cost in wei.
+     *  @return The amount of tokens the parties must contribute to cover the cost.
+     */
+    function depositAmount(uint _cost) internal view returns(uint) {
+        return _cost.mulCap(arbitrationCostRate) / RATE_DIVISOR;
+    }
+
+    /** @dev Get the amount of tokens the caller, or the signer of a relayed call, makes available for a contribution.
+     *  @return The allowance of the caller, up to its balance.
+     */
+    function availableFunds() internal returns(uint) {
+        require(msg.value == 0, "Deposits must be paid in tokens.");
+        address sender = msgSender();
+        uint allowance = token.allowance(sender, address(this));
+        uint balance = token.balanceOf(sender);
+        return allowance < balance ? allowance : balance;
+    }
+
+    /** @dev Get the address that pays the provider bond of a report. The tokens are taken from the allowance of the caller, or of the signer of a relayed call, rather than from the relayer.
+     *  @return The payer of the bond.
+     */
+    function bondPayer() internal view returns(address payable) {
+        return msgSender();
+    }
+
+    /** @dev Transfer the tokens of a contribution. The remainder is never transferred, so there is nothing to reimburse.
+     *  @param _contributor The contributor.
+     *  @param _contribution The amount taken.
+     */
+    function settleContribution(address payable _contributor, uint _contribution, uint) internal {
+        if (_contribution > 0)
+            require(token.transferFrom(_contributor, address(this), _contribution), "The token transfer failed.");
+    }
+
+    /** @dev Set aside the tokens that covered an arbitration fee for the governor.
+     *  @param _amount The amount of tokens that covered the fee.
+     */
+    function arbitrationFeePaid(uint _amount) internal {
+        collectedFees += _amount;
+    }
+
+    /** @dev Transfer tokens without reverting, so failed payouts are credited like ETH ones. The gas is not limited, since the transfer runs in the token.
+     *  @param _recipient The recipient of the transfer.
+     *  @param _amount The amount of tokens to transfer.
+     *  @return Whether the transfer succeeded.
+     */
+    function transferFunds(address payable _recipient, uint _amount, bool) internal returns(bool) {
+        (bool success, bytes memory data) = address(token).call(abi.encodeWithSelector(token.transfer.selector, _recipient, _amount));
+        return success && (data.length == 0 || abi.decode(data, (bool)));
+    }
+}
@@ -13,6 +13,18 @@ pragma solidity ^0.5.13;
 import { IArbitrable, IArbitrator } from "@kleros/erc-792/contracts/IArbitrator.sol";
 import { IEvidence } from "@kleros/erc-792/contracts/erc-1497/IEvidence.sol";
 import { CappedMath } from "@kleros/ethereum-libraries/contracts/CappedMath.sol";
+import { Crowdfunding } from "./Crowdfunding.sol";
+
+interface ClaimsRegistryInterface {
+
+    /** @dev Get the value of a claim.
+     *  @param _issuer The issuer of the claim.
+     *  @param _subject The subject of the claim.
+     *  @param _key The key of the claim.
+     *  @return The value of the claim. 0 if there is no claim.
+     */
+    function getClaim(address _issuer, address _subject, bytes32 _key) external view returns(bytes32);
+}
 
 interface IdaInterface {
 
@@ -23,8 +35,9 @@ interface IdaInterface {
 
     /** @dev Validate the fullfilled promise.
      *  @param  _key The ID of the promise.
+     *  @param  _outcome The fulfilment of the promise in percent. Determines the share of the promise price to unlock.
      */
-    function validatePromise(bytes32 _key) external;
+    function validatePromise(bytes32 _key, uint _outcome) external;
 
     /** @dev Reject the unfullfilled promise.
      *  @param  _key The ID of the promise.
@@ -36,42 +49,77 @@ interface IdaInterface {
      */
     function registerReport(bytes32 _key) external;
 
+    /** @dev Notify IDA that the report for a specific promise has been retracted by the service provider.
+     *  @param  _key The ID of the promise the report was made to.
+     */
+    function cancelReport(bytes32 _key) external;
+
     /** @dev Get the time when IDA ends.
      */
     function endTime() external returns(uint);
+
+    /** @dev Get the registry of the claims the service provider must issue on the promises to report them.
+     *  @return The claims registry.
+     */
+    function claimsRegistry() external view returns(ClaimsRegistryInterface);
+
+    /** @dev Get the price of a single promise, which is the value the claims must have.
+     *  @return The price of a promise.
+     */
+    function promisePrice() external view returns(uint);
 }
 
 /** @title Validator
  *  Validator acts as a connector between Kleros arbitrator and Impact Delivery Agreement (IDA) contract. Its purpose is to validate reports about the fullfillment of impact promises.
- *  Each report is identified by its ID which is a hash of the corresponding impact promise, IDA address and service provider.
- *  NOTE: This contract trusts that the Arbitrator is honest and will not reenter or modify its costs during a call.
- *  The arbitrator must support appeal period.
+ *  Each report is identified by its ID which is a hash of the corresponding impact promise, IDA address and service provider, and of its version if it is not the first report made to the promise.
+ *  A new report can be made to a promise once the outcome of the previous one is registered as a failure, or once the IDA registered a failure for it because the claim on the promise was removed or changed.
+ *  Reports can only be made to IDAs registered by the governor or by a registrar it trusts, e.g. an IDA factory.
+ *  Until somebody contributes to its challenge, the service provider can retract a report, notifying the IDA, or amend its outcome.
+ *  The governor can require the service provider of an IDA to pay a bond with each report. The bond is returned if the report stands and shared by the contributors to the challenge if it is overturned.
+ *  The governor can also have the outcomes of the reports made to an IDA registered as soon as they are resolved. If the IDA reverts, the failure is recorded and the registration can be retried with registerOutcome.
+ *  The IDA only validates a promise while the service provider holds a claim on it worth the promise price. If the claim was removed or changed since the report was made, a successful outcome is registered as a failure instead and the reason is recorded, while the report keeps its outcome.
+ *  Governance changes are queued and can only be executed once the governance delay has passed, unless the delay is 0.
+ *  The arbitrator, timeout, deposit, stake multipliers and arbitrator extra data of a report are snapshotted when it is created, from the profile of its IDA if it has one or from the default parameters otherwise. Later governance changes only apply to new reports.
+ *  The outcome of a report is the fulfilment of the promise in percent. A challenger proposes another outcome and jurors can rule for any outcome, ruling r standing for the outcome r - 1.
+ *  Deposits and appeal fees are paid in ETH. Variants paying them in another currency override the internal payment functions.
+ *  NOTE: This contract trusts that the Arbitrators are honest and will not reenter or modify its costs during a call.
+ *  The arbitrators must support appeal period.
  */
 contract Validator is IArbitrable, IEvidence {
 
     using CappedMath for uint;
+    using Crowdfunding for Crowdfunding.Round;
 
     /* Enums */
 
-    enum Outcome {
-        FAILURE, // The impact promise was not fullfilled.
-        SUCCESS // The promise was fullfilled.
-    }
-
     enum Status {
         None, // Default status of a report. Indicates that the report for the promise wasn't created in this contract.
-        Created, // The report is created and can be approved if not challenged within the timeout.
-        Challenged, // The report is challenged and the challenge can be approved if no one confirms the report within the timeout.
+        Created, // The report is created and can be approved if the challenge is not fully funded within the timeout.
+        Challenged, // The report is challenged and the challenge can be approved if the confirmation is not fully funded within the timeout.
         Disputed, // The dispute was raised in Kleros Court for jurors to decide whether the report is correct or not.
         Resolved // The report is resolved and can be validated by the IDA contract if it's proved successful, or rejected if it's unsuccessful.
     }
 
+    enum ChangeStatus {
+        Pending, // The change is queued and can be executed once its delay has passed.
+        Executed, // The change has been made.
+        Cancelled // The change was cancelled by the governor.
+    }
+
     enum Party {
         None, // Party that is mapped with 0 dispute ruling.
         Supporter, // Party that confirms the correctness of the report. Note that it's only possible to confirm the report after challenge, because it's considered correct by default.
         Challenger // Party that challenges the correctness of the report.
     }
 
+    enum RegistrationFailure {
+        None, // The outcome was not registered yet, or was registered as it is.
+        Reverted, // The IDA reverted when the outcome was registered automatically. The registration can be retried with registerOutcome.
+        ClaimRemoved, // The service provider removed its claim on the promise. The IDA registered a failure, while the report keeps its outcome.
+        ClaimChanged, // The claim of the service provider on the promise no longer matches the promise price. The IDA registered a failure, while the report keeps its outcome.
+        ClaimUnreadable // The claim on the promise or the promise price could not be read, so the IDA could not validate the promise. The IDA registered a failure, while the report keeps its outcome.
+    }
+
     /* Structs */
 
     struct Report {
@@ -80,48 +128,87 @@ contract Validator is IArbitrable, IEvidence {
         Status status; // Current status of the report.
         uint disputeID; // The ID of the dispute created in the arbitrator contract.
         uint lastActionTime; // The time of the last action performed on the report. Note that lastActionTime is updated only during timeout-related actions.
-        address supporter; // Address of the party that confirms the report.
-        address challenger; // Address of the party that challenges the report.
-        Round[] rounds; // Tracks each round of a dispute.
-        Party ruling; // Ruling given to the dispute by the arbitrator.
-        Outcome outcome; // The reported outcome of the promise (e.g., Failure/Success).
+        address supporter; // Address of the first contributor to the deposit confirming the report.
+        address challenger; // Address of the contributor that completed the deposit challenging the report.
+        Crowdfunding.Round[] rounds; // Tracks each round of a dispute.
+        Party ruling; // The party whose outcome was upheld by the arbitrator. None if the arbitrator refused to rule or ruled for another outcome.
+        uint outcome; // The reported outcome of the promise: its fulfilment in percent, from 0 (failure) to MAX_OUTCOME (success).
         bool outcomeRegistered; // True if the outcome has been registered by the IDA contract.
+        uint metaEvidenceID; // The ID of the meta evidence that was current when the report was created. Its dispute follows this policy.
+        uint challengedOutcome; // The outcome proposed by the challenger. Set once the deposit of a challenge is fully funded.
+        uint parametersID; // The index of the snapshot of the parameters that apply to the report, taken when it was created.
+        IArbitrator arbitrator; // The arbitrator of the report, taken when it was created. Its dispute stays with it if the arbitrator of the contract changes.
+        mapping(uint => uint) challengeRounds; // Maps an outcome proposed by challengers to the index of the round crowdfunding its deposit, plus 1. 0 if nobody proposed it. challengeRounds[_outcome].
+    }
+
+    struct Parameters {
+        bytes arbitratorExtraData; // Extra data to require particular dispute and appeal behaviour, e.g. the subcourt.
+        uint executionTimeout; // Time in seconds during which the report can be challenged/confirmed.
+        uint baseDeposit; // The deposit a party has to pay to challenge/confirm the report.
+        uint sharedStakeMultiplier; // Multiplier for calculating the fee stake that must be paid when there is no winner or loser. In basis points.
+        uint winnerStakeMultiplier; // Multiplier for calculating the fee stake paid by the party that won the previous round. In basis points.
+        uint loserStakeMultiplier; // Multiplier for calculating the fee stake paid by the party that lost the previous round. In basis points.
     }
 
-    // Some arrays below have 3 elements to map with the Party enums for better readability:
-    // - 0: is unused, matches `Party.None`.
-    // - 1: for `Party.Supporter`.
-    // - 2: for `Party.Challenger`.
-    struct Round {
-        uint256[3] paidFees; // Tracks the fees paid by each side in this round.
-        bool[3] hasPaid; // True when the side has fully paid its fee. False otherwise.
-        uint256 feeRewards; // Sum of reimbursable fees and stake rewards available to the parties that made contributions to the side that ultimately wins a dispute.
-        mapping(address => uint[3]) contributions; // Maps contributors to their contributions for each side.
+    struct Bond {
+        address payable serviceProvider; // The service provider that made the report and paid the bond.
+        uint amount; // The amount of the bond. Returned to the service provider if the report stands, after which it is 0, and shared by the contributors to the challenge if the report is overturned.
+        bool awarded; // True if the report was overturned. The contributors to the funded challenge withdraw their share of the bond, pro rata to their contributions, with their rewards from its round.
+        address payable payer; // The address that paid the bond, to which it is returned: the service provider, or the relayer that sent the ETH of a relayed report.
+    }
+
+    struct Change {
+        bytes data; // The call to a governance function of this contract that makes the change, e.g. to changeBaseDeposit.
+        uint eta; // The time from which the change can be executed.
+        ChangeStatus status; // The status of the change.
     }
 
     /* Storage */
 
-    IArbitrator public arbitrator; // The arbitrator contract.
-    bytes public arbitratorExtraData; // Extra data to require particular dispute and appeal behaviour.
+    IArbitrator public arbitrator; // The arbitrator of the reports created from now on.
+    bytes public arbitratorExtraData; // Default extra data to require particular dispute and appeal behaviour.
 
-    uint RULING_OPTIONS = 2; // The amount of non 0 choices the arbitrator can give.
+    uint public constant MAX_OUTCOME = 100; // The outcome of a fully fulfilled promise.
+    uint constant RULING_OPTIONS = MAX_OUTCOME + 1; // The amount of non 0 choices the arbitrator can give. One for each outcome.
 
     address public governor; // The address that can make governance changes to the parameters of the contract.
-    uint public executionTimeout; // Time in seconds during which the report can be challenged/confirmed.
-    uint public baseDeposit; // The deposit a party has to pay to challenge/confirm the report.
+    uint public governanceDelay; // The time in seconds between queuing a governance change and executing it. While it is 0, the governor can also make changes directly.
+    Change[] public changes; // Stores the queued governance changes.
+    uint public executionTimeout; // Default time in seconds during which the report can be challenged/confirmed.
+    uint public baseDeposit; // Default deposit a party has to pay to challenge/confirm the report.
 
-    // Fee stake multipliers (in basis points).
+    // Default fee stake multipliers (in basis points).
     uint public sharedStakeMultiplier; // Multiplier for calculating the fee stake that must be paid in the case when there is no winner or loser (e.g., it's the first round or arbitrator refused to rule).
     uint public winnerStakeMultiplier; // Multiplier for calculating the fee stake paid by the party that won the previous round.
     uint public loserStakeMultiplier; // Multiplier for calculating the fee stake paid by the party that lost the previous round.
     uint public constant MULTIPLIER_DIVISOR = 10000; // Divisor parameter for multipliers.
 
+    uint public metaEvidenceUpdates; // The number of times the meta evidence has been updated. Also the ID of the current meta evidence.
+
+    Parameters[] public parameterSnapshots; // Stores the snapshots of the parameters. They are never modified once taken.
+    uint public defaultParametersID; // The index of the snapshot of the default parameters.
+    mapping (address => uint) public idaProfiles; // Maps an IDA to the index of the snapshot of its profile. 0 if it uses the default parameters, since the first snapshot is always the initial default one. idaProfiles[_ida].
+    mapping (address => uint) public providerBonds; // Maps an IDA to the bond its service provider pays to make a report, in the currency of the deposits. 0 if no bond is required. providerBonds[_ida].
+    mapping (address => bool) public autoRegistration; // True if the outcomes of the reports made to the IDA are registered as soon as they are resolved. autoRegistration[_ida].
+
+    mapping (address => bool) public registeredIDAs; // True if reports can be made to the IDA. registeredIDAs[_ida].
+    mapping (address => bool) public idaRegistrars; // True if the address can register and unregister IDAs besides the governor. idaRegistrars[_registrar].
+
     mapping (bytes32 => Report) public reports; // Maps the report ID to its data. reports[_ID].
-    mapping (uint => bytes32) public disputeIDToReportID; // Maps a dispute ID to the ID of the disputed report. disputeIDToReportID[_disputeID].
+    bytes32[] public reportIDs; // The IDs of all the reports, in creation order. A retracted report stays listed, with the None status until it is made again.
+    mapping (address => bytes32[]) internal idaReportIDs; // Maps an IDA to the IDs of the reports made to it, in creation order. idaReportIDs[_ida].
+    mapping (address => mapping (bytes32 => bytes32[])) internal reportHistory; // Maps an IDA and a promise to the IDs of the reports made to the promise, by version. reportHistory[_ida][_key].
+    mapping (bytes32 => Bond) public reportBonds; // Maps the report ID to the bond paid by its service provider. reportBonds[_ID].
+    mapping (bytes32 => RegistrationFailure) public registrationFailures; // Why the outcome of the report could not be registered as it is. Reverted until a failed automatic registration is retried successfully. registrationFailures[_ID].
+    mapping (address => mapping (uint => bytes32)) public disputeIDToReportID; // Maps an arbitrator and the ID of one of its disputes to the ID of the disputed report. disputeIDToReportID[_arbitrator][_disputeID].
+    mapping (address => uint) public credits; // Maps an address to the amount of the payments to it that failed, in the currency of the deposits, which it can withdraw with withdrawCredit. credits[_beneficiary].
+    address public trustedForwarder; // The forwarder that relays signed calls, appending their signer to the call data. 0 if calls cannot be relayed.
 
     /* Modifiers */
 
-    modifier onlyGovernor {require(msg.sender == governor, "The caller must be the governor."); _;}
+    modifier onlyGovernor {requireGovernor(); _;}
+    modifier onlyGovernance {requireGovernance(); _;}
+    modifier onlyRegistrar {requireRegistrar(); _;}
 
     /* Events */
 
@@ -133,6 +220,139 @@ contract Validator is IArbitrable, IEvidence {
      */
     event ReportCreated(address indexed _ida, bytes32 indexed _key, bytes32 indexed _ID);
 
+    /**
+     *  @dev Emitted when the service provider retracts a report. A new report can then be made to the promise.
+     *  @param _ID The ID of the report.
+     */
+    event ReportRetracted(bytes32 indexed _ID);
+
+    /**
+     *  @dev Emitted when the service provider amends the outcome of a report.
+     *  @param _ID The ID of the report.
+     *  @param _outcome The new outcome of the report.
+     */
+    event ReportAmended(bytes32 indexed _ID, uint _outcome);
+
+    /**
+     *  @dev Emitted when the status of a report changes, including when it is created and retracted.
+     *  @param _ID The ID of the report.
+     *  @param _previousStatus The status before the change.
+     *  @param _status The new status.
+     *  @param _outcome The outcome of the report after the change, e.g. the challenged outcome when a challenged report is approved.
+     */
+    event StatusChanged(bytes32 indexed _ID, Status _previousStatus, Status _status, uint _outcome);
+
+    /**
+     *  @dev Emitted when somebody contributes to a deposit or to the fees of an appeal.
+     *  @param _ID The ID of the report.
+     *  @param _round The round to which the contribution is made. The rounds before the dispute hold the challenge deposit of each proposed outcome, and the confirmation deposit in the round of the challenged outcome.
+     *  @param _contributor The contributor.
+     *  @param _side The side the contribution is made for.
+     *  @param _amount The amount taken. The rest of the funds made available is reimbursed.
+     */
+    event Contribution(bytes32 indexed _ID, uint indexed _round, address indexed _contributor, Party _side, uint _amount);
+
+    /**
+     *  @dev Emitted when a side of a round is fully funded.
+     *  @param _ID The ID of the report.
+     *  @param _round The round.
+     *  @param _side The funded side.
+     */
+    event SideFunded(bytes32 indexed _ID, uint indexed _round, Party _side);
+
+    /**
+     *  @dev Emitted when both sides of a round are funded and the ruling is appealed.
+     *  @param _ID The ID of the report.
+     *  @param _round The funded round. The next round takes the contributions to the next appeal.
+     */
+    event AppealRaised(bytes32 indexed _ID, uint indexed _round);
+
+    /**
+     *  @dev Emitted when fees and rewards are withdrawn from a round.
+     *  @param _ID The ID of the report.
+     *  @param _round The round.
+     *  @param _beneficiary The address that made the contributions.
+     *  @param _reward The amount paid to the beneficiary.
+     */
+    event RewardWithdrawn(bytes32 indexed _ID, uint indexed _round, address indexed _beneficiary, uint _reward);
+
+    /**
+     *  @dev Emitted when the outcome of a report is registered in the IDA.
+     *  @param _ID The ID of the report.
+     *  @param _outcome The outcome of the report. The IDA registered a failure instead if OutcomeRejected was emitted before.
+     */
+    event OutcomeRegistered(bytes32 indexed _ID, uint _outcome);
+
+    /**
+     *  @dev Emitted when a payment fails and its amount is credited to the beneficiary instead.
+     *  @param _beneficiary The beneficiary of the payment.
+     *  @param _amount The credited amount.
+     */
+    event Credited(address indexed _beneficiary, uint _amount);
+
+    /**
+     *  @dev Emitted when a beneficiary withdraws its credit.
+     *  @param _beneficiary The beneficiary of the failed payments.
+     *  @param _recipient The address the credit is sent to.
+     *  @param _amount The withdrawn amount.
+     */
+    event CreditWithdrawn(address indexed _beneficiary, address _recipient, uint _amount);
+
+    /**
+     *  @dev Emitted when the IDA reverts, or the claim on the promise cannot be read, while the outcome of a report is registered automatically. The registration can be retried with registerOutcome.
+     *  @param _ID The ID of the report.
+     *  @param _reason The revert data of the IDA. Empty if the claim could not be read.
+     */
+    event OutcomeRegistrationFailed(bytes32 indexed _ID, bytes _reason);
+
+    /**
+     *  @dev Emitted when a successful outcome is registered in the IDA as a failure because the claim on the promise was removed or changed. OutcomeRegistered follows.
+     *  @param _ID The ID of the report.
+     *  @param _failure Whether the claim was removed or changed.
+     */
+    event OutcomeRejected(bytes32 indexed _ID, RegistrationFailure _failure);
+
+    /**
+     *  @dev Emitted when an IDA is registered, allowing reports to be made to it.
+     *  @param _ida The address of the IDA.
+     *  @param _registrar The address that registered the IDA.
+     */
+    event IDAAdded(address indexed _ida, address indexed _registrar);
+
+    /**
+     *  @dev Emitted when an IDA is unregistered. Reports already made to it are not affected.
+     *  @param _ida The address of the IDA.
+     *  @param _registrar The address that unregistered the IDA.
+     */
+    event IDARemoved(address indexed _ida, address indexed _registrar);
+
+    /**
+     *  @dev Emitted when a governance change is queued.
+     *  @param _changeID The ID of the change.
+     *  @param _data The call that makes the change.
+     *  @param _eta The time from which the change can be executed.
+     */
+    event ChangeQueued(uint indexed _changeID, bytes _data, uint _eta);
+
+    /**
+     *  @dev Emitted when a queued governance change is executed.
+     *  @param _changeID The ID of the change.
+     */
+    event ChangeExecuted(uint indexed _changeID);
+
+    /**
+     *  @dev Emitted when a queued governance change is cancelled.
+     *  @param _changeID The ID of the change.
+     */
+    event ChangeCancelled(uint indexed _changeID);
+
+    /**
+     *  @dev Emitted when a governance function is called, directly or by executing a queued change.
+     *  @param _selector The selector of the function, e.g. of `changeBaseDeposit(uint256)`.
+     *  @param _data The call, including the selector. Decode it with the ABI of the function to get the new value.
+     */
+    event ParameterChanged(bytes4 indexed _selector, bytes _data);
+
 
     /** @dev Constructor.
      *  @param _arbitrator The arbitrator of the contract.
@@ -164,6 +384,7 @@ contract Validator is IArbitrable, IEvidence {
         sharedStakeMultiplier = _sharedStakeMultiplier;
         winnerStakeMultiplier = _winnerStakeMultiplier;
         loserStakeMultiplier = _loserStakeMultiplier;
+        snapshotDefaults();
     }
 
     /* External and Public */
@@ -172,158 +393,389 @@ contract Validator is IArbitrable, IEvidence {
     // *      Governance      * //
     // ************************ //
 
+    /** @dev Queue a governance change. It can be executed once the governance delay has passed.
+     *  @param _data The call to a governance function of this contract that makes the change, e.g. `changeBaseDeposit(uint256)` and its argument.
+     *  @return The ID of the change.
+     */
+    function queueChange(bytes calldata _data) external onlyGovernor returns(uint changeID) {
+        uint eta = now + governanceDelay;
+        changeID = changes.push(Change({
+            data: _data,
+            eta: eta,
+            status: ChangeStatus.Pending
+        })) - 1;
+
+        emit ChangeQueued(changeID, _data, eta);
+    }
+
+    /** @dev Execute a queued governance change whose delay has passed.
+     *  @param _changeID The ID of the change.
+     */
+    function executeChange(uint _changeID) external {
+        Change storage change = changes[_changeID];
+        require(change.status == ChangeStatus.Pending, "The change must be pending.");
+        require(now >= change.eta, "The governance delay has not passed yet.");
+        change.status = ChangeStatus.Executed;
+
+        (bool success, ) = address(this).call(change.data);
+        require(success, "The change failed.");
+
+        emit ChangeExecuted(_changeID);
+    }
+
+    /** @dev Cancel a queued governance change.
+     *  @param _changeID The ID of the change.
+     */
+    function cancelChange(uint _changeID) external onlyGovernor {
+        Change storage change = changes[_changeID];
+        require(change.status == ChangeStatus.Pending, "The change must be pending.");
+        change.status = ChangeStatus.Cancelled;
+
+        emit ChangeCancelled(_changeID);
+    }
+
+    /** @dev Change the delay of governance changes. The changes already queued keep their time of execution.
+     *  @param _governanceDelay The new delay in seconds.
+     */
+    function changeGovernanceDelay(uint _governanceDelay) external onlyGovernance {
+        governanceDelay = _governanceDelay;
+    }
+
+    /** @dev Change the arbitrator and the default extra data. Reports created from now on use them, while the existing reports keep their arbitrator.
+     *  Note that the profiles of IDAs keep their extra data, which may have to be updated for the new arbitrator.
+     *  @param _arbitrator The address of the new arbitrator.
+     *  @param _arbitratorExtraData The extra data for the new arbitrator.
+     */
+    function changeArbitrator(IArbitrator _arbitrator, bytes calldata _arbitratorExtraData) external onlyGovernance {
+        arbitrator = _arbitrator;
+        arbitratorExtraData = _arbitratorExtraData;
+        snapshotDefaults();
+    }
+
     /** @dev Change the duration of challenge/confirmation period.
      *  @param _executionTimeout The new duration of the execution timeout.
      */
-    function changeExecutionTimeout(uint _executionTimeout) external onlyGovernor {
+    function changeExecutionTimeout(uint _executionTimeout) external onlyGovernance {
         executionTimeout = _executionTimeout;
+        snapshotDefaults();
     }
 
     /** @dev Change the base amount required as a deposit for challenge/confirmation.
      *  @param _baseDeposit The new base amount of wei required to challenge or confirm the report.
      */
-    function changeBaseDeposit(uint _baseDeposit) external onlyGovernor {
+    function changeBaseDeposit(uint _baseDeposit) external onlyGovernance {
         baseDeposit = _baseDeposit;
+        snapshotDefaults();
     }
 
     /** @dev Change the proportion of arbitration fees that must be paid as fee stake by parties when there is no winner or loser.
      *  @param _sharedStakeMultiplier Multiplier of arbitration fees that must be paid as fee stake. In basis points.
      */
-    function changeSharedStakeMultiplier(uint _sharedStakeMultiplier) external onlyGovernor {
+    function changeSharedStakeMultiplier(uint _sharedStakeMultiplier) external onlyGovernance {
         sharedStakeMultiplier = _sharedStakeMultiplier;
+        snapshotDefaults();
     }
 
     /** @dev Change the proportion of arbitration fees that must be paid as fee stake by the winner of the previous round.
      *  @param _winnerStakeMultiplier Multiplier of arbitration fees that must be paid as fee stake. In basis points.
      */
-    function changeWinnerStakeMultiplier(uint _winnerStakeMultiplier) external onlyGovernor {
+    function changeWinnerStakeMultiplier(uint _winnerStakeMultiplier) external onlyGovernance {
         winnerStakeMultiplier = _winnerStakeMultiplier;
+        snapshotDefaults();
     }
 
     /** @dev Change the proportion of arbitration fees that must be paid as fee stake by the party that lost the previous round.
      *  @param _loserStakeMultiplier Multiplier of arbitration fees that must be paid as fee stake. In basis points.
      */
-    function changeLoserStakeMultiplier(uint _loserStakeMultiplier) external onlyGovernor {
+    function changeLoserStakeMultiplier(uint _loserStakeMultiplier) external onlyGovernance {
         loserStakeMultiplier = _loserStakeMultiplier;
+        snapshotDefaults();
+    }
+
+    /** @dev Set the profile of an IDA, overriding the default parameters for its new reports.
+     *  @param _ida The address of the IDA.
+     *  @param _arbitratorExtraData Extra data for the arbitrator, e.g. to choose the subcourt.
+     *  @param _executionTimeout Time in seconds during which it is possible to challenge or confirm the report.
+     *  @param _baseDeposit The deposit that must be paid by challenger or supporter.
+     *  @param _sharedStakeMultiplier Multiplier of the arbitration cost that each party has to pay as fee stake when there is no winner/loser. In basis points.
+     *  @param _winnerStakeMultiplier Multiplier of the arbitration cost that the winner has to pay as fee stake for a round in basis points.
+     *  @param _loserStakeMultiplier Multiplier of the arbitration cost that the loser has to pay as fee stake for a round in basis points.
+     */
+    function setIDAProfile(
+        address _ida,
+        bytes calldata _arbitratorExtraData,
+        uint _executionTimeout,
+        uint _baseDeposit,
+        uint _sharedStakeMultiplier,
+        uint _winnerStakeMultiplier,
+        uint _loserStakeMultiplier
+    ) external onlyGovernance {
+        idaProfiles[_ida] = parameterSnapshots.push(Parameters({
+            arbitratorExtraData: _arbitratorExtraData,
+            executionTimeout: _executionTimeout,
+            baseDeposit: _baseDeposit,
+            sharedStakeMultiplier: _sharedStakeMultiplier,
+            winnerStakeMultiplier: _winnerStakeMultiplier,
+            loserStakeMultiplier: _loserStakeMultiplier
+        })) - 1;
+    }
+
+    /** @dev Remove the profile of an IDA. Its new reports use the default parameters.
+     *  @param _ida The address of the IDA.
+     */
+    function removeIDAProfile(address _ida) external onlyGovernance {
+        idaProfiles[_ida] = 0;
+    }
+
+    /** @dev Change the bond the service provider of an IDA pays to make a report. Existing reports keep their bond.
+     *  @param _ida The address of the IDA.
+     *  @param _providerBond The bond, in the currency of the deposits. 0 to not require one.
+     */
+    function changeProviderBond(address _ida, uint _providerBond) external onlyGovernance {
+        providerBonds[_ida] = _providerBond;
+    }
+
+    /** @dev Enable or disable the automatic registration of the outcomes of the reports made to an IDA, as soon as they are resolved.
+     *  @param _ida The address of the IDA.
+     *  @param _autoRegistration True to register the outcomes automatically.
+     */
+    function changeAutoRegistration(address _ida, bool _autoRegistration) external onlyGovernance {
+        autoRegistration[_ida] = _autoRegistration;
+    }
+
+    /** @dev Update the meta evidence used for new reports. Reports created before keep their meta evidence.
+     *  @param _metaEvidence The URI of the new meta evidence object.
+     */
+    function changeMetaEvidence(string calldata _metaEvidence) external onlyGovernance {
+        metaEvidenceUpdates++;
+        emit MetaEvidence(metaEvidenceUpdates, _metaEvidence);
+    }
+
+    /** @dev Allow or disallow an address, e.g. an IDA factory, to register and unregister IDAs.
+     *  @param _registrar The address of the registrar.
+     *  @param _allowed True to allow the registrar, false to disallow it.
+     */
+    function changeIDARegistrar(address _registrar, bool _allowed) external onlyGovernance {
+        idaRegistrars[_registrar] = _allowed;
+    }
+
+    /** @dev Change the forwarder that relays signed calls to makeReport, submitEvidence, approveReport and registerOutcome.
+     *  @param _trustedForwarder The address of the forwarder. 0 to stop accepting relayed calls.
+     */
+    function changeTrustedForwarder(address _trustedForwarder) external onlyGovernance {
+        trustedForwarder = _trustedForwarder;
     }
 
     /** @dev Change the governor of the contract.
      *  @param _governor The address of the new governor.
      */
-    function changeGovernor(address _governor) external onlyGovernor {
+    function changeGovernor(address _governor) external onlyGovernance {
         governor = _governor;
     }
 
+    // ************************ //
+    // *     IDA Registry     * //
+    // ************************ //
+
+    /** @dev Register an IDA, allowing its service provider to make reports to it.
+     *  @param _ida The address of the IDA.
+     */
+    function addIDA(address _ida) external onlyRegistrar {
+        require(!registeredIDAs[_ida], "The IDA is already registered.");
+        registeredIDAs[_ida] = true;
+
+        emit IDAAdded(_ida, msg.sender);
+    }
+
+    /** @dev Unregister an IDA. New reports can no longer be made to it, but the existing ones can still be resolved.
+     *  @param _ida The address of the IDA.
+     */
+    function removeIDA(address _ida) external onlyRegistrar {
+        require(registeredIDAs[_ida], "The IDA is not registered.");
+        registeredIDAs[_ida] = false;
+
+        emit IDARemoved(_ida, msg.sender);
+    }
+
     // *********************** //
     // *       Reports       * //
     // *********************** //
 
-    /** @dev Make a report about the fullfillment of the impact promise.
-     *  @param _ida The address of the IDA that created the promise.
+    /** @dev Make a report about the fullfillment of the impact promise. The service provider pays the bond required by the IDA, if any. Extra ETH is reimbursed.
+     *  Can be relayed by the trusted forwarder, in which case the bond is paid by the relayer in ETH or taken from the allowance of the service provider in tokens. The extra ETH and the bond are then returned to the relayer.
+     *  @param _ida The address of the IDA that created the promise. Must be registered.
      *  @param _key A unique identifier (code) for the impact promise.
-     *  @param _outcome Whether the promise was fullfilled or not.
+     *  @param _outcome The fulfilment of the promise in percent.
      */
-    function makeReport(IdaInterface _ida, bytes32 _key, Outcome _outcome) external {
-        require(_ida.serviceProvider() == msg.sender, "Only the service provider can make a report.");
+    function makeReport(IdaInterface _ida, bytes32 _key, uint _outcome) external payable {
+        require(registeredIDAs[address(_ida)], "The IDA is not registered.");
+        address payable serviceProvider = msgSender();
+        require(_ida.serviceProvider() == serviceProvider, "Only the service provider can make a report.");
+        require(_outcome <= MAX_OUTCOME, "Invalid outcome.");
         require(now <= _ida.endTime(), "Time to make a report has ended");
-        bytes32 ID = keccak256(abi.encodePacked(_ida, _key, msg.sender));
+        bytes32[] storage history = reportHistory[address(_ida)][_key];
+        if (history.length > 0) {
+            bytes32 previousID = history[history.length - 1];
+            Report storage previous = reports[previousID];
+            require(
+                previous.outcomeRegistered && (previous.outcome == 0 || registrationFailures[previousID] != RegistrationFailure.None),
+                "The previous report of the promise must be registered as a failure."
+            );
+        }
+        bytes32 ID = history.length == 0
+            ? keccak256(abi.encodePacked(_ida, _key, serviceProvider)) // Versions 0 keep the IDs of the reports made before versioning.
+            : keccak256(abi.encodePacked(_ida, _key, serviceProvider, history.length));
         Report storage report = reports[ID];
-        require(report.status == Status.None, "The report for this impact promise has already been created.");
+        history.push(ID);
+        if (reportBonds[ID].serviceProvider == address(0)) { // Not listed yet. Retracted reports keep their service provider.
+            reportIDs.push(ID);
+            idaReportIDs[address(_ida)].push(ID);
+        }
         report.ida = _ida;
         report.key = _key;
         report.lastActionTime = now;
-        report.status = Status.Created;
         report.outcome = _outcome;
+        setStatus(ID, Status.Created);
+        report.metaEvidenceID = metaEvidenceUpdates;
+        report.parametersID = idaProfiles[address(_ida)] != 0 ? idaProfiles[address(_ida)] : defaultParametersID;
+        report.arbitrator = arbitrator;
+        uint bond = providerBonds[address(_ida)];
+        address payable payer = bondPayer();
+        reportBonds[ID] = Bond({serviceProvider: serviceProvider, amount: bond, awarded: false, payer: payer});
+        uint available = availableFunds();
+        require(available >= bond, "The provider bond must be paid.");
+        settleContribution(payer, bond, available - bond);
         _ida.registerReport(_key);
 
         emit ReportCreated(address(_ida), _key, ID);
     }
 
-    /** @dev Challenge the report made by the service provider. Accept enough ETH to cover the deposit, reimburse the rest.
+    /** @dev Retract a report that is not challenged yet. The bond is returned, the IDA is notified, and the service provider can make a new report to the promise.
      *  @param _ID The ID of the report.
-     *  @param _evidence A link to an evidence using its URI. Ignored if not provided.
      */
-    function challengeReport(bytes32 _ID, string calldata _evidence) external payable {
+    function retractReport(bytes32 _ID) external {
         Report storage report = reports[_ID];
-        require(report.status == Status.Created, "The report should be in Created status.");
-        require(now - report.lastActionTime <= executionTimeout, "Time to challenge the report has passed.");
+        requireChangeable(report, _ID);
+        IdaInterface ida = report.ida;
+        bytes32 key = report.key;
+        releaseBond(_ID, false);
+        setStatus(_ID, Status.None);
+        delete reports[_ID];
+        reportHistory[address(ida)][key].length--; // The report is the last one of the promise, so its version can be reused.
+        ida.cancelReport(key);
+
+        emit ReportRetracted(_ID);
+    }
 
-        report.challenger = msg.sender;
-        report.status = Status.Challenged;
-        Round storage round = report.rounds[report.rounds.length++];
+    /** @dev Change the outcome of a report that is not challenged yet. The challenge period starts over.
+     *  @param _ID The ID of the report.
+     *  @param _outcome The new outcome of the report.
+     */
+    function amendReport(bytes32 _ID, uint _outcome) external {
+        Report storage report = reports[_ID];
+        requireChangeable(report, _ID);
+        require(_outcome <= MAX_OUTCOME, "Invalid outcome.");
+        report.outcome = _outcome;
+        report.lastActionTime = now;
 
-        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
-        uint totalCost = arbitrationCost.addCap((arbitrationCost.mulCap(sharedStakeMultiplier)) / MULTIPLIER_DIVISOR).addCap(baseDeposit);
-        contribute(round, Party.Challenger, msg.sender, msg.value, totalCost);
-        require(round.paidFees[uint(Party.Challenger)] >= totalCost, "You must fully fund your side.");
-        round.hasPaid[uint(Party.Challenger)] = true;
+        emit ReportAmended(_ID, _outcome);
+    }
 
-        report.lastActionTime = now;
+    /** @dev Contribute to the deposit challenging the report made by the service provider. Take up to the remainder of the deposit, reimburse the rest.
+     *  The deposit can be crowdfunded by several contributors. Each proposed outcome is crowdfunded in its own round, and the report is challenged for the first outcome whose deposit is fully funded.
+     *  The contributions to the other outcomes are reimbursed through withdrawFeesAndRewards once the report is resolved.
+     *  @param _ID The ID of the report.
+     *  @param _outcome The outcome the challenger considers correct. Must differ from the reported one.
+     *  @param _evidence A link to an evidence using its URI. Ignored if not provided.
+     */
+    function challengeReport(bytes32 _ID, uint _outcome, string calldata _evidence) external payable {
+        Report storage report = reports[_ID];
+        Parameters storage parameters = parameterSnapshots[report.parametersID];
+        require(report.status == Status.Created, "The report should be in Created status.");
+        require(now - report.lastActionTime <= parameters.executionTimeout, "Time to challenge the report has passed.");
+        require(_outcome <= MAX_OUTCOME && _outcome != report.outcome, "The challenger must propose another valid outcome.");
+
+        uint available = availableFunds();
+        require(available > 0, "The contribution must not be empty.");
+
+        if (report.challengeRounds[_outcome] == 0)
+            report.challengeRounds[_outcome] = ++report.rounds.length;
+        (, , uint totalCost) = depositCosts(report);
+        if (contribute(_ID, report.challengeRounds[_outcome] - 1, Party.Challenger, msg.sender, available, totalCost)) {
+            report.challenger = msg.sender;
+            report.challengedOutcome = _outcome;
+            setStatus(_ID, Status.Challenged);
+            report.lastActionTime = now;
+        }
 
         if (bytes(_evidence).length > 0)
-            emit Evidence(arbitrator, uint(_ID), msg.sender, _evidence);
+            emit Evidence(report.arbitrator, uint(_ID), msg.sender, _evidence);
     }
 
-    /** @dev Confirm the correctness of the report made by the service provider. Accept enough ETH to cover the deposit, reimburse the rest.
+    /** @dev Contribute to the deposit confirming the correctness of the report made by the service provider. Take up to the remainder of the deposit, reimburse the rest.
+     *  The deposit can be crowdfunded by several contributors. The first contribution sets the supporter, and the dispute is created once the deposit is fully funded.
      *  @param _ID The ID of the report.
      *  @param _evidence A link to an evidence using its URI. Ignored if not provided.
      */
     function confirmReport(bytes32 _ID, string calldata _evidence) external payable {
         Report storage report = reports[_ID];
+        Parameters storage parameters = parameterSnapshots[report.parametersID];
         require(report.status == Status.Challenged, "The report should be in Challenged status.");
-        require(now - report.lastActionTime <= executionTimeout, "Time to confirm the report has passed.");
+        require(now - report.lastActionTime <= parameters.executionTimeout, "Time to confirm the report has passed.");
 
-        report.supporter = msg.sender;
-        report.status = Status.Disputed;
-        Round storage round = report.rounds[report.rounds.length - 1];
+        if (report.supporter == address(0))
+            report.supporter = msg.sender;
+        uint challengeRound = report.challengeRounds[report.challengedOutcome] - 1;
+        Crowdfunding.Round storage round = report.rounds[challengeRound];
 
-        uint arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
-        uint totalCost = arbitrationCost.addCap((arbitrationCost.mulCap(sharedStakeMultiplier)) / MULTIPLIER_DIVISOR).addCap(baseDeposit);
-        contribute(round, Party.Supporter, msg.sender, msg.value, totalCost);
-        require(round.paidFees[uint(Party.Supporter)] >= totalCost, "You must fully fund your side.");
-        round.hasPaid[uint(Party.Supporter)] = true;
+        (uint arbitrationCost, uint depositCost, uint totalCost) = depositCosts(report);
+        if (contribute(_ID, challengeRound, Party.Supporter, msg.sender, availableFunds(), totalCost)) {
+            setStatus(_ID, Status.Disputed);
 
-        report.disputeID = arbitrator.createDispute.value(arbitrationCost)(RULING_OPTIONS, arbitratorExtraData);
-        disputeIDToReportID[report.disputeID] = _ID;
-        report.rounds.length++;
-        round.feeRewards = round.feeRewards.subCap(arbitrationCost);
+            report.disputeID = report.arbitrator.createDispute.value(arbitrationCost)(RULING_OPTIONS, parameters.arbitratorExtraData);
+            disputeIDToReportID[address(report.arbitrator)][report.disputeID] = _ID;
+            report.rounds.length++;
+            round.feeRewards = round.feeRewards.subCap(depositCost);
+            arbitrationFeePaid(depositCost);
 
-        emit Dispute(arbitrator, report.disputeID, 0, uint(_ID));
+            emit Dispute(report.arbitrator, report.disputeID, report.metaEvidenceID, uint(_ID));
+        }
 
         if (bytes(_evidence).length > 0)
-            emit Evidence(arbitrator, uint(_ID), msg.sender, _evidence);
+            emit Evidence(report.arbitrator, uint(_ID), msg.sender, _evidence);
     }
 
     /** @dev Approve the report either as correct, if it wasn't challenged, or as incorrect, if it was challenged but not confirmed within the timeout.
-     *  Note that if the report is considered incorrect its outcome is inverted.
+     *  Note that if the report is considered incorrect its outcome is replaced by the one proposed by the challenger.
+     *  Contributions to a deposit that was not fully funded in time are reimbursed through withdrawFeesAndRewards.
+     *  The bond of the service provider is returned to it in the first case and shared by the contributors to the challenge in the second.
      *  @param _ID The ID of the report.
      */
     function approveReport(bytes32 _ID) external {
         Report storage report = reports[_ID];
-        require(now - report.lastActionTime > executionTimeout, "The timeout has not passed yet.");
+        require(now - report.lastActionTime > parameterSnapshots[report.parametersID].executionTimeout, "The timeout has not passed yet.");
         require(report.status == Status.Created || report.status == Status.Challenged, "The report should be either in Created or Challenged status.");
         if (report.status == Status.Challenged) {
-            if (report.outcome == Outcome.FAILURE)
-                report.outcome = Outcome.SUCCESS;
-            else
-                report.outcome = Outcome.FAILURE;
+            report.outcome = report.challengedOutcome;
+            releaseBond(_ID, true);
+        } else {
+            releaseBond(_ID, false);
         }
 
-        report.status = Status.Resolved;
+        setStatus(_ID, Status.Resolved);
+        if (autoRegistration[address(report.ida)])
+            registerInIDA(_ID, false);
     }
 
-    /** @dev Register the outcome of the report in the IDA contract.
+    /** @dev Register the outcome of the report in the IDA contract. Also retries a failed automatic registration.
+     *  A successful outcome is registered as a failure if the claim on the promise was removed or changed, so the report can always be finalised.
      *  Note that most of necessary checks for this function are done in IDA's contract.
      *  @param _ID The ID of the report.
      */
     function registerOutcome(bytes32 _ID) external {
         Report storage report = reports[_ID];
         require(report.status == Status.Resolved && !report.outcomeRegistered, "The report should be resolved and not already registered by IDA.");
-        report.outcomeRegistered = true;
-        if (report.outcome == Outcome.SUCCESS)
-            report.ida.validatePromise(report.key);
-        else
-            report.ida.rejectPromise(report.key);
+        registerInIDA(_ID, true);
     }
 
     /** @dev Take up to the total amount required to fund a side of an appeal. Reimburse the rest. Create an appeal if both sides are fully funded.
@@ -333,40 +785,35 @@ contract Validator is IArbitrable, IEvidence {
     function fundAppeal(bytes32 _ID, Party _side) external payable {
         require(_side == Party.Supporter || _side == Party.Challenger, "Invalid party.");
         Report storage report = reports[_ID];
+        Parameters storage parameters = parameterSnapshots[report.parametersID];
         require(report.status == Status.Disputed, "The report must have a pending dispute.");
-        (uint appealPeriodStart, uint appealPeriodEnd) = arbitrator.appealPeriod(report.disputeID);
+        (uint appealPeriodStart, uint appealPeriodEnd) = report.arbitrator.appealPeriod(report.disputeID);
         require(now >= appealPeriodStart && now < appealPeriodEnd, "Contributions must be made within the appeal period.");
 
-        uint multiplier;
-        Party winner = Party(arbitrator.currentRuling(report.disputeID));
-        Party loser;
-        if (winner == Party.Supporter)
-            loser = Party.Challenger;
-        else if (winner == Party.Challenger)
-            loser = Party.Supporter;
-        require(_side!=loser || (now-appealPeriodStart < (appealPeriodEnd-appealPeriodStart)/2), "The loser must contribute during the first half of the appeal period.");
-
-        if (_side == winner)
-            multiplier = winnerStakeMultiplier;
-        else if (_side == loser)
-            multiplier = loserStakeMultiplier;
-        else
-            multiplier = sharedStakeMultiplier;
-
-        Round storage round = report.rounds[report.rounds.length - 1];
-        uint appealCost = arbitrator.appealCost(report.disputeID, arbitratorExtraData);
-        uint totalCost = appealCost.addCap((appealCost.mulCap(multiplier)) / MULTIPLIER_DIVISOR);
-        contribute(round, _side, msg.sender, msg.value, totalCost);
-
-        if (round.paidFees[uint(_side)] >= totalCost) {
-            round.hasPaid[uint(_side)] = true;
+        uint multiplier = parameters.sharedStakeMultiplier;
+        Party winner = rulingToParty(report, report.arbitrator.currentRuling(report.disputeID));
+        if (_side == winner) {
+            multiplier = parameters.winnerStakeMultiplier;
+        } else if (winner != Party.None) { // The side is the loser.
+            require(now-appealPeriodStart < (appealPeriodEnd-appealPeriodStart)/2, "The loser must contribute during the first half of the appeal period.");
+            multiplier = parameters.loserStakeMultiplier;
         }
 
+        uint lastRound = report.rounds.length - 1;
+        Crowdfunding.Round storage round = report.rounds[lastRound];
+        uint appealCost = report.arbitrator.appealCost(report.disputeID, parameters.arbitratorExtraData);
+        uint depositCost = depositAmount(appealCost);
+        uint totalCost = withFeeStake(depositCost, multiplier);
+        contribute(_ID, lastRound, _side, msg.sender, availableFunds(), totalCost);
+
         // Raise appeal if both sides are fully funded.
         if (round.hasPaid[uint(Party.Challenger)] && round.hasPaid[uint(Party.Supporter)]) {
-            arbitrator.appeal.value(appealCost)(report.disputeID, arbitratorExtraData);
+            report.arbitrator.appeal.value(appealCost)(report.disputeID, parameters.arbitratorExtraData);
             report.rounds.length++;
-            round.feeRewards = round.feeRewards.subCap(appealCost);
+            round.feeRewards = round.feeRewards.subCap(depositCost);
+            arbitrationFeePaid(depositCost);
+
+            emit AppealRaised(_ID, lastRound);
         }
     }
 
@@ -376,63 +823,73 @@ contract Validator is IArbitrable, IEvidence {
      *  @param _round The round from which to withdraw.
      */
     function withdrawFeesAndRewards(address payable _beneficiary, bytes32 _ID, uint _round) external {
+        batchRoundWithdraw(_beneficiary, _ID, _round, 1);
+    }
+
+    /** @dev Withdraw the fees and rewards of a beneficiary from several rounds of a report at once.
+     *  @param _beneficiary The address that made contributions.
+     *  @param _ID The ID of the report.
+     *  @param _cursor The first round to withdraw from.
+     *  @param _count The number of rounds to withdraw from. 0 to withdraw from all the rounds after the cursor.
+     */
+    function batchRoundWithdraw(address payable _beneficiary, bytes32 _ID, uint _cursor, uint _count) public {
         Report storage report = reports[_ID];
-        Round storage round = report.rounds[_round];
         require(report.status == Status.Resolved, "The report must be resolved.");
 
         uint reward;
-        if (!round.hasPaid[uint(Party.Supporter)] || !round.hasPaid[uint(Party.Challenger)]) {
-            // Reimburse if not enough fees were raised to appeal the ruling.
-            reward = round.contributions[_beneficiary][uint(Party.Supporter)] + round.contributions[_beneficiary][uint(Party.Challenger)];
-        } else if (report.ruling == Party.None) {
-            // Reimburse unspent fees proportionally if there is no winner or loser.
-            uint rewardSupporter = round.paidFees[uint(Party.Supporter)] > 0
-                ? (round.contributions[_beneficiary][uint(Party.Supporter)] * round.feeRewards) / (round.paidFees[uint(Party.Challenger)] + round.paidFees[uint(Party.Supporter)])
-                : 0;
-            uint rewardChallenger = round.paidFees[uint(Party.Challenger)] > 0
-                ? (round.contributions[_beneficiary][uint(Party.Challenger)] * round.feeRewards) / (round.paidFees[uint(Party.Challenger)] + round.paidFees[uint(Party.Supporter)])
-                : 0;
-
-            reward = rewardSupporter + rewardChallenger;
-        } else {
-            // Reward the winner.
-            reward = round.paidFees[uint(report.ruling)] > 0
-                ? (round.contributions[_beneficiary][uint(report.ruling)] * round.feeRewards) / round.paidFees[uint(report.ruling)]
-                : 0;
+        for (uint i = _cursor; i < report.rounds.length && (_count == 0 || i < _cursor.addCap(_count)); i++)
+            reward += withdrawRound(_ID, i, _beneficiary);
 
-        }
-        round.contributions[_beneficiary][uint(Party.Supporter)] = 0;
-        round.contributions[_beneficiary][uint(Party.Challenger)] = 0;
+        pay(_beneficiary, reward);
+    }
+
+    /** @dev Withdraw the fees and rewards of a beneficiary from all the rounds of several reports at once.
+     *  @param _beneficiary The address that made contributions.
+     *  @param _IDs The IDs of the reports. They must all be resolved.
+     */
+    function batchReportWithdraw(address payable _beneficiary, bytes32[] calldata _IDs) external {
+        for (uint i = 0; i < _IDs.length; i++)
+            batchRoundWithdraw(_beneficiary, _IDs[i], 0, 0);
+    }
+
+    /** @dev Withdraw the amount of the payments to the caller that failed, in the currency of the deposits. All the gas is forwarded, so contracts with an expensive fallback can receive it.
+     *  @param _recipient The address to send the credit to. Another address than the caller if the caller cannot receive the payments.
+     */
+    function withdrawCredit(address payable _recipient) external {
+        uint amount = credits[msg.sender];
+        require(amount > 0, "There is no credit to withdraw.");
+        credits[msg.sender] = 0;
+        require(transferFunds(_recipient, amount, true), "The transfer failed.");
 
-        _beneficiary.send(reward);
+        emit CreditWithdrawn(msg.sender, _recipient, amount);
     }
 
-    /** @dev Give a ruling for a dispute. Can only be called by the arbitrator. TRUSTED.
+    /** @dev Give a ruling for a dispute. Can only be called by the arbitrator of the disputed report. TRUSTED.
      *  Account for the situation where the winner loses a case due to paying less appeal fees than expected.
      *  @param _disputeID ID of the dispute in the arbitrator contract.
      *  @param _ruling Ruling given by the arbitrator. Note that 0 is reserved for "Refused to arbitrate".
      */
     function rule(uint _disputeID, uint _ruling) public {
-        Party resultRuling = Party(_ruling);
-        bytes32 ID = disputeIDToReportID[_disputeID];
+        uint resultRuling = _ruling;
+        bytes32 ID = disputeIDToReportID[msg.sender][_disputeID];
         Report storage report = reports[ID];
 
-        Round storage round = report.rounds[report.rounds.length - 1];
         require(_ruling <= RULING_OPTIONS, "Invalid ruling option");
-        require(address(arbitrator) == msg.sender, "Only the arbitrator can give a ruling");
+        require(address(report.arbitrator) == msg.sender, "Only the arbitrator can give a ruling");
         require(report.status == Status.Disputed, "The report must be in Disputed status.");
+        Crowdfunding.Round storage round = report.rounds[report.rounds.length - 1];
 
-        // The ruling is inverted if the loser paid its fees.
+        // The ruling is changed to the outcome of the side that paid its fees.
         if (round.hasPaid[uint(Party.Supporter)] == true) // If one side paid its fees, the ruling is in its favor. Note that if the other side had also paid, an appeal would have been created.
-            resultRuling = Party.Supporter;
+            resultRuling = report.outcome + 1;
         else if (round.hasPaid[uint(Party.Challenger)] == true)
-            resultRuling = Party.Challenger;
+            resultRuling = report.challengedOutcome + 1;
 
-        emit Ruling(IArbitrator(msg.sender), _disputeID, uint(resultRuling));
-        executeRuling(_disputeID, uint(resultRuling));
+        emit Ruling(IArbitrator(msg.sender), _disputeID, resultRuling);
+        executeRuling(_disputeID, resultRuling);
     }
 
-    /** @dev Submit a reference to evidence. EVENT.
+    /** @dev Submit a reference to evidence. EVENT. Can be relayed by the trusted forwarder, on behalf of the signer.
      *  @param _ID The ID of the report the evidence was submitted for.
      *  @param _evidenceURI A link to an evidence using its URI.
      */
@@ -440,78 +897,396 @@ contract Validator is IArbitrable, IEvidence {
         Report storage report = reports[_ID];
         require(report.status > Status.None && report.status < Status.Resolved, "The report should exist and not be resolved.");
 
-        emit Evidence(arbitrator, uint(_ID), msg.sender, _evidenceURI);
+        emit Evidence(report.arbitrator, uint(_ID), msgSender(), _evidenceURI);
     }
 
     /* Internal */
 
-    /** @dev Return the contribution value and remainder from available ETH and required amount.
-     *  @param _available The amount of ETH available for the contribution.
-     *  @param _requiredAmount The amount of ETH required for the contribution.
-     *  @return taken The amount of ETH taken.
-     *  @return remainder The amount of ETH left from the contribution.
+    /** @dev Check that the caller is the governor.
+     *  Not inlined in the onlyGovernor modifier to keep the bytecode under the size limit.
      */
-    function calculateContribution(uint _available, uint _requiredAmount)
-        internal
-        pure
-        returns(uint taken, uint remainder)
-    {
-        if (_requiredAmount > _available)
-            return (_available, 0); // Take whatever is available, return 0 as leftover ETH.
-        else
-            return (_requiredAmount, _available - _requiredAmount);
+    function requireGovernor() internal view {
+        require(msg.sender == governor, "The caller must be the governor.");
+    }
+
+    /** @dev Check that the caller is the governor or an IDA registrar.
+     */
+    function requireRegistrar() internal view {
+        require(msg.sender == governor || idaRegistrars[msg.sender], "The caller must be the governor or a registrar.");
+    }
+
+    /** @dev Get the address a call is made on behalf of: the signer appended to the call data by the trusted forwarder, or the caller otherwise.
+     *  @return The sender of the call.
+     */
+    function msgSender() internal view returns(address payable sender) {
+        if (msg.sender != trustedForwarder || msg.data.length < 24)
+            return msg.sender;
+        assembly { sender := shr(96, calldataload(sub(calldatasize(), 20))) }
+    }
+
+    /** @dev Get the address that pays the provider bond of a report: the relayer appended to the call data by the trusted forwarder, which sends the ETH, or the caller otherwise.
+     *  @return The payer of the bond.
+     */
+    function bondPayer() internal view returns(address payable payer) {
+        if (msg.sender != trustedForwarder || msg.data.length < 44)
+            return msg.sender;
+        assembly { payer := shr(96, calldataload(sub(calldatasize(), 40))) }
+    }
+
+    /** @dev Check that a governance change is made by the governor while the governance delay is 0, or executed after being queued, and log it.
+     *  Not inlined in the onlyGovernance modifier to keep the bytecode under the size limit.
+     */
+    function requireGovernance() internal {
+        if (msg.sender != address(this)) { // The change was not queued.
+            requireGovernor();
+            require(governanceDelay == 0, "The change must be queued.");
+        }
+
+        emit ParameterChanged(msg.sig, msg.data);
     }
 
-    /** @dev Make a fee contribution.
-     *  @param _round The round to contribute.
+    /** @dev Change the status of a report and log it with its current outcome.
+     *  @param _ID The ID of the report.
+     *  @param _status The new status.
+     */
+    function setStatus(bytes32 _ID, Status _status) internal {
+        Report storage report = reports[_ID];
+        emit StatusChanged(_ID, report.status, _status, report.outcome);
+        report.status = _status;
+    }
+
+    /** @dev Take a snapshot of the default parameters, used by the reports created from now on.
+     */
+    function snapshotDefaults() internal {
+        defaultParametersID = parameterSnapshots.push(Parameters({
+            arbitratorExtraData: arbitratorExtraData,
+            executionTimeout: executionTimeout,
+            baseDeposit: baseDeposit,
+            sharedStakeMultiplier: sharedStakeMultiplier,
+            winnerStakeMultiplier: winnerStakeMultiplier,
+            loserStakeMultiplier: loserStakeMultiplier
+        })) - 1;
+    }
+
+    /** @dev Copy a page of a list of report IDs to memory.
+     *  @param _IDs The list.
+     *  @param _cursor The index of the first ID of the page.
+     *  @param _count The number of IDs of the page. 0 for all the IDs after the cursor.
+     *  @return IDs The IDs of the page.
+     */
+    function page(bytes32[] storage _IDs, uint _cursor, uint _count) internal view returns(bytes32[] memory IDs) {
+        uint end = _count == 0 || _cursor.addCap(_count) > _IDs.length ? _IDs.length : _cursor + _count;
+        if (_cursor >= end)
+            return IDs;
+        IDs = new bytes32[](end - _cursor);
+        for (uint i = 0; i < IDs.length; i++)
+            IDs[i] = _IDs[_cursor + i];
+    }
+
+    /** @dev Check that the caller made a report and can still retract or amend it: nobody contributed to a challenge and the challenge period is not over.
+     *  @param _report The report.
+     *  @param _ID The ID of the report.
+     */
+    function requireChangeable(Report storage _report, bytes32 _ID) internal view {
+        require(_report.status == Status.Created, "The report should be in Created status.");
+        require(reportBonds[_ID].serviceProvider == msg.sender, "Only the service provider can change the report.");
+        require(_report.rounds.length == 0, "The report is being challenged."); // Rounds are only created by contributions to a challenge, which cannot be empty.
+        require(now - _report.lastActionTime <= parameterSnapshots[_report.parametersID].executionTimeout, "Time to change the report has passed.");
+    }
+
+    /** @dev Make a fee contribution. Mark the side as fully funded once the total amount required is paid.
+     *  @param _ID The ID of the report.
+     *  @param _round The index of the round to contribute.
      *  @param _side The side for which to contribute.
      *  @param _contributor The contributor.
      *  @param _amount The amount contributed.
      *  @param _totalRequired The total amount required for this side.
-     *  @return The amount of appeal fees contributed.
+     *  @return True if the side is fully funded.
      */
-    function contribute(Round storage _round, Party _side, address payable _contributor, uint _amount, uint _totalRequired) internal returns (uint) {
+    function contribute(bytes32 _ID, uint _round, Party _side, address payable _contributor, uint _amount, uint _totalRequired) internal returns (bool) {
+        Crowdfunding.Round storage round = reports[_ID].rounds[_round];
+        bool funded = round.hasPaid[uint(_side)];
         // Take up to the amount necessary to fund the current round at the current costs.
-        uint contribution; // Amount contributed.
-        uint remainingETH; // Remaining ETH to send back.
-        (contribution, remainingETH) = calculateContribution(_amount, _totalRequired.subCap(_round.paidFees[uint(_side)]));
-        _round.contributions[_contributor][uint(_side)] += contribution;
-        _round.paidFees[uint(_side)] += contribution;
-        _round.feeRewards += contribution;
+        (uint contribution, uint remainder) = round.contribute(uint(_side), _contributor, _amount, _totalRequired);
 
-        // Reimburse leftover ETH.
-        _contributor.send(remainingETH); // Deliberate use of send in order to not block the contract in case of reverting fallback.
+        settleContribution(_contributor, contribution, remainder);
+        emit Contribution(_ID, _round, _contributor, _side, contribution);
 
-        return contribution;
+        if (!funded && round.hasPaid[uint(_side)])
+            emit SideFunded(_ID, _round, _side);
+        return round.hasPaid[uint(_side)];
     }
 
-    /** @dev Execute the ruling of a dispute.
+    // ************************ //
+    // *       Payments       * //
+    // ************************ //
+
+    /** @dev Add the fee stake to the part of a deposit that covers an arbitration or appeal cost.
+     *  @param _cost The part of the deposit that covers the cost.
+     *  @param _multiplier The stake multiplier of the side, in basis points.
+     *  @return The cost and its fee stake.
+     */
+    function withFeeStake(uint _cost, uint _multiplier) internal pure returns(uint) {
+        return _cost.addCap(_cost.mulCap(_multiplier) / MULTIPLIER_DIVISOR);
+    }
+
+    /** @dev Compute the deposit a side must pay to challenge or confirm a report.
+     *  @param _report The report.
+     *  @return arbitrationCost The arbitration cost in wei.
+     *  @return depositCost The part of the deposit that covers the arbitration cost, in the currency of the deposits.
+     *  @return totalCost The deposit: the arbitration cost, its fee stake and the base deposit.
+     */
+    function depositCosts(Report storage _report) internal view returns(uint arbitrationCost, uint depositCost, uint totalCost) {
+        Parameters storage parameters = parameterSnapshots[_report.parametersID];
+        arbitrationCost = _report.arbitrator.arbitrationCost(parameters.arbitratorExtraData);
+        depositCost = depositAmount(arbitrationCost);
+        totalCost = withFeeStake(depositCost, parameters.sharedStakeMultiplier).addCap(parameters.baseDeposit);
+    }
+
+    /** @dev Convert an amount of ETH owed to the arbitrator into the currency of the deposits.
+     *  View rather than pure, despite the compiler warning: the TokenValidator reads its rate, and an override cannot change the state mutability.
+     *  @param _cost The arbitration or appeal cost in wei.
+     *  @return The amount the parties must contribute to cover the cost.
+     */
+    function depositAmount(uint _cost) internal view returns(uint) {
+        return _cost;
+    }
+
+    /** @dev Get the amount the caller makes available for a contribution.
+     *  @return The ETH sent with the call.
+     */
+    function availableFunds() internal returns(uint) {
+        return msg.value;
+    }
+
+    /** @dev Settle a contribution once its amount is known. The ETH taken was sent with the call, so only the remainder is left to settle.
+     *  @param _contributor The contributor.
+     *  @param _remainder The amount made available but not taken.
+     */
+    function settleContribution(address payable _contributor, uint, uint _remainder) internal {
+        pay(_contributor, _remainder); // Reimburse leftover ETH.
+    }
+
+    /** @dev Record that the contributions covered an arbitration or appeal fee. The fee itself is paid in ETH.
+     *  @param _amount The amount of contributions, in the currency of the deposits, that covered the fee.
+     */
+    function arbitrationFeePaid(uint _amount) internal {}
+
+    /** @dev Pay fees, rewards and reimbursements. If the transfer fails, e.g. because the beneficiary is a contract with a reverting or expensive fallback, the amount is credited to the beneficiary instead.
+     *  @param _beneficiary The recipient of the payment.
+     *  @param _amount The amount to pay.
+     */
+    function pay(address payable _beneficiary, uint _amount) internal {
+        if (_amount > 0 && !transferFunds(_beneficiary, _amount, false)) {
+            credits[_beneficiary] += _amount;
+            emit Credited(_beneficiary, _amount);
+        }
+    }
+
+    /** @dev Transfer an amount in the currency of the deposits without reverting.
+     *  @param _recipient The recipient of the transfer.
+     *  @param _amount The amount to transfer.
+     *  @param _allGas Whether to forward all the gas to the recipient.
+     *  @return Whether the transfer succeeded.
+     */
+    function transferFunds(address payable _recipient, uint _amount, bool _allGas) internal returns(bool success) {
+        if (_allGas) // Only for withdrawCredit, which clears the credit before the transfer, so a reentrant call has nothing left to withdraw. All the gas lets a contract with an expensive fallback receive it.
+            (success, ) = _recipient.call.value(_amount)(""); // solium-disable-line security/no-call-value
+        else
+            success = _recipient.send(_amount); // Deliberate use of send in order to not block the contract in case of reverting fallback.
+    }
+
+    /** @dev Clear the contributions of a beneficiary to a round of a resolved report. The contributors to the funded challenge also get their share of the bond if the report was overturned.
+     *  @param _ID The ID of the resolved report.
+     *  @param _round The index of the round.
+     *  @param _beneficiary The address that made contributions.
+     *  @return The amount to pay to the beneficiary.
+     */
+    function withdrawRound(bytes32 _ID, uint _round, address _beneficiary) internal returns(uint reward) {
+        Report storage report = reports[_ID];
+        Crowdfunding.Round storage round = report.rounds[_round];
+        Bond storage bond = reportBonds[_ID];
+        if (bond.awarded && _round == report.challengeRounds[report.challengedOutcome] - 1)
+            reward = (bond.amount * round.contributions[_beneficiary][uint(Party.Challenger)]) / round.paidFees[uint(Party.Challenger)];
+        reward += round.withdraw(uint(report.ruling), _beneficiary);
+        if (reward > 0)
+            emit RewardWithdrawn(_ID, _round, _beneficiary, reward);
+    }
+
+    /** @dev Execute the ruling of a dispute. Must be called by the arbitrator of the dispute.
+     *  The bond of the service provider is returned to it if the ruling upholds the reported outcome and shared by the contributors to the challenge otherwise.
      *  @param _disputeID ID of the dispute in the arbitrator contract.
      *  @param _ruling Ruling given by the arbitrator. Note that 0 is reserved for "Refused to arbitrate".
      */
     function executeRuling(uint _disputeID, uint _ruling) internal {
-        bytes32 ID = disputeIDToReportID[_disputeID];
+        bytes32 ID = disputeIDToReportID[msg.sender][_disputeID];
         Report storage report = reports[ID];
 
-        Party winner = Party(_ruling);
+        report.ruling = rulingToParty(report, _ruling);
+        uint outcome = _ruling == 0 ? 0 : _ruling - 1; // Don't validate the report in case of unconclusive ruling.
+        releaseBond(ID, outcome != report.outcome);
+        report.outcome = outcome;
 
-        if (winner == Party.Challenger) {
-            if (report.outcome == Outcome.SUCCESS)
-                report.outcome = Outcome.FAILURE;
-            else
-                report.outcome = Outcome.SUCCESS;
-        } else if (winner == Party.None) {
-            report.outcome = Outcome.FAILURE; // Don't validate the report in case of unconclusive ruling.
+        setStatus(ID, Status.Resolved);
+        if (autoRegistration[address(report.ida)])
+            registerInIDA(ID, false);
+    }
+
+    /** @dev Register the outcome of a resolved report in the IDA. A successful outcome is registered as a failure if the claim on the promise was removed or changed.
+     *  Note that the IDA is called with all the remaining gas but 1/64th, so an IDA consuming it all can still make the transaction run out of gas.
+     *  @param _ID The ID of the report.
+     *  @param _revertOnFailure True to revert with the revert data of the IDA if it reverts. Otherwise the failure is recorded so the registration can be retried with registerOutcome.
+     */
+    function registerInIDA(bytes32 _ID, bool _revertOnFailure) internal {
+        Report storage report = reports[_ID];
+        RegistrationFailure failure;
+        bytes memory data = abi.encodeWithSelector(report.ida.rejectPromise.selector, report.key);
+        if (report.outcome > 0) {
+            failure = claimFailure(_ID);
+            if (failure == RegistrationFailure.None)
+                data = abi.encodeWithSelector(report.ida.validatePromise.selector, report.key, report.outcome);
+        }
+        report.outcomeRegistered = true; // Set before the call to prevent reentrant registrations.
+        (bool success, bytes memory reason) = address(report.ida).call(data);
+        if (!success) {
+            if (_revertOnFailure)
+                assembly { revert(add(reason, 32), mload(reason)) }
+            report.outcomeRegistered = false;
+            registrationFailures[_ID] = RegistrationFailure.Reverted;
+            emit OutcomeRegistrationFailed(_ID, reason);
+        } else {
+            registrationFailures[_ID] = failure; // The report keeps its outcome, while the IDA registered a failure.
+            if (failure != RegistrationFailure.None)
+                emit OutcomeRejected(_ID, failure);
+            emit OutcomeRegistered(_ID, report.outcome);
         }
+    }
+
+    /** @dev Check the claim of the service provider on the promise of a report, which the IDA requires to validate the promise.
+     *  The claim and the promise price are read with low-level static calls, so an IDA or a claims registry that reverts cannot block the registration.
+     *  @param _ID The ID of the report.
+     *  @return ClaimUnreadable if they could not be read, ClaimRemoved if there is no claim, ClaimChanged if it does not match the promise price, None otherwise.
+     */
+    function claimFailure(bytes32 _ID) internal view returns(RegistrationFailure) {
+        Report storage report = reports[_ID];
+        (bool success, bytes32 registry) = staticRead(address(report.ida), abi.encodeWithSelector(report.ida.claimsRegistry.selector));
+        bytes32 claim;
+        if (success)
+            (success, claim) = staticRead(address(uint(registry)), abi.encodeWithSelector(ClaimsRegistryInterface(0).getClaim.selector, reportBonds[_ID].serviceProvider, report.ida, report.key));
+        bytes32 price;
+        if (success)
+            (success, price) = staticRead(address(report.ida), abi.encodeWithSelector(report.ida.promisePrice.selector));
+
+        if (!success)
+            return RegistrationFailure.ClaimUnreadable;
+        if (claim == bytes32(0))
+            return RegistrationFailure.ClaimRemoved;
+        if (claim != price)
+            return RegistrationFailure.ClaimChanged;
+        return RegistrationFailure.None;
+    }
 
-        report.status = Status.Resolved;
-        report.ruling = Party(_ruling);
+    /** @dev Read a single word from a contract with a low-level static call.
+     *  @param _target The contract.
+     *  @param _data The call data.
+     *  @return success False if the call reverted or returned less than a word.
+     *  @return result The first word returned.
+     */
+    function staticRead(address _target, bytes memory _data) internal view returns(bool success, bytes32 result) {
+        bytes memory data;
+        (success, data) = _target.staticcall(_data);
+        success = success && data.length >= 32;
+        if (success)
+            result = abi.decode(data, (bytes32));
+    }
+
+    /** @dev Release the bond of the service provider once the report is settled or retracted.
+     *  @param _ID The ID of the report.
+     *  @param _overturned True to award the bond to the contributors to the challenge, false to return it to the service provider.
+     */
+    function releaseBond(bytes32 _ID, bool _overturned) internal {
+        Bond storage bond = reportBonds[_ID];
+        if (_overturned) {
+            bond.awarded = true; // Paid with the rewards of the challenge round.
+        } else {
+            uint amount = bond.amount;
+            bond.amount = 0;
+            pay(bond.payer, amount);
+        }
+    }
+
+    /** @dev Get the party whose outcome is upheld by a ruling.
+     *  @param _report The disputed report.
+     *  @param _ruling Ruling given by the arbitrator.
+     *  @return The party. None if the ruling is 0 or upholds another outcome than the ones of the parties.
+     */
+    function rulingToParty(Report storage _report, uint _ruling) internal view returns(Party) {
+        if (_ruling == 0)
+            return Party.None;
+        else if (_ruling - 1 == _report.outcome)
+            return Party.Supporter;
+        else if (_ruling - 1 == _report.challengedOutcome)
+            return Party.Challenger;
+        else
+            return Party.None;
     }
 
     // ************************ //
     // *       Getters        * //
     // ************************ //
 
+    /** @dev Get the number of rounds of a report.
+     *  @param _ID The ID of the report.
+     *  @return The number of rounds.
+     */
+    function getNumberOfRounds(bytes32 _ID) external view returns(uint) {
+        return reports[_ID].rounds.length;
+    }
+
+    /** @dev Get the round crowdfunding the deposit of the challenges proposing an outcome.
+     *  @param _ID The ID of the report.
+     *  @param _outcome The proposed outcome.
+     *  @return The index of the round plus 1. 0 if nobody contributed to a challenge proposing the outcome.
+     */
+    function getChallengeRound(bytes32 _ID, uint _outcome) external view returns(uint) {
+        return reports[_ID].challengeRounds[_outcome];
+    }
+
+    /** @dev Get the number of reports listed by getReportIDs.
+     *  @return The number of reports.
+     */
+    function getNumberOfReports() external view returns(uint) {
+        return reportIDs.length;
+    }
+
+    /** @dev Get a page of the IDs of all the reports.
+     *  @param _cursor The index of the first report of the page.
+     *  @param _count The number of reports of the page. 0 for all the reports after the cursor.
+     *  @return The IDs of the reports, in creation order. Shorter than _count on the last page.
+     */
+    function getReportIDs(uint _cursor, uint _count) external view returns(bytes32[] memory) {
+        return page(reportIDs, _cursor, _count);
+    }
+
+    /** @dev Get a page of the IDs of the reports made to an IDA.
+     *  @param _ida The address of the IDA.
+     *  @param _cursor The index of the first report of the page.
+     *  @param _count The number of reports of the page. 0 for all the reports after the cursor.
+     *  @return The IDs of the reports, in creation order. Shorter than _count on the last page.
+     */
+    function getReportsByIDA(address _ida, uint _cursor, uint _count) external view returns(bytes32[] memory) {
+        return page(idaReportIDs[_ida], _cursor, _count);
+    }
+
+    /** @dev Get the IDs of all the reports made to a promise.
+     *  @param _ida The address of the IDA.
+     *  @param _key The ID of the promise.
+     *  @return The IDs of the reports, from the first to the last.
+     */
+    function getReportHistory(address _ida, bytes32 _key) external view returns(bytes32[] memory) {
+        return reportHistory[_ida][_key];
+    }
+
     /** @dev Get the contributions made by a party for a given round of a report.
      *  @param _ID The ID of the report.
      *  @param _round The round to query.
@@ -524,7 +1299,7 @@ contract Validator is IArbitrable, IEvidence {
         address _contributor
     ) external view returns(uint[3] memory contributions) {
         Report storage report = reports[_ID];
-        Round storage round = report.rounds[_round];
+        Crowdfunding.Round storage round = report.rounds[_round];
         contributions = round.contributions[_contributor];
     }
 
@@ -544,7 +1319,7 @@ contract Validator is IArbitrable, IEvidence {
         )
     {
         Report storage report = reports[_ID];
-        Round storage round = report.rounds[_round];
+        Crowdfunding.Round storage round = report.rounds[_round];
         return (
             _round != (report.rounds.length - 1),
             round.paidFees,
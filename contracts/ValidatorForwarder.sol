@@ -0,0 +1,129 @@
+/**
+ *  @authors: [@unknownunknown1]
+ *  @reviewers: []
+ *  @auditors: []
+ *  @bounties: []
+ *  @deployments: []
+ */
+
+pragma solidity ^0.5.13;
+
+/* solium-disable max-len*/
+import { Validator } from "./Validator.sol";
+
+/** @title ValidatorForwarder
+ *  Relays calls to a Validator that are signed by their sender, so a relayer pays the gas and service providers without ETH can make reports and submit evidence.
+ *  Requests are signed as EIP-712 typed data and carry the nonce of their signer, so each of them is relayed at most once. The relayer and the signer are appended to the call data, the signer last as in EIP-2771, and the Validator acts on behalf of the signer once it trusts this forwarder.
+ *  Only makeReport, submitEvidence, approveReport and registerOutcome can be relayed. ETH sent along the request, e.g. for the provider bond, is paid by the relayer, to which the Validator returns the extra ETH and the bond.
+ */
+contract ValidatorForwarder {
+
+    /* Storage */
+
+    bytes32 public constant DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant REQUEST_TYPEHASH = keccak256("ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,bytes data)");
+    string public constant NAME = "ValidatorForwarder";
+    string public constant VERSION = "1";
+
+    Validator public validator; // The Validator the calls are relayed to.
+    uint public chainId; // The ID of the chain the signatures are valid on.
+    bytes32 public domainSeparator; // The EIP-712 domain of the signatures.
+    mapping (address => uint) public nonces; // Maps a signer to the nonce of its next request. nonces[_from].
+
+    /* Events */
+
+    /**
+     *  @dev Emitted when a signed request is relayed.
+     *  @param _from The signer of the request.
+     *  @param _relayer The address that relayed the request and paid its gas.
+     *  @param _nonce The nonce of the request.
+     */
+    event Relayed(address indexed _from, address indexed _relayer, uint _nonce);
+
+    /** @dev Constructor.
+     *  @param _validator The Validator the calls are relayed to.
+     *  @param _chainId The ID of the chain the signatures are valid on.
+     */
+    constructor(Validator _validator, uint _chainId) public {
+        validator = _validator;
+        chainId = _chainId;
+        domainSeparator = keccak256(abi.encode(DOMAIN_TYPEHASH, keccak256(bytes(NAME)), keccak256(bytes(VERSION)), _chainId, address(this)));
+    }
+
+    /* External and Public */
+
+    /** @dev Relay a signed request to the Validator. Reverts with the reason of the call if it fails, so the nonce is not used.
+     *  @param _from The signer of the request.
+     *  @param _value The amount of wei to send along the call. Must be sent with this transaction.
+     *  @param _gas The amount of gas to give to the call.
+     *  @param _data The call to the Validator, including the selector.
+     *  @param _signature The signature of the request, 65 bytes.
+     */
+    function execute(address _from, uint _value, uint _gas, bytes memory _data, bytes memory _signature) public payable {
+        require(msg.value == _value, "The value of the request must be sent.");
+        require(isRelayable(_data), "The function cannot be relayed.");
+        uint nonce = nonces[_from];
+        require(_from != address(0) && recover(getDigest(_from, _value, _gas, nonce, _data), _signature) == _from, "The signature does not match the request.");
+        nonces[_from] = nonce + 1;
+
+        (bool success, bytes memory result) = address(validator).call.gas(_gas).value(_value)(abi.encodePacked(_data, msg.sender, _from));
+        if (!success)
+            assembly { revert(add(result, 32), mload(result)) }
+        require(gasleft() > _gas / 63, "Not enough gas was given to the call."); // Prevents the relayer from making the call fail on purpose, see EIP-150.
+
+        emit Relayed(_from, msg.sender, nonce);
+    }
+
+    /* Public Views */
+
+    /** @dev Get the EIP-712 digest a request is signed over.
+     *  @param _from The signer of the request.
+     *  @param _value The amount of wei to send along the call.
+     *  @param _gas The amount of gas to give to the call.
+     *  @param _nonce The nonce of the request.
+     *  @param _data The call to the Validator, including the selector.
+     *  @return The digest.
+     */
+    function getDigest(address _from, uint _value, uint _gas, uint _nonce, bytes memory _data) public view returns(bytes32) {
+        bytes32 structHash = keccak256(abi.encode(REQUEST_TYPEHASH, _from, address(validator), _value, _gas, _nonce, keccak256(_data)));
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator, structHash));
+    }
+
+    /** @dev Check whether a call to the Validator can be relayed.
+     *  @param _data The call, including the selector.
+     *  @return True if the call is to makeReport, submitEvidence, approveReport or registerOutcome.
+     */
+    function isRelayable(bytes memory _data) public view returns(bool) {
+        if (_data.length < 4)
+            return false;
+        bytes4 selector;
+        assembly { selector := mload(add(_data, 32)) }
+        return selector == validator.makeReport.selector ||
+            selector == validator.submitEvidence.selector ||
+            selector == validator.approveReport.selector ||
+            selector == validator.registerOutcome.selector;
+    }
+
+    /* Internal */
+
+    /** @dev Recover the signer of a digest.
+     *  @param _digest The signed digest.
+     *  @param _signature The signature, as r, s and v. v can be 0 or 1, or 27 or 28.
+     *  @return The signer. 0 if the signature is invalid.
+     */
+    function recover(bytes32 _digest, bytes memory _signature) internal pure returns(address) {
+        if (_signature.length != 65)
+            return address(0);
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(_signature, 32))
+            s := mload(add(_signature, 64))
+            v := byte(0, mload(add(_signature, 96)))
+        }
+        if (v < 27)
+            v += 27;
+        return ecrecover(_digest, v, r, s);
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ *  @authors: [@unknownunknown1]
+ *  @reviewers: []
+ *  @auditors: []
+ *  @bounties: []
+ *  @deployments: []
+ */
+
+pragma solidity ^0.5.13;
+pragma experimental ABIEncoderV2;
+
+/* solium-disable max-len*/
+import { IArbitrator } from "@kleros/erc-792/contracts/IArbitrator.sol";
+import { Validator } from "./Validator.sol";
+import { Crowdfunding } from "./Crowdfunding.sol";
+
+/** @title ValidatorView
+ *  Read-only helper that gathers the state of reports and of their disputes in a single call, so light clients do not need an indexer.
+ *  It is a separate contract to keep the bytecode of the Validator under the size limit. It holds no state and works with any Validator.
+ */
+contract ValidatorView {
+
+    /* Structs */
+
+    // The fields returned by the reports getter of the Validator, in the same order.
+    struct Report {
+        address ida;
+        bytes32 key;
+        Validator.Status status;
+        uint disputeID;
+        uint lastActionTime;
+        address supporter;
+        address challenger;
+        Validator.Party ruling;
+        uint outcome;
+        bool outcomeRegistered;
+        uint metaEvidenceID;
+        uint challengedOutcome;
+        uint parametersID;
+        IArbitrator arbitrator;
+    }
+
+    struct ReportDetails {
+        bytes32 ID; // The ID of the report.
+        Report report; // The state of the report.
+        uint numberOfRounds; // The number of rounds of the report.
+        Validator.RegistrationFailure registrationFailure; // Why the outcome could not be registered as it is, if it could not.
+        uint currentRuling; // The current ruling of the dispute. 0 if the report is not disputed.
+        uint appealPeriodStart; // The start of the appeal period of the dispute. 0 if the report is not disputed or the dispute is not appealable yet.
+        uint appealPeriodEnd; // The end of the appeal period of the dispute. 0 if the report is not disputed or the dispute is not appealable yet.
+    }
+
+    /* External and Public */
+
+    /** @dev Get the state of a report along with the state of its dispute in the arbitrator.
+     *  @param _validator The Validator of the report.
+     *  @param _ID The ID of the report.
+     *  @return The details of the report.
+     */
+    function getReportDetails(Validator _validator, bytes32 _ID) public view returns(ReportDetails memory details) {
+        details.ID = _ID;
+        details.report = getReport(_validator, _ID);
+        details.numberOfRounds = _validator.getNumberOfRounds(_ID);
+        details.registrationFailure = _validator.registrationFailures(_ID);
+        if (details.report.status != Validator.Status.Disputed)
+            return details;
+
+        IArbitrator arbitrator = details.report.arbitrator;
+        details.currentRuling = arbitrator.currentRuling(details.report.disputeID);
+        (bool success, bytes memory data) = address(arbitrator).staticcall(abi.encodeWithSelector(arbitrator.appealPeriod.selector, details.report.disputeID));
+        if (success) // The arbitrator can revert until the dispute is appealable.
+            (details.appealPeriodStart, details.appealPeriodEnd) = abi.decode(data, (uint, uint));
+    }
+
+    /** @dev Get the details of several reports, e.g. of a page returned by getReportIDs or getReportsByIDA.
+     *  @param _validator The Validator of the reports.
+     *  @param _IDs The IDs of the reports.
+     *  @return The details of the reports, in the same order.
+     */
+    function getReportsDetails(Validator _validator, bytes32[] calldata _IDs) external view returns(ReportDetails[] memory details) {
+        details = new ReportDetails[](_IDs.length);
+        for (uint i = 0; i < _IDs.length; i++)
+            details[i] = getReportDetails(_validator, _IDs[i]);
+    }
+
+    /** @dev Get the total amount a beneficiary can withdraw from all the rounds of a report, including its share of the bond of the service provider if the report was overturned.
+     *  @param _validator The Validator of the report.
+     *  @param _ID The ID of the report.
+     *  @param _beneficiary The address that made contributions.
+     *  @return The withdrawable amount. 0 if the report is not resolved.
+     */
+    function amountWithdrawable(Validator _validator, bytes32 _ID, address _beneficiary) external view returns(uint total) {
+        Report memory report = getReport(_validator, _ID);
+        if (report.status != Validator.Status.Resolved)
+            return 0;
+
+        (, uint bond, bool awarded, ) = _validator.reportBonds(_ID);
+        uint challengeRound = _validator.getChallengeRound(_ID, report.challengedOutcome) - 1;
+        uint numberOfRounds = _validator.getNumberOfRounds(_ID);
+        for (uint i = 0; i < numberOfRounds; i++) {
+            (, uint[3] memory paidFees, bool[3] memory hasPaid, uint feeRewards) = _validator.getRoundInfo(_ID, i);
+            uint[3] memory contributions = _validator.getContributions(_ID, i, _beneficiary);
+            total += Crowdfunding.calculateReward(paidFees, hasPaid, feeRewards, contributions, uint(report.ruling));
+            if (awarded && i == challengeRound)
+                total += (bond * contributions[uint(Validator.Party.Challenger)]) / paidFees[uint(Validator.Party.Challenger)];
+        }
+    }
+
+    /* Internal */
+
+    /** @dev Get the state of a report.
+     *  @param _validator The Validator of the report.
+     *  @param _ID The ID of the report.
+     *  @return The fields returned by the reports getter of the Validator.
+     */
+    function getReport(Validator _validator, bytes32 _ID) internal view returns(Report memory) {
+        (, bytes memory data) = address(_validator).staticcall(abi.encodeWithSelector(_validator.reports.selector, _ID));
+        return abi.decode(data, (Report)); // Decoded as a whole to avoid a stack too deep error.
+    }
+}
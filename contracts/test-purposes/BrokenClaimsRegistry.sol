@@ -0,0 +1,25 @@
+pragma solidity ^0.5.13;
+
+import { ClaimsRegistry } from "./ClaimsRegistry.sol";
+
+/**
+ * @title BrokenClaimsRegistry
+ * @dev A claims registry whose claims can be made unreadable, as if it reverted. Only used for tests.
+ */
+contract BrokenClaimsRegistry is ClaimsRegistry {
+
+    bool public broken; // True if reading a claim reverts.
+
+    /**
+     * @dev Make the claims unreadable or readable again.
+     * @param _broken True to make reading a claim revert.
+     */
+    function setBroken(bool _broken) external {
+        broken = _broken;
+    }
+
+    function getClaim(address issuer, address subject, bytes32 key) public view returns(bytes32) {
+        require(!broken, "The registry is broken.");
+        return super.getClaim(issuer, subject, key);
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ *  @authors: [@unknownunknown1]
+ *  @reviewers: []
+ *  @auditors: []
+ *  @bounties: []
+ *  @deployments: []
+ */
+
+pragma solidity ^0.5.13;
+
+/* solium-disable max-len*/
+import { ERC20 } from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import { Validator } from "../Validator.sol";
+import { Ida } from "./ida.sol";
+import { Escrow } from "./Escrow.sol";
+import { FluidToken } from "./FluidToken.sol";
+import { ImpactPromise } from "./ImpactPromise.sol";
+import { ClaimsRegistry } from "./ClaimsRegistry.sol";
+
+/** @title IdaFactory
+ *  Deploys IDAs bound to a Validator along with their escrow, payment rights and impact promise token, wired together in a single transaction.
+ *  The escrow is owned by the IDA and pays out to the payment rights, which are all given to the service provider. The IDA is the only minter of its impact promise token.
+ *  The factory can also register the IDAs it creates with the Validator, once the governor makes it an IDA registrar, on behalf of callers that could register them themselves: the governor and the registrars of the Validator. Anyone can create an IDA, since they are all bound to the Validator.
+ *  NOTE: The IDA contracts are the copies of the Alice contracts found in this directory, so the factory is only meant for tests and test networks.
+ */
+contract IdaFactory {
+
+    /* Storage */
+
+    Validator public validator; // The Validator the IDAs are bound to.
+    ClaimsRegistry public claimsRegistry; // The registry of the claims of the service providers, shared by the IDAs.
+    Ida[] public idas; // The IDAs created by the factory, in creation order.
+
+    /* Events */
+
+    /**
+     *  @dev Emitted when an IDA is created.
+     *  @param _ida The address of the IDA.
+     *  @param _serviceProvider The service provider of the IDA, which holds the payment rights.
+     *  @param _escrow The escrow holding the funds of the IDA.
+     *  @param _paymentRights The token that gives the right to the funds unlocked by the IDA.
+     *  @param _impactPromise The token minted to the funders of the IDA.
+     *  @param _registered True if the IDA was registered with the Validator.
+     */
+    event IDACreated(
+        address indexed _ida,
+        address indexed _serviceProvider,
+        address _escrow,
+        address _paymentRights,
+        address _impactPromise,
+        bool _registered
+    );
+
+    /** @dev Constructor.
+     *  @param _validator The Validator the IDAs are bound to.
+     *  @param _claimsRegistry The registry of the claims of the service providers.
+     */
+    constructor(Validator _validator, ClaimsRegistry _claimsRegistry) public {
+        validator = _validator;
+        claimsRegistry = _claimsRegistry;
+    }
+
+    /* External and Public */
+
+    /** @dev Create an IDA bound to the Validator, with its own escrow, payment rights and impact promise token.
+     *  @param _paymentToken The token in which the IDA is funded and pays the service provider.
+     *  @param _name The name of the IDA.
+     *  @param _promiseNumber The number of impact promises of the IDA.
+     *  @param _promisePrice The price of a single promise, in payment tokens. It is also the value of the claims of the service provider.
+     *  @param _endTime The time after which no report can be made to the IDA.
+     *  @param _serviceProvider The service provider that makes the reports and holds the payment rights.
+     *  @param _register True to register the IDA with the Validator. The factory must be an IDA registrar of the Validator, and the caller its governor or a registrar.
+     *  @return The address of the IDA.
+     */
+    function createIDA(
+        ERC20 _paymentToken,
+        string memory _name,
+        uint _promiseNumber,
+        uint _promisePrice,
+        uint _endTime,
+        address _serviceProvider,
+        bool _register
+    ) public returns(Ida ida) {
+        require(!_register || msg.sender == validator.governor() || validator.idaRegistrars(msg.sender), "The caller must be the governor or a registrar.");
+        ida = deployIDA(_paymentToken, _name, _promiseNumber, _promisePrice, _endTime, _serviceProvider);
+        idas.push(ida);
+        if (_register)
+            validator.addIDA(address(ida));
+
+        emit IDACreated(address(ida), _serviceProvider, address(ida.escrow()), address(ida.paymentRights()), address(ida.impactPromise()), _register);
+    }
+
+    /* Public Views */
+
+    /** @dev Get the number of IDAs created by the factory.
+     *  @return The number of IDAs.
+     */
+    function getNumberOfIDAs() external view returns(uint) {
+        return idas.length;
+    }
+
+    /* Internal */
+
+    /** @dev Deploy an IDA with its impact promise token, and hand it over its escrow and the minting of the token.
+     *  @param _paymentToken The token in which the IDA is funded.
+     *  @param _name The name of the IDA.
+     *  @param _promiseNumber The number of impact promises of the IDA.
+     *  @param _promisePrice The price of a single promise.
+     *  @param _endTime The time after which no report can be made to the IDA.
+     *  @param _serviceProvider The service provider of the IDA.
+     *  @return The IDA.
+     */
+    function deployIDA(
+        ERC20 _paymentToken,
+        string memory _name,
+        uint _promiseNumber,
+        uint _promisePrice,
+        uint _endTime,
+        address _serviceProvider
+    ) internal returns(Ida ida) {
+        Escrow escrow = deployEscrow(_paymentToken, _promiseNumber, _promisePrice, _serviceProvider);
+        ImpactPromise impactPromise = new ImpactPromise();
+        ida = new Ida(_paymentToken, impactPromise, escrow, claimsRegistry, _name, _promiseNumber, _promisePrice, address(validator), _endTime, _serviceProvider);
+        escrow.transferOwnership(address(ida));
+        impactPromise.addMinter(address(ida));
+        impactPromise.renounceMinter();
+    }
+
+    /** @dev Deploy an escrow holding the price of all the promises and the payment rights it pays out to. The payment rights are given to the service provider.
+     *  @param _paymentToken The token held by the escrow.
+     *  @param _promiseNumber The number of impact promises of the IDA.
+     *  @param _promisePrice The price of a single promise.
+     *  @param _serviceProvider The service provider of the IDA.
+     *  @return The escrow, owned by the factory.
+     */
+    function deployEscrow(ERC20 _paymentToken, uint _promiseNumber, uint _promisePrice, address _serviceProvider) internal returns(Escrow escrow) {
+        uint capacity = _promiseNumber * _promisePrice;
+        require(capacity > 0 && capacity / _promisePrice == _promiseNumber, "Invalid number or price of the promises.");
+        escrow = new Escrow(_paymentToken, capacity);
+        FluidToken paymentRights = new FluidToken(escrow, capacity); // PaymentRights does not pass the constructor arguments of FluidToken.
+        escrow.setRecipient(address(paymentRights));
+        require(paymentRights.transfer(_serviceProvider, capacity), "The transfer of the payment rights failed.");
+    }
+}
@@ -0,0 +1,10 @@
+pragma solidity ^0.5.13;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20Mintable.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20Pausable.sol";
+
+/**
+ * @title PausableToken
+ * @dev A mintable token whose transfers the pauser can block, to make payouts fail. Only used for tests.
+ */
+contract PausableToken is ERC20Mintable, ERC20Pausable {}
@@ -0,0 +1,35 @@
+pragma solidity ^0.5.13;
+
+/**
+ * @title RevertingReceiver
+ * @dev A contract wallet that forwards calls and refuses ETH, or accepts it with a fallback more expensive than the stipend of `send`. Only used for tests.
+ */
+contract RevertingReceiver {
+
+    bool public accepting; // True if the fallback accepts ETH.
+    uint public received; // The amount of ETH accepted by the fallback.
+
+    /**
+     * @dev Accept or refuse ETH from now on.
+     * @param _accepting True to accept ETH.
+     */
+    function setAccepting(bool _accepting) external {
+        accepting = _accepting;
+    }
+
+    /**
+     * @dev Call a contract on behalf of this wallet. Reverts with the reason of the call if it fails.
+     * @param _target The contract to call.
+     * @param _data The call data.
+     */
+    function forward(address _target, bytes calldata _data) external payable {
+        (bool success, bytes memory reason) = _target.call.value(msg.value)(_data); // solium-disable-line security/no-call-value
+        if (!success)
+            assembly { revert(add(reason, 32), mload(reason)) }
+    }
+
+    function() external payable {
+        require(accepting, "ETH is refused.");
+        received += msg.value; // Costs more than the stipend of send.
+    }
+}
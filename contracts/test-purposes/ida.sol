@@ -18,6 +18,7 @@ contract Ida {
     event Funded(address indexed funder, uint256 amount, uint256 totalFunded);
     event Validated(uint256 amount);
     event Rejected(bytes32 key);
+    event Cancelled(bytes32 key);
 
     /**
      * @dev Throws if called by any account other than the Validator.
@@ -42,6 +43,7 @@ contract Ida {
     uint256 public endTime;
     address public serviceProvider;
     uint256 public nbPending;
+    uint256 public constant MAX_FULFILMENT = 100;
 
     mapping (bytes32 => bool) public reportRegistered;
 
@@ -93,10 +95,13 @@ contract Ida {
       require(!reportRegistered[key], "The report is already registered!");
       reportRegistered[key] = true;
       require(claimsRegistry.getClaim(serviceProvider, address(this), key) == bytes32(promisePrice), "A claim must be registered before registering a report");
+      // A promise can be reported again after its previous report was rejected, but not once it is validated.
+      require(!claimsRegistry.isApproved(validator, serviceProvider, address(this), key), "This promise has already been validated");
       nbPending = nbPending.add(1);
     }
 
-    function validatePromise(bytes32 key) public onlyValidator {
+    function validatePromise(bytes32 key, uint256 fulfilment) public onlyValidator {
+      require(fulfilment <= MAX_FULFILMENT, "The fulfilment is a percentage");
       require(!hasEnded(), "Cannot validate after project end");
       require(reportRegistered[key], "The report was not registered for this promise");
       reportRegistered[key] = false;
@@ -105,9 +110,11 @@ contract Ida {
         require(!claimsRegistry.isApproved(validator, serviceProvider, address(this), key), "This promise has already been validated");
 
         claimsRegistry.approveClaim(serviceProvider, address(this), key);
-        escrow.unlock(promisePrice);
+        // Unlock the share of the promise price matching the fulfilment of the promise.
+        uint256 amount = promisePrice.mul(fulfilment).div(MAX_FULFILMENT);
+        escrow.unlock(amount);
         validatedNumber = validatedNumber.add(1);
-        emit Validated(promisePrice);
+        emit Validated(amount);
       }
       nbPending = nbPending.sub(1);
     }
@@ -120,6 +127,13 @@ contract Ida {
       emit Rejected(key);
     }
 
+    function cancelReport(bytes32 key) public onlyValidator {
+      require(reportRegistered[key], "The report was not registered for this promise");
+      reportRegistered[key] = false;
+      nbPending = nbPending.sub(1);
+      emit Cancelled(key);
+    }
+
     function hasEnded() public view returns(bool) {
       return now > endTime && nbPending == 0;
     }
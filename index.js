@@ -0,0 +1,29 @@
+const ValidatorClient = require('./src/validator-client')
+const Keeper = require('./src/keeper')
+const Relayer = require('./src/relayer')
+const Indexer = require('./src/indexer')
+const JSONStore = require('./src/json-store')
+const {
+  ChangeStatus,
+  Outcome,
+  Party,
+  RegistrationFailure,
+  Status
+} = require('./src/enums')
+const evidence = require('./src/evidence')
+const metaTx = require('./src/meta-tx')
+
+module.exports = {
+  ChangeStatus,
+  Indexer,
+  JSONStore,
+  Keeper,
+  Outcome,
+  Party,
+  RegistrationFailure,
+  Relayer,
+  Status,
+  ValidatorClient,
+  ...evidence,
+  ...metaTx
+}
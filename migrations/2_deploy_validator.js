@@ -0,0 +1,82 @@
+/* eslint-disable no-undef, unicorn/filename-case */ // Truffle requires the numbered migration names and provides artifacts and web3.
+const { loadParameters, recordDeployment } = require('./utils/manifest')
+
+const Crowdfunding = artifacts.require('Crowdfunding')
+const Validator = artifacts.require('Validator')
+const TokenValidator = artifacts.require('TokenValidator')
+const ValidatorView = artifacts.require('ValidatorView')
+const ValidatorForwarder = artifacts.require('ValidatorForwarder')
+const Arbitrator = artifacts.require('EnhancedAppealableArbitrator')
+
+module.exports = async function(deployer, network) {
+  const parameters = loadParameters(network)
+  const blockNumber = await web3.eth.getBlockNumber() // Before any deployment, so that indexing from it misses no event.
+
+  let arbitrator = parameters.arbitrator
+  if (parameters.mocks) {
+    const { appealTimeout, arbitrationCost } = parameters.mocks
+    // The arbitrator is its own back up arbitrator, as in the tests.
+    await deployer.deploy(
+      Arbitrator,
+      arbitrationCost,
+      '0x0000000000000000000000000000000000000000',
+      parameters.arbitratorExtraData,
+      appealTimeout
+    )
+    const mockArbitrator = await Arbitrator.deployed()
+    await mockArbitrator.changeArbitrator(mockArbitrator.address)
+    arbitrator = mockArbitrator.address
+  }
+
+  const args = [
+    arbitrator,
+    parameters.arbitratorExtraData,
+    parameters.metaEvidence,
+    parameters.executionTimeout,
+    parameters.baseDeposit,
+    parameters.sharedStakeMultiplier,
+    parameters.winnerStakeMultiplier,
+    parameters.loserStakeMultiplier
+  ]
+  const contracts = { Arbitrator: arbitrator }
+
+  // The rounds bookkeeping is a linked library, keeping the Validators under the contract size limit.
+  await deployer.deploy(Crowdfunding)
+  await deployer.link(Crowdfunding, [Validator, TokenValidator])
+  contracts.Crowdfunding = Crowdfunding.address
+
+  if (parameters.depositToken) {
+    // Deposits are paid in the token. The governor must fund the arbitration pool before the first dispute.
+    const { address, arbitrationCostRate } = parameters.depositToken
+    await deployer.deploy(TokenValidator, address, arbitrationCostRate, ...args)
+    contracts.Validator = TokenValidator.address
+    contracts.DepositToken = address
+  } else {
+    await deployer.deploy(Validator, ...args)
+    contracts.Validator = Validator.address
+  }
+
+  // The view is stateless and works with any Validator, so light clients can share it.
+  await deployer.deploy(ValidatorView)
+  contracts.ValidatorView = ValidatorView.address
+
+  const validator = await (parameters.depositToken
+    ? TokenValidator
+    : Validator
+  ).deployed()
+
+  // Relays the reports and evidence signed by service providers without ETH.
+  await deployer.deploy(
+    ValidatorForwarder,
+    validator.address,
+    await web3.eth.getChainId()
+  )
+  await validator.changeTrustedForwarder(ValidatorForwarder.address)
+  contracts.ValidatorForwarder = ValidatorForwarder.address
+
+  // Governance changes are made directly until the delay is set.
+  if (parameters.governanceDelay)
+    await validator.changeGovernanceDelay(parameters.governanceDelay)
+
+  await recordDeployment(network, web3, contracts, blockNumber)
+}
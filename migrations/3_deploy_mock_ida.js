@@ -0,0 +1,54 @@
+/* eslint-disable no-undef, unicorn/filename-case */ // Truffle requires the numbered migration names and provides artifacts and web3.
+const {
+  loadDeployment,
+  loadParameters,
+  recordDeployment
+} = require('./utils/manifest')
+const { deployIDA } = require('../src/ida-factory')
+
+const Validator = artifacts.require('Validator')
+const IdaFactory = artifacts.require('IdaFactory')
+const ClaimsRegistry = artifacts.require('ClaimsRegistry')
+const ERC20Mintable = artifacts.require('ERC20Mintable')
+
+// Deploys an IDA bound to the Validator on networks that use mocks. Real IDAs are deployed by the Alice protocol.
+module.exports = async function(deployer, network, accounts) {
+  const parameters = loadParameters(network)
+  if (!parameters.mocks) return
+
+  const serviceProvider = accounts[0]
+  const { contracts } = loadDeployment(network) // The Validator may be a TokenValidator.
+  const { duration, name, promiseNumber, promisePrice } = parameters.mocks.ida
+
+  await deployer.deploy(ERC20Mintable) // Payment token.
+  await deployer.deploy(ClaimsRegistry)
+  await deployer.deploy(IdaFactory, contracts.Validator, ClaimsRegistry.address)
+
+  const { timestamp } = await web3.eth.getBlock('latest')
+  const ida = await deployIDA(
+    web3,
+    IdaFactory.address,
+    {
+      endTime: timestamp + duration,
+      name,
+      paymentToken: ERC20Mintable.address,
+      promiseNumber,
+      promisePrice,
+      serviceProvider
+    },
+    { abi: IdaFactory.abi, from: serviceProvider }
+  )
+  // Registered by the governor, as the factory is not an IDA registrar.
+  const validator = await Validator.at(contracts.Validator)
+  await validator.addIDA(ida.ida)
+
+  await recordDeployment(network, web3, {
+    ClaimsRegistry: ClaimsRegistry.address,
+    Escrow: ida.escrow,
+    Ida: ida.ida,
+    IdaFactory: IdaFactory.address,
+    ImpactPromise: ida.impactPromise,
+    PaymentRights: ida.paymentRights,
+    PaymentToken: ERC20Mintable.address
+  })
+}
@@ -0,0 +1,86 @@
+const fs = require('fs')
+const path = require('path')
+const jsonfile = require('jsonfile')
+
+const DEPLOYMENTS_DIRECTORY = path.join(__dirname, '..', '..', 'deployments')
+
+/**
+ * Truffle runs dry runs of a network under the `<network>-fork` name.
+ * @param {string} network The name of the network given by truffle.
+ * @returns {string} The name of the network without the dry run suffix.
+ */
+const baseNetwork = network => network.replace(/-fork$/, '')
+
+/**
+ * Load the deployment parameters of a network from `migrations/parameters/<network>.json`.
+ * @param {string} network The name of the network.
+ * @returns {object} The parameters.
+ */
+const loadParameters = network => {
+  const file = path.join(
+    __dirname,
+    '..',
+    'parameters',
+    `${baseNetwork(network)}.json`
+  )
+  if (!fs.existsSync(file))
+    throw new Error(`No deployment parameters for the ${network} network.`)
+
+  return jsonfile.readFileSync(file)
+}
+
+const manifests = {} // The manifests recorded by the running migrations, including those of dry runs, which are not written.
+
+/**
+ * Read the manifest of a network recorded by the running migrations or by a previous deployment.
+ * @param {string} network The name of the network.
+ * @returns {object|undefined} The manifest, if any.
+ */
+const readManifest = network => {
+  const file = path.join(DEPLOYMENTS_DIRECTORY, `${network}.json`)
+  if (manifests[network]) return manifests[network]
+  if (fs.existsSync(file)) return jsonfile.readFileSync(file)
+}
+
+/**
+ * Load the manifest of a network, e.g. to find the Validator deployed by a previous migration.
+ * @param {string} network The name of the network.
+ * @returns {object} The manifest.
+ */
+const loadDeployment = network => {
+  const manifest = readManifest(network)
+  if (!manifest)
+    throw new Error(`No deployment manifest for the ${network} network.`)
+
+  return manifest
+}
+
+/**
+ * Add contract addresses to the manifest of a network, `deployments/<network>.json`.
+ * @param {string} network The name of the network.
+ * @param {object} web3 The web3 instance of the migration.
+ * @param {object} contracts Maps contract names to their addresses.
+ * @param {number} [blockNumber] Start a new manifest whose events are indexed from this block, e.g. the latest block before the Validator is redeployed.
+ */
+const recordDeployment = async (network, web3, contracts, blockNumber) => {
+  const manifest = (blockNumber === undefined && readManifest(network)) || {
+    blockNumber:
+      blockNumber === undefined ? await web3.eth.getBlockNumber() : blockNumber, // The block from which to index events.
+    contracts: {},
+    network,
+    networkId: await web3.eth.net.getId()
+  }
+  Object.assign(manifest.contracts, contracts)
+  manifests[network] = manifest
+  if (network.endsWith('-fork')) return
+
+  const file = path.join(DEPLOYMENTS_DIRECTORY, `${network}.json`)
+  if (!fs.existsSync(DEPLOYMENTS_DIRECTORY)) fs.mkdirSync(DEPLOYMENTS_DIRECTORY)
+  jsonfile.writeFileSync(file, manifest, { spaces: 2 })
+}
+
+module.exports = {
+  loadDeployment,
+  loadParameters,
+  recordDeployment
+}
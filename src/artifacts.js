@@ -0,0 +1,23 @@
+const path = require('path')
+
+const BUILD_DIRECTORY = path.join(__dirname, '..', 'build', 'contracts')
+
+/**
+ * Load the ABI of a compiled contract from the truffle build directory.
+ * @param {string} contractName The name of the contract, e.g. `Validator`.
+ * @returns {object[]} The ABI of the contract.
+ */
+const loadABI = contractName => {
+  try {
+    return require(path.join(BUILD_DIRECTORY, `${contractName}.json`)).abi
+  } catch (_) {
+    throw new Error(
+      `Could not load the ABI of ${contractName}. Run \`yarn build\` or pass the ABI explicitly.`
+    )
+  }
+}
+
+module.exports = {
+  BUILD_DIRECTORY,
+  loadABI
+}
@@ -0,0 +1,549 @@
+const fs = require('fs')
+const { toBN } = require('web3-utils')
+
+const ValidatorClient = require('./validator-client')
+const { Outcome, Party, RegistrationFailure, Status } = require('./enums')
+
+const USAGE = `Usage: alice-validator [--config <path>] <command>
+
+Commands:
+  report create <ida> <key> <SUCCESS|FAILURE|percentage>
+  report challenge <reportID> <SUCCESS|FAILURE|percentage> [evidenceURI] [value]
+  report confirm <reportID> [evidenceURI] [value]
+  report history <ida> <key>
+  report list [ida]
+  report retract <reportID>
+  report amend <reportID> <SUCCESS|FAILURE|percentage>
+  report approve <reportID>
+  report register <reportID>
+  appeal fund <reportID> <supporter|challenger> [value]
+  withdraw <reportID> <round|all> [beneficiary]
+  claimable <reportID>...
+  claim <reportID>...
+  credit withdraw [recipient]
+  governance set-arbitrator <address> <extraData>
+  governance set-timeout <seconds>
+  governance set-deposit <value>
+  governance set-multipliers <shared> <winner> <loser>
+  governance set-meta-evidence <metaEvidenceURI>
+  governance set-governor <address>
+  governance set-registrar <address> <true|false>
+  governance set-forwarder <address>
+  governance set-profile <ida> <extraData> <seconds> <value> <shared> <winner> <loser>
+  governance remove-profile <ida>
+  governance set-bond <ida> <value>
+  governance set-auto-registration <ida> <true|false>
+  governance set-delay <seconds>
+  governance pending
+  governance execute <changeID>
+  governance cancel <changeID>
+  ida add <ida>
+  ida remove <ida>
+  ida list
+  inspect <reportID>
+  relay sign <makeReport|submitEvidence|approveReport|registerOutcome> <arg>...
+
+The config file is a JSON object with the keys "rpcUrl", "validator" and, optionally, "privateKey".
+Instead of "validator", "deployment" can give the path of a manifest written by the migrations.
+"view" can give the address of a ValidatorView, which "report list" uses to fetch the reports in one call. "claim" and "claimable" require it.
+"forwarder" can give the address of the ValidatorForwarder, required by "relay sign". It prints the JSON body to post to a relayer.
+It defaults to ./alice-validator.json or the ALICE_VALIDATOR_CONFIG environment variable.
+Values are amounts in the currency of the deposits: wei, or base units of the token of a TokenValidator.
+Once the governance delay is set, governance commands queue the change. It is made with "governance execute" after the delay.`
+
+/**
+ * Get the name of an enum value.
+ * @param {object} enumeration One of the enums of `./enums`.
+ * @param {number} value The value.
+ * @returns {string} The name.
+ */
+const nameOf = (enumeration, value) =>
+  Object.keys(enumeration).find(name => enumeration[name] === value)
+
+/**
+ * Parse an enum value given either by name, case insensitively, or by number.
+ * @param {object} enumeration One of the enums of `./enums`.
+ * @param {string} arg The argument to parse.
+ * @returns {number} The value.
+ */
+const parseEnum = (enumeration, arg) => {
+  const name = Object.keys(enumeration).find(
+    name => name.toLowerCase() === String(arg).toLowerCase()
+  )
+  if (name !== undefined) return enumeration[name]
+  if (Object.values(enumeration).includes(Number(arg))) return Number(arg)
+
+  throw new Error(
+    `Invalid value "${arg}". Expected one of ${Object.keys(enumeration).join(
+      ', '
+    )}.`
+  )
+}
+
+/**
+ * Parse an outcome given either by name or as a percentage, e.g. `60` or `60%`.
+ * @param {string} arg The argument to parse.
+ * @returns {number} The outcome.
+ */
+const parseOutcome = arg => {
+  if (/^\d+%?$/.test(arg) && parseInt(arg, 10) <= Outcome.SUCCESS)
+    return parseInt(arg, 10)
+  return parseEnum(Outcome, arg)
+}
+
+/**
+ * Parse a boolean given as `true` or `false`.
+ * @param {string} arg The argument to parse.
+ * @returns {boolean} The boolean.
+ */
+const parseBoolean = arg => {
+  if (arg !== 'true' && arg !== 'false')
+    throw new Error(`Invalid value "${arg}". Expected true or false.`)
+  return arg === 'true'
+}
+
+/**
+ * Format a ruling as the outcome it stands for and the party it upholds.
+ * @param {object} report The report.
+ * @param {number} ruling The ruling.
+ * @returns {string} The formatted ruling.
+ */
+const formatRuling = (report, ruling) =>
+  ruling === 0
+    ? 'Refused to arbitrate'
+    : `${ruling - 1}% (${nameOf(
+        Party,
+        ValidatorClient.rulingToParty(report, ruling)
+      )})`
+
+/**
+ * Format a time in seconds relative to now.
+ * @param {number} time The time in seconds.
+ * @param {number} now The current time in seconds.
+ * @returns {string} The formatted time.
+ */
+const formatDeadline = (time, now) => {
+  const date = new Date(time * 1000).toISOString()
+  return time >= now
+    ? `${date} (in ${time - now} seconds)`
+    : `${date} (passed ${now - time} seconds ago)`
+}
+
+/**
+ * Get the unit in which the amounts of a Validator are displayed.
+ * @param {ValidatorClient} client The client of the Validator.
+ * @returns {Promise<string>} `wei`, or the base units of the deposit token of a `TokenValidator`.
+ */
+const getCurrency = async client => {
+  const token = await client.getDepositToken()
+  return token ? `units of token ${token.options.address}` : 'wei'
+}
+
+/**
+ * Load the settings of the CLI.
+ * @param {string} path The path of the config file.
+ * @returns {object} The settings.
+ */
+const loadConfig = path => {
+  if (!fs.existsSync(path)) throw new Error(`Config file ${path} not found.`)
+
+  const config = JSON.parse(fs.readFileSync(path, 'utf8'))
+  if (config.deployment) {
+    const { contracts } = JSON.parse(fs.readFileSync(config.deployment, 'utf8'))
+    config.validator = config.validator || contracts.Validator
+    config.view = config.view || contracts.ValidatorView
+    config.forwarder = config.forwarder || contracts.ValidatorForwarder
+  }
+  if (!config.validator)
+    throw new Error(
+      'The config file must set the address of the "validator" or the path of a "deployment" manifest.'
+    )
+
+  return config
+}
+
+/**
+ * Describe a report: its state, deadline and the deposits required to act on it.
+ * @param {ValidatorClient} client The client of the Validator.
+ * @param {string} ID The ID of the report.
+ * @returns {Promise<string[]>} The lines of the description.
+ */
+const inspect = async (client, ID) => {
+  const report = await client.getReport(ID)
+  if (report.status === Status.None) return [`Report ${ID} does not exist.`]
+
+  const { timestamp: now } = await client.web3.eth.getBlock('latest')
+  const currency = await getCurrency(client)
+  const { executionTimeout } = await client.getParameterSnapshot(
+    report.parametersID
+  )
+  const lines = [
+    `Report ${ID}`,
+    `  IDA:         ${report.ida}`,
+    `  Promise key: ${report.key}`,
+    `  Status:      ${nameOf(Status, report.status)}`,
+    `  Outcome:     ${report.outcome}%`,
+    `  Meta evidence ID: ${report.metaEvidenceID}`
+  ]
+  if (report.challenger !== '0x0000000000000000000000000000000000000000') {
+    lines.push(`  Challenger:  ${report.challenger}`)
+    lines.push(`  Challenged outcome: ${report.challengedOutcome}%`)
+  }
+  if (report.supporter !== '0x0000000000000000000000000000000000000000')
+    lines.push(`  Supporter:   ${report.supporter}`)
+  const bond = await client.getReportBond(ID)
+  if (!bond.amount.isZero())
+    lines.push(
+      `  Provider bond: ${bond.amount} ${currency}${
+        bond.awarded ? ', awarded to the challenge' : ''
+      }`
+    )
+
+  const deadline = report.lastActionTime + executionTimeout
+  if (report.status === Status.Created) {
+    lines.push(`  Challenge deadline: ${formatDeadline(deadline, now)}`)
+    lines.push(
+      `  Deposit to challenge: ${await client.getDepositRemainder(
+        ID,
+        Party.Challenger
+      )} ${currency} per proposed outcome`
+    )
+  } else if (report.status === Status.Challenged) {
+    lines.push(`  Confirmation deadline: ${formatDeadline(deadline, now)}`)
+    lines.push(
+      `  Deposit left to confirm: ${await client.getDepositRemainder(
+        ID,
+        Party.Supporter
+      )} ${currency}`
+    )
+  } else if (report.status === Status.Disputed) {
+    const arbitrator = await client.getArbitrator(ID)
+    const currentRuling = Number(
+      await arbitrator.methods.currentRuling(report.disputeID).call()
+    )
+    lines.push(`  Arbitrator:  ${report.arbitrator}`)
+    lines.push(`  Dispute ID:  ${report.disputeID}`)
+    lines.push(`  Current ruling: ${formatRuling(report, currentRuling)}`)
+    try {
+      const period = await arbitrator.methods
+        .appealPeriod(report.disputeID)
+        .call()
+      lines.push(
+        `  Appeal period: ${formatDeadline(
+          Number(period.start),
+          now
+        )} to ${formatDeadline(Number(period.end), now)}`
+      )
+      for (const side of [Party.Supporter, Party.Challenger])
+        lines.push(
+          `  Appeal fees left for ${nameOf(
+            Party,
+            side
+          )}: ${await client.getAppealFeeRemainder(ID, side)} ${currency}`
+        )
+    } catch (_) {
+      lines.push('  Appeal period: not started')
+    }
+  } else {
+    lines.push(`  Ruling:      ${nameOf(Party, report.ruling)}`)
+    lines.push(`  Outcome registered: ${report.outcomeRegistered}`)
+    if (report.registrationFailed)
+      lines.push(
+        '  The automatic registration of the outcome failed. Retry with "report register".'
+      )
+    else if (report.registrationFailure !== RegistrationFailure.None)
+      lines.push(
+        `  Registered as a failure: ${nameOf(
+          RegistrationFailure,
+          report.registrationFailure
+        )}`
+      )
+    if (client.view)
+      lines.push(
+        `  Claimable by ${client.from}: ${await client.getWithdrawable(
+          ID
+        )} ${currency}`
+      )
+  }
+
+  lines.push(`  Rounds:      ${await client.getNumberOfRounds(ID)}`)
+  return lines
+}
+
+/**
+ * Run a command of the CLI.
+ * @param {string[]} argv The arguments, without the node executable and the script.
+ * @param {object} [options] Optional settings.
+ * @param {object} [options.web3] A web3 instance to use instead of connecting to the `rpcUrl` of the config.
+ * @param {object} [options.config] The settings to use instead of loading the config file.
+ * @param {Function} [options.log] Function called with each line of output. Defaults to `console.log`.
+ * @param {object} [options.clientOptions] Extra options of the `ValidatorClient`, e.g. the ABIs.
+ */
+const run = async (argv, options = {}) => {
+  const log = options.log || console.log
+  const args = argv.slice()
+  let configPath =
+    process.env.ALICE_VALIDATOR_CONFIG || './alice-validator.json'
+  const configIndex = args.indexOf('--config')
+  if (configIndex !== -1) [, configPath] = args.splice(configIndex, 2)
+
+  if (args.length === 0 || args[0] === 'help' || args[0] === '--help')
+    return log(USAGE)
+
+  const config = options.config || loadConfig(configPath)
+  let { web3 } = options
+  if (!web3) {
+    const Web3 = require('web3')
+    web3 = new Web3(config.rpcUrl || 'http://localhost:8545')
+  }
+
+  let from = config.from
+  if (config.privateKey)
+    from = web3.eth.accounts.wallet.add(config.privateKey).address
+  if (!from) [from] = await web3.eth.getAccounts()
+
+  const client = new ValidatorClient(web3, config.validator, {
+    forwarder: config.forwarder,
+    from,
+    view: config.view,
+    ...options.clientOptions
+  })
+  const currency = await getCurrency(client)
+  const sent = receipt => {
+    log(`Transaction sent: ${receipt.transactionHash}`)
+    const queued = receipt.events && receipt.events.ChangeQueued
+    if (queued)
+      log(
+        `Change ${
+          queued.returnValues._changeID
+        } queued, executable from ${new Date(
+          queued.returnValues._eta * 1000
+        ).toISOString()}.`
+      )
+  }
+
+  const [command, subcommand, ...params] = args
+  switch (`${command} ${subcommand}`) {
+    case 'report create': {
+      const [ida, key, outcome] = params
+      const bond = await client.getProviderBond(ida)
+      if (!bond.isZero()) log(`Paying a bond of ${bond} ${currency}.`)
+      const receipt = await client.makeReport(ida, key, parseOutcome(outcome))
+      sent(receipt)
+      return log(`Report ID: ${receipt.events.ReportCreated.returnValues._ID}`)
+    }
+    case 'report history': {
+      const [ida, key] = params
+      const IDs = await client.getReportHistory(ida, key)
+      if (IDs.length === 0) return log('No report was made to the promise.')
+      for (const ID of IDs) {
+        const report = await client.getReport(ID)
+        log(
+          `${ID}: ${nameOf(Status, report.status)}, outcome ${report.outcome}%`
+        )
+      }
+      return
+    }
+    case 'report list': {
+      const [ida] = params
+      const IDs = ida
+        ? await client.getReportsByIDA(ida)
+        : await client.getReportIDs()
+      if (IDs.length === 0) return log('No report was made.')
+      const reports = client.view
+        ? await client.getReportsDetails(IDs)
+        : await Promise.all(IDs.map(ID => client.getReport(ID)))
+      for (const report of reports)
+        log(
+          `${report.ID}: ${nameOf(Status, report.status)}, outcome ${
+            report.outcome
+          }%`
+        )
+      return
+    }
+    case 'report challenge': {
+      const [ID, outcome, evidence, value] = params
+      const amount =
+        value !== undefined
+          ? toBN(value)
+          : await client.getDepositRemainder(
+              ID,
+              Party.Challenger,
+              parseOutcome(outcome)
+            )
+      log(`Contributing ${amount} ${currency} to the challenge deposit.`)
+      return client
+        .challengeReport(ID, parseOutcome(outcome), evidence, {
+          value: amount.toString()
+        })
+        .then(sent)
+    }
+    case 'report confirm': {
+      const [ID, evidence, value] = params
+      const amount =
+        value !== undefined
+          ? toBN(value)
+          : await client.getDepositRemainder(ID, Party.Supporter)
+      log(`Contributing ${amount} ${currency} to the confirmation deposit.`)
+      return client
+        .confirmReport(ID, evidence, { value: amount.toString() })
+        .then(sent)
+    }
+    case 'report retract':
+      return client.retractReport(params[0]).then(sent)
+    case 'report amend':
+      return client.amendReport(params[0], parseOutcome(params[1])).then(sent)
+    case 'report approve':
+      return client.approveReport(params[0]).then(sent)
+    case 'report register':
+      return client.registerOutcome(params[0]).then(sent)
+    case 'appeal fund': {
+      const [ID, side, value] = params
+      const party = parseEnum(Party, side)
+      const amount =
+        value !== undefined
+          ? toBN(value)
+          : await client.getAppealFeeRemainder(ID, party)
+      log(`Contributing ${amount} ${currency} to ${nameOf(Party, party)}.`)
+      return client
+        .fundAppeal(ID, party, { value: amount.toString() })
+        .then(sent)
+    }
+    case 'credit withdraw': {
+      const [recipient] = params
+      const credit = await client.getCredit()
+      if (credit.isZero()) return log('There is no credit to withdraw.')
+      log(`Withdrawing ${credit} ${currency}.`)
+      return client.withdrawCredit(recipient).then(sent)
+    }
+    case 'governance set-arbitrator':
+      return client.changeArbitrator(params[0], params[1]).then(sent)
+    case 'governance set-timeout':
+      return client.changeExecutionTimeout(params[0]).then(sent)
+    case 'governance set-deposit':
+      return client.changeBaseDeposit(params[0]).then(sent)
+    case 'governance set-multipliers': {
+      const [shared, winner, loser] = params
+      await client.changeSharedStakeMultiplier(shared).then(sent)
+      await client.changeWinnerStakeMultiplier(winner).then(sent)
+      return client.changeLoserStakeMultiplier(loser).then(sent)
+    }
+    case 'governance set-meta-evidence':
+      return client.changeMetaEvidence(params[0]).then(sent)
+    case 'governance set-governor':
+      return client.changeGovernor(params[0]).then(sent)
+    case 'governance set-forwarder':
+      return client.changeTrustedForwarder(params[0]).then(sent)
+    case 'governance set-registrar': {
+      const [registrar, allowed] = params
+      return client
+        .changeIDARegistrar(registrar, parseBoolean(allowed))
+        .then(sent)
+    }
+    case 'governance set-auto-registration': {
+      const [ida, enabled] = params
+      return client
+        .changeAutoRegistration(ida, parseBoolean(enabled))
+        .then(sent)
+    }
+    case 'governance set-profile': {
+      const [ida, arbitratorExtraData, executionTimeout, baseDeposit] = params
+      const [shared, winner, loser] = params.slice(4)
+      return client
+        .setIDAProfile(ida, {
+          arbitratorExtraData,
+          baseDeposit,
+          executionTimeout,
+          loserStakeMultiplier: loser,
+          sharedStakeMultiplier: shared,
+          winnerStakeMultiplier: winner
+        })
+        .then(sent)
+    }
+    case 'governance remove-profile':
+      return client.removeIDAProfile(params[0]).then(sent)
+    case 'governance set-bond': {
+      const [ida, bond] = params
+      log(`Setting the bond of ${ida} to ${bond} ${currency}.`)
+      return client.changeProviderBond(ida, bond).then(sent)
+    }
+    case 'governance set-delay':
+      return client.changeGovernanceDelay(params[0]).then(sent)
+    case 'governance pending': {
+      const { timestamp: now } = await web3.eth.getBlock('latest')
+      const changes = await client.getPendingChanges()
+      if (changes.length === 0) return log('No change is pending.')
+      return changes.forEach(change =>
+        log(
+          `Change ${change.changeID}: ${change.method}(${change.args.join(
+            ', '
+          )}), executable ${formatDeadline(change.eta, now)}`
+        )
+      )
+    }
+    case 'governance execute':
+      return client.executeChange(params[0]).then(sent)
+    case 'governance cancel':
+      return client.cancelChange(params[0]).then(sent)
+    case 'relay sign': {
+      const [name, ...callArgs] = params
+      if (name === 'makeReport') callArgs[2] = parseOutcome(callArgs[2])
+      const signed = await client.signRequest(name, callArgs, {
+        privateKey: config.privateKey
+      })
+      return log(JSON.stringify(signed))
+    }
+    case 'ida add':
+      return client.addIDA(params[0]).then(sent)
+    case 'ida remove':
+      return client.removeIDA(params[0]).then(sent)
+    case 'ida list': {
+      const idas = await client.getRegisteredIDAs()
+      if (idas.length === 0) return log('No IDA is registered.')
+      return idas.forEach(ida => log(ida))
+    }
+    default:
+  }
+
+  switch (command) {
+    case 'withdraw': {
+      const [ID, round, beneficiary = client.from] = [subcommand, ...params]
+      if (round === 'all')
+        return client.batchRoundWithdraw(beneficiary, ID).then(sent)
+      return client.withdrawFeesAndRewards(beneficiary, ID, round).then(sent)
+    }
+    case 'claimable':
+    case 'claim': {
+      const IDs = [subcommand, ...params]
+      const amounts = await Promise.all(
+        IDs.map(ID => client.getWithdrawable(ID))
+      )
+      const claimable = IDs.filter((_ID, i) => !amounts[i].isZero())
+      const total = amounts.reduce((sum, amount) => sum.add(amount), toBN(0))
+      if (command === 'claimable') {
+        IDs.forEach((ID, i) => log(`Report ${ID}: ${amounts[i]} ${currency}`))
+        log(`You can claim ${total} ${currency}.`)
+        const credit = await client.getCredit()
+        if (!credit.isZero())
+          log(
+            `${credit} ${currency} of failed payments are credited to you. Withdraw them with "credit withdraw".`
+          )
+        return
+      }
+
+      if (claimable.length === 0) return log('There is nothing to claim.')
+      log(`Claiming ${total} ${currency} from ${claimable.length} report(s).`)
+      return client.batchReportWithdraw(client.from, claimable).then(sent)
+    }
+    case 'inspect':
+      return (await inspect(client, subcommand)).forEach(line => log(line))
+    default:
+      throw new Error(`Unknown command "${args.join(' ')}".\n\n${USAGE}`)
+  }
+}
+
+module.exports = {
+  USAGE,
+  inspect,
+  run
+}
@@ -0,0 +1,43 @@
+// Mirrors of the enums declared in Validator.sol. Keep the values in sync with the contract.
+
+// Outcomes are the fulfilment of the impact promise in percent. These are the two extremes.
+const Outcome = {
+  FAILURE: 0, // The impact promise was not fullfilled.
+  SUCCESS: 100 // The promise was fully fullfilled. `MAX_OUTCOME` in the contract.
+}
+
+const Status = {
+  Challenged: 2, // The challenge can be approved if no one confirms the report within the timeout.
+  Created: 1, // The report can be approved if not challenged within the timeout.
+  Disputed: 3, // The dispute was raised in the arbitrator.
+  None: 0, // The report for the promise wasn't created.
+  Resolved: 4 // The outcome can be registered in the IDA.
+}
+
+const ChangeStatus = {
+  Cancelled: 2,
+  Executed: 1,
+  Pending: 0 // Queued, can be executed once its delay has passed.
+}
+
+const Party = {
+  Challenger: 2, // Challenges the correctness of the report.
+  None: 0, // Mapped with 0 dispute ruling.
+  Supporter: 1 // Confirms the correctness of the report.
+}
+
+const RegistrationFailure = {
+  ClaimChanged: 3, // The claim on the promise no longer matches the promise price. The IDA registered a failure, while the report keeps its outcome.
+  ClaimRemoved: 2, // The claim on the promise was removed. The IDA registered a failure, while the report keeps its outcome.
+  ClaimUnreadable: 4, // The claim on the promise or the promise price could not be read. The IDA registered a failure, while the report keeps its outcome.
+  None: 0, // Not registered yet, or registered as it is.
+  Reverted: 1 // The automatic registration reverted. Can be retried with `registerOutcome`.
+}
+
+module.exports = {
+  ChangeStatus,
+  Outcome,
+  Party,
+  RegistrationFailure,
+  Status
+}
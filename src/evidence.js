@@ -0,0 +1,292 @@
+const crypto = require('crypto')
+const { keccak256 } = require('web3-utils')
+
+const { Outcome } = require('./enums')
+
+// Multihash function codes, see https://github.com/multiformats/multicodec. In decimal, as prettier and the linter disagree on the case of hex digits.
+const SHA2_256 = 18 // 0x12
+const KECCAK_256 = 27 // 0x1b
+const HASH_FUNCTIONS = {
+  // web3 returns null instead of the hash of empty content.
+  [KECCAK_256]: content =>
+    content.length === 0
+      ? 'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470'
+      : keccak256(`0x${content.toString('hex')}`).slice(2),
+  [SHA2_256]: content =>
+    crypto
+      .createHash('sha256')
+      .update(content)
+      .digest('hex')
+}
+
+const BASE58_ALPHABET =
+  '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+
+// Jurors answer with the fulfilment of the promise in percent. The ruling is the answer plus one, 0 being reserved for refusing to arbitrate.
+const RULING_OPTIONS = { precision: 0, type: 'uint' }
+
+const DEFAULT_QUESTION = `What percentage of the impact promise was fulfilled, from ${Outcome.FAILURE} to ${Outcome.SUCCESS}?`
+
+/**
+ * Decode a base58 string, as used by IPFS for multihashes (e.g. `Qm...`).
+ * @param {string} value The base58 string.
+ * @returns {Buffer} The decoded bytes.
+ */
+const decodeBase58 = value => {
+  const bytes = [0]
+  for (const char of value) {
+    let carry = BASE58_ALPHABET.indexOf(char)
+    if (carry === -1) throw new Error(`Invalid base58 character "${char}".`)
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58
+      bytes[i] = carry % 256
+      carry >>= 8
+    }
+    for (; carry > 0; carry >>= 8) bytes.push(carry % 256)
+  }
+  for (let i = 0; i < value.length - 1 && value[i] === '1'; i++) bytes.push(0)
+
+  return Buffer.from(bytes.reverse())
+}
+
+/**
+ * Decode a multihash given in hex, with or without `0x`, or in base58.
+ * @param {string} multihash The multihash.
+ * @returns {object} The function code and digest in hex, or null if the multihash is malformed.
+ */
+const decodeMultihash = multihash => {
+  if (typeof multihash !== 'string') return null
+
+  let bytes
+  try {
+    bytes = /^(0x)?[0-9a-fA-F]+$/.test(multihash)
+      ? Buffer.from(multihash.replace(/^0x/, ''), 'hex')
+      : decodeBase58(multihash)
+  } catch (_) {
+    return null
+  }
+
+  if (bytes.length < 2 || bytes[1] !== bytes.length - 2) return null
+  return { code: bytes[0], digest: bytes.slice(2).toString('hex') }
+}
+
+/**
+ * Compute the multihash of some content.
+ * @param {string|Buffer} content The content.
+ * @param {number} [code] The multihash function code. Keccak-256 by default.
+ * @returns {string} The multihash in hex, prefixed with `0x`.
+ */
+const multihash = (content, code = KECCAK_256) => {
+  const hash = HASH_FUNCTIONS[code]
+  if (!hash)
+    throw new Error(`Unsupported multihash function 0x${code.toString(16)}.`)
+
+  const digest = hash(Buffer.isBuffer(content) ? content : Buffer.from(content))
+  return `0x${code.toString(16).padStart(2, '0')}${(digest.length / 2)
+    .toString(16)
+    .padStart(2, '0')}${digest}`
+}
+
+/**
+ * Check that some content matches a multihash.
+ * @param {string|Buffer} content The content.
+ * @param {string} expected The multihash, in hex or base58.
+ * @returns {boolean} True if the content matches.
+ */
+const verifyMultihash = (content, expected) => {
+  const decoded = decodeMultihash(expected)
+  if (!decoded || !HASH_FUNCTIONS[decoded.code]) return false
+
+  return multihash(content, decoded.code).slice(6) === decoded.digest
+}
+
+/**
+ * Whether a string is a URI that jurors' clients can resolve: an IPFS path or an HTTP(S) URL.
+ * @param {string} uri The URI.
+ * @returns {boolean} True if the URI is valid.
+ */
+const isValidURI = uri => {
+  if (typeof uri !== 'string') return false
+  const ipfs = uri.match(/^(?:\/ipfs\/|ipfs:\/\/)([^/]+)(\/.*)?$/)
+  if (ipfs) return decodeMultihash(ipfs[1]) !== null
+
+  return /^https?:\/\/[^\s/$.?#][^\s]*$/.test(uri)
+}
+
+/**
+ * Serialize a document for hashing, without its `selfHash`.
+ * @param {object} document The document.
+ * @returns {string} The serialized document.
+ */
+const serializeWithoutSelfHash = document => {
+  const copy = { ...document }
+  delete copy.selfHash
+  return JSON.stringify(copy)
+}
+
+/**
+ * Add the `selfHash` of a document: the multihash of the document serialized without it.
+ * @param {object} document The document.
+ * @returns {object} A copy of the document with its `selfHash`.
+ */
+const withSelfHash = document => ({
+  ...document,
+  selfHash: multihash(serializeWithoutSelfHash(document))
+})
+
+/**
+ * Validate the fields that evidence and meta evidence share.
+ * @param {object} document The document.
+ * @param {string[]} errors The list to add errors to.
+ */
+const validateFile = (document, errors) => {
+  if (document.fileURI !== undefined && !isValidURI(document.fileURI))
+    errors.push(`"fileURI" is not a valid URI: ${document.fileURI}.`)
+  if (document.fileHash !== undefined) {
+    if (document.fileURI === undefined)
+      errors.push('"fileHash" is set without "fileURI".')
+    if (!decodeMultihash(document.fileHash))
+      errors.push(`"fileHash" is not a valid multihash: ${document.fileHash}.`)
+  }
+  if (
+    document.fileTypeExtension !== undefined &&
+    !/^[a-z0-9]+$/i.test(document.fileTypeExtension)
+  )
+    errors.push('"fileTypeExtension" must be an extension without the dot.')
+  if (document.selfHash !== undefined)
+    if (!decodeMultihash(document.selfHash))
+      errors.push(`"selfHash" is not a valid multihash: ${document.selfHash}.`)
+    else if (
+      !verifyMultihash(serializeWithoutSelfHash(document), document.selfHash)
+    )
+      errors.push('"selfHash" does not match the document.')
+}
+
+/**
+ * Build the meta evidence of a Validator, whose rulings are the outcomes of reports.
+ * @param {object} params The fields of the meta evidence.
+ * @param {string} params.title The title of the case.
+ * @param {string} params.description The policy jurors should follow.
+ * @param {string} [params.category] The category of the case.
+ * @param {string} [params.question] The question asked to jurors.
+ * @param {string} [params.fileURI] URI of the primary document, e.g. the impact promise terms.
+ * @param {string} [params.fileHash] Multihash of the primary document.
+ * @param {string} [params.fileTypeExtension] Extension of the primary document.
+ * @param {string} [params.evidenceDisplayInterfaceURI] URI of the interface that displays evidence.
+ * @param {string} [params.evidenceDisplayInterfaceHash] Multihash of the evidence display interface.
+ * @param {object} [params.aliases] Maps addresses to names.
+ * @returns {object} The meta evidence, with its `selfHash`.
+ */
+const buildMetaEvidence = ({
+  category = 'Impact Delivery Agreement',
+  description,
+  question = DEFAULT_QUESTION,
+  title,
+  ...optional
+}) => {
+  const metaEvidence = withSelfHash({
+    category,
+    description,
+    question,
+    rulingOptions: RULING_OPTIONS,
+    title,
+    ...optional
+  })
+
+  const errors = validateMetaEvidence(metaEvidence)
+  if (errors.length > 0)
+    throw new Error(`Invalid meta evidence: ${errors.join(' ')}`)
+
+  return metaEvidence
+}
+
+/**
+ * Build an evidence file.
+ * @param {object} params The fields of the evidence.
+ * @param {string} params.name The name of the evidence.
+ * @param {string} params.description The description of the evidence.
+ * @param {string} [params.fileURI] URI of the attached file.
+ * @param {string} [params.fileHash] Multihash of the attached file.
+ * @param {string} [params.fileTypeExtension] Extension of the attached file.
+ * @returns {object} The evidence, with its `selfHash`.
+ */
+const buildEvidence = params => {
+  const evidence = withSelfHash(params)
+
+  const errors = validateEvidence(evidence)
+  if (errors.length > 0)
+    throw new Error(`Invalid evidence: ${errors.join(' ')}`)
+
+  return evidence
+}
+
+/**
+ * Validate meta evidence against ERC-1497 and the rulings of the Validator.
+ * @param {object} metaEvidence The meta evidence.
+ * @returns {string[]} The errors. Empty if the meta evidence is valid.
+ */
+const validateMetaEvidence = metaEvidence => {
+  const errors = []
+  for (const field of ['title', 'description', 'question', 'category'])
+    if (typeof metaEvidence[field] !== 'string' || !metaEvidence[field].trim())
+      errors.push(`"${field}" must be a non-empty string.`)
+
+  const { rulingOptions } = metaEvidence
+  if (!rulingOptions || rulingOptions.type !== RULING_OPTIONS.type)
+    errors.push(
+      `"rulingOptions.type" must be "${RULING_OPTIONS.type}", for the outcome in percent.`
+    )
+  else if (rulingOptions.precision !== RULING_OPTIONS.precision)
+    errors.push(
+      `"rulingOptions.precision" must be ${RULING_OPTIONS.precision}, outcomes are whole percentages.`
+    )
+
+  if (
+    metaEvidence.evidenceDisplayInterfaceURI !== undefined &&
+    !isValidURI(metaEvidence.evidenceDisplayInterfaceURI)
+  )
+    errors.push('"evidenceDisplayInterfaceURI" is not a valid URI.')
+  if (
+    metaEvidence.evidenceDisplayInterfaceHash !== undefined &&
+    !decodeMultihash(metaEvidence.evidenceDisplayInterfaceHash)
+  )
+    errors.push('"evidenceDisplayInterfaceHash" is not a valid multihash.')
+  if (
+    metaEvidence.aliases !== undefined &&
+    (typeof metaEvidence.aliases !== 'object' ||
+      Object.keys(metaEvidence.aliases).some(
+        address => !/^0x[0-9a-fA-F]{40}$/.test(address)
+      ))
+  )
+    errors.push('"aliases" must map addresses to names.')
+
+  validateFile(metaEvidence, errors)
+  return errors
+}
+
+/**
+ * Validate evidence against ERC-1497.
+ * @param {object} evidence The evidence.
+ * @returns {string[]} The errors. Empty if the evidence is valid.
+ */
+const validateEvidence = evidence => {
+  const errors = []
+  for (const field of ['name', 'description'])
+    if (typeof evidence[field] !== 'string' || !evidence[field].trim())
+      errors.push(`"${field}" must be a non-empty string.`)
+
+  validateFile(evidence, errors)
+  return errors
+}
+
+module.exports = {
+  KECCAK_256,
+  SHA2_256,
+  buildEvidence,
+  buildMetaEvidence,
+  isValidURI,
+  multihash,
+  validateEvidence,
+  validateMetaEvidence,
+  verifyMultihash
+}
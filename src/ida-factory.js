@@ -0,0 +1,82 @@
+const { padLeft, toHex } = require('web3-utils')
+
+const { loadABI } = require('./artifacts')
+
+const GAS_ESTIMATE_MARGIN = 1.25
+
+/**
+ * Send a transaction with an estimated gas limit.
+ * @param {object} method The web3 method to send.
+ * @param {string} from The sender of the transaction.
+ * @returns {Promise<object>} The receipt of the transaction.
+ */
+const send = async (method, from) => {
+  const estimate = await method.estimateGas({ from })
+  return method.send({ from, gas: Math.ceil(estimate * GAS_ESTIMATE_MARGIN) })
+}
+
+/**
+ * Deploy an IDA bound to the Validator of an `IdaFactory`, along with its escrow, payment rights and impact promise token, in one transaction.
+ * The factory deploys the test copies of the IDA contracts, so this is a helper for tests and test networks. It is not exported by the package.
+ * @param {object} web3 A web3 1.x instance.
+ * @param {string} factoryAddress The address of the `IdaFactory`.
+ * @param {object} params The parameters of the IDA.
+ * @param {string} params.paymentToken The token in which the IDA is funded and pays the service provider.
+ * @param {string} params.name The name of the IDA.
+ * @param {number} params.promiseNumber The number of impact promises.
+ * @param {string|number} params.promisePrice The price of a single promise, in payment tokens.
+ * @param {number} params.endTime The time after which no report can be made to the IDA, in seconds.
+ * @param {string} params.serviceProvider The service provider. Defaults to the sender.
+ * @param {boolean} [params.register] Register the IDA with the Validator. The factory must be an IDA registrar, and the sender the governor or a registrar.
+ * @param {string[]} [params.claims] Keys of promises for which the service provider issues the claim required to report them. Sent from the service provider.
+ * @param {object} [options] Optional settings.
+ * @param {string} [options.from] Sender of the transaction.
+ * @param {object[]} [options.abi] ABI of the factory. Loaded from `build/contracts` if omitted.
+ * @param {object[]} [options.claimsRegistryABI] ABI of the claims registry. Loaded from `build/contracts` if omitted.
+ * @returns {Promise<object>} The addresses of the `ida`, `escrow`, `paymentRights` and `impactPromise`, whether it was `registered`, and the `receipt` of the transaction.
+ */
+const deployIDA = async (web3, factoryAddress, params, options = {}) => {
+  const factory = new web3.eth.Contract(
+    options.abi || loadABI('IdaFactory'),
+    factoryAddress
+  )
+  const serviceProvider = params.serviceProvider || options.from
+  const method = factory.methods.createIDA(
+    params.paymentToken,
+    params.name,
+    params.promiseNumber,
+    params.promisePrice.toString(),
+    params.endTime,
+    serviceProvider,
+    Boolean(params.register)
+  )
+  const receipt = await send(method, options.from)
+  const created = receipt.events.IDACreated.returnValues
+
+  const claims = params.claims || []
+  if (claims.length > 0) {
+    const claimsRegistry = new web3.eth.Contract(
+      options.claimsRegistryABI || loadABI('ClaimsRegistry'),
+      await factory.methods.claimsRegistry().call()
+    )
+    const value = padLeft(toHex(params.promisePrice.toString()), 64) // The IDA requires claims worth the promise price.
+    for (const key of claims)
+      await send(
+        claimsRegistry.methods.setClaim(created._ida, key, value),
+        serviceProvider
+      )
+  }
+
+  return {
+    escrow: created._escrow,
+    ida: created._ida,
+    impactPromise: created._impactPromise,
+    paymentRights: created._paymentRights,
+    receipt,
+    registered: created._registered
+  }
+}
+
+module.exports = {
+  deployIDA
+}
@@ -0,0 +1,408 @@
+const { padLeft, toHex } = require('web3-utils')
+
+const JSONStore = require('./json-store')
+const ValidatorClient = require('./validator-client')
+const { loadABI } = require('./artifacts')
+const { RegistrationFailure, Status } = require('./enums')
+
+const VALIDATOR_EVENTS = [
+  'MetaEvidence',
+  'IDAAdded',
+  'IDARemoved',
+  'ReportCreated',
+  'ReportRetracted',
+  'ReportAmended',
+  'StatusChanged',
+  'Contribution',
+  'SideFunded',
+  'AppealRaised',
+  'RewardWithdrawn',
+  'OutcomeRegistered',
+  'OutcomeRegistrationFailed',
+  'OutcomeRejected',
+  'ParameterChanged',
+  'Dispute',
+  'Evidence',
+  'Ruling'
+]
+const IDA_EVENTS = ['Validated', 'Rejected']
+
+const DEFAULT_STATE = {
+  disputes: {}, // Maps `<arbitrator>:<disputeID>` keys to report IDs.
+  idas: [], // The addresses of the IDAs that have reports.
+  lastBlock: -1, // The last block whose events were processed.
+  metaEvidence: {}, // Maps meta evidence IDs to their URIs.
+  parameterChanges: [], // The governance calls, decoded with `ValidatorClient.decodeChange`.
+  registeredIDAs: [], // The addresses of the IDAs reports can be made to.
+  reports: {} // Maps report IDs to their state and history.
+}
+
+/**
+ * Convert an evidence group ID, which is the report ID cast to uint, back to the report ID.
+ * @param {string} evidenceGroupID The evidence group ID as a decimal string.
+ * @returns {string} The report ID.
+ */
+const toReportID = evidenceGroupID => padLeft(toHex(evidenceGroupID), 64)
+
+/**
+ * Keep only the named arguments of an event.
+ * @param {object} returnValues The decoded arguments of the event.
+ * @returns {object} The named arguments.
+ */
+const namedArgs = returnValues =>
+  Object.keys(returnValues)
+    .filter(name => isNaN(name))
+    .reduce((args, name) => ({ ...args, [name]: returnValues[name] }), {})
+
+/**
+ * Replays the events of a Validator and of the IDAs it reports to into a local store that can be queried without further requests to the node.
+ * The store keeps the last processed block so that synchronization resumes where it stopped.
+ */
+class Indexer {
+  /**
+   * Create an indexer for a Validator.
+   * @param {ValidatorClient} client The client of the Validator to index.
+   * @param {object} [options] Optional settings.
+   * @param {JSONStore} [options.store] The store of the indexed state. Kept in memory if omitted.
+   * @param {number} [options.fromBlock] The block from which to start indexing, e.g. the deployment block of the Validator.
+   * @param {object[]} [options.idaABI] ABI of the IDAs. Loaded from `build/contracts` if omitted.
+   */
+  constructor(client, options = {}) {
+    this.client = client
+    this.web3 = client.web3
+    this.store = options.store || new JSONStore(undefined, DEFAULT_STATE)
+    this.idaABI = options.idaABI || loadABI('Ida')
+
+    for (const key of Object.keys(DEFAULT_STATE))
+      if (this.state[key] === undefined) this.state[key] = DEFAULT_STATE[key]
+    if (options.fromBlock && this.state.lastBlock < options.fromBlock - 1)
+      this.state.lastBlock = options.fromBlock - 1
+  }
+
+  get state() {
+    return this.store.data
+  }
+
+  /**
+   * Process the events emitted since the last synchronization, refresh the on-chain state of the open reports and save the store.
+   * @returns {Promise<number>} The number of processed events.
+   */
+  async sync() {
+    const toBlock = await this.web3.eth.getBlockNumber()
+    const fromBlock = this.state.lastBlock + 1
+    if (toBlock < fromBlock) return 0
+
+    const range = { fromBlock, toBlock }
+    const events = (
+      await this.client.contract.getPastEvents('allEvents', range)
+    ).filter(event => VALIDATOR_EVENTS.includes(event.event))
+
+    for (const event of events)
+      if (
+        event.event === 'ReportCreated' &&
+        !this.state.idas.includes(event.returnValues._ida)
+      )
+        this.state.idas.push(event.returnValues._ida)
+
+    for (const address of this.state.idas) {
+      const ida = new this.web3.eth.Contract(this.idaABI, address)
+      const idaEvents = await ida.getPastEvents('allEvents', range)
+      events.push(
+        ...idaEvents.filter(event => IDA_EVENTS.includes(event.event))
+      )
+    }
+
+    events.sort((a, b) =>
+      a.blockNumber === b.blockNumber
+        ? a.logIndex - b.logIndex
+        : a.blockNumber - b.blockNumber
+    )
+    for (const event of events) await this.apply(event)
+
+    await this.refresh()
+    this.state.lastBlock = toBlock
+    this.store.save()
+
+    return events.length
+  }
+
+  /**
+   * Apply an event to the indexed state.
+   * @param {object} event The event, as returned by web3.
+   */
+  async apply(event) {
+    const args = event.returnValues
+    let ID
+    switch (event.event) {
+      case 'MetaEvidence':
+        this.state.metaEvidence[args._metaEvidenceID] = args._evidence
+        return
+      case 'IDAAdded':
+        if (!this.state.registeredIDAs.includes(args._ida))
+          this.state.registeredIDAs.push(args._ida)
+        return
+      case 'IDARemoved':
+        this.state.registeredIDAs = this.state.registeredIDAs.filter(
+          ida => ida !== args._ida
+        )
+        return
+      case 'ReportCreated':
+        ID = args._ID
+        this.state.reports[ID] = {
+          ID,
+          createdAtBlock: event.blockNumber,
+          evidence: [],
+          history: this.state.reports[ID] ? this.state.reports[ID].history : [], // Keep the history of a retracted report.
+          ida: args._ida,
+          key: args._key,
+          status: Status.Created
+        }
+        break
+      case 'ReportRetracted':
+        ID = args._ID
+        if (this.state.reports[ID]) {
+          this.state.reports[ID].status = Status.None
+          this.state.reports[ID].retracted = true
+        }
+        break
+      case 'StatusChanged':
+        if (Number(args._status) === Status.Created) return // Recorded by the ReportCreated event that follows.
+        ID = args._ID
+        if (this.state.reports[ID]) {
+          this.state.reports[ID].status = Number(args._status)
+          this.state.reports[ID].outcome = Number(args._outcome)
+        }
+        break
+      case 'OutcomeRegistered':
+        ID = args._ID
+        if (this.state.reports[ID]) {
+          const report = this.state.reports[ID]
+          report.outcomeRegistered = true
+          report.outcome = Number(args._outcome)
+          if (report.registrationFailed)
+            report.registrationFailure = RegistrationFailure.None
+          report.registrationFailed = false
+        }
+        break
+      case 'OutcomeRejected': // Followed by OutcomeRegistered.
+        ID = args._ID
+        if (this.state.reports[ID])
+          this.state.reports[ID].registrationFailure = Number(args._failure)
+        break
+      case 'ReportAmended':
+      case 'Contribution':
+      case 'SideFunded':
+      case 'AppealRaised':
+      case 'RewardWithdrawn':
+      case 'OutcomeRegistrationFailed':
+        ID = args._ID
+        break
+      case 'ParameterChanged':
+        this.state.parameterChanges.push({
+          ...this.client.decodeChange(args._data),
+          blockNumber: event.blockNumber,
+          data: args._data,
+          transactionHash: event.transactionHash
+        })
+        return
+      case 'Dispute':
+        ID = toReportID(args._evidenceGroupID)
+        this.state.disputes[`${args._arbitrator}:${args._disputeID}`] = ID
+        if (!this.state.reports[ID]) return // Made before the first indexed block.
+        this.state.reports[ID].disputeID = Number(args._disputeID)
+        this.state.reports[ID].metaEvidenceID = Number(args._metaEvidenceID)
+        break
+      case 'Evidence':
+        ID = toReportID(args._evidenceGroupID)
+        if (!this.state.reports[ID]) return // Made before the first indexed block.
+        this.state.reports[ID].evidence.push({
+          party: args._party,
+          uri: args._evidence
+        })
+        break
+      case 'Ruling':
+        ID = this.state.disputes[`${args._arbitrator}:${args._disputeID}`]
+        break
+      case 'Rejected':
+        ID = this.findReport(event.address, args.key)
+        break
+      case 'Validated':
+        ID = await this.findValidatedReport(event)
+        break
+      default:
+        return
+    }
+
+    if (!ID || !this.state.reports[ID]) return
+    this.state.reports[ID].history.push({
+      args: namedArgs(args),
+      blockNumber: event.blockNumber,
+      event: event.event,
+      transactionHash: event.transactionHash
+    })
+  }
+
+  /**
+   * Find the report of a promise whose outcome has not been seen by the IDA yet.
+   * @param {string} ida The address of the IDA.
+   * @param {string} key The ID of the promise.
+   * @returns {string|undefined} The ID of the report.
+   */
+  findReport(ida, key) {
+    return Object.keys(this.state.reports).find(ID => {
+      const report = this.state.reports[ID]
+      return (
+        report.ida.toLowerCase() === ida.toLowerCase() &&
+        report.key === key &&
+        !report.retracted &&
+        !report.history.some(
+          entry => entry.event === 'Validated' || entry.event === 'Rejected'
+        )
+      )
+    })
+  }
+
+  /**
+   * `Validated` does not carry the promise key, so the report is the one whose `OutcomeRegistered` event follows it in the same transaction.
+   * This covers direct and relayed `registerOutcome` calls as well as automatic registrations.
+   * @param {object} event The `Validated` event.
+   * @returns {Promise<string|undefined>} The ID of the report.
+   */
+  async findValidatedReport(event) {
+    const receipt = await this.web3.eth.getTransactionReceipt(
+      event.transactionHash
+    )
+    const topic = this.web3.utils.sha3('OutcomeRegistered(bytes32,uint256)')
+    const log = receipt.logs.find(
+      log =>
+        log.logIndex > event.logIndex &&
+        log.address.toLowerCase() === this.client.address.toLowerCase() &&
+        log.topics[0] === topic &&
+        this.state.reports[log.topics[1]] &&
+        this.state.reports[log.topics[1]].ida.toLowerCase() ===
+          event.address.toLowerCase()
+    )
+
+    return log && log.topics[1]
+  }
+
+  /**
+   * Read the on-chain state of the reports whose outcome has not been registered yet.
+   * Needed for the deadlines and the state of the disputes, which the events do not carry.
+   */
+  async refresh() {
+    for (const ID of Object.keys(this.state.reports)) {
+      const indexed = this.state.reports[ID]
+      if (indexed.outcomeRegistered || indexed.retracted) continue
+
+      const report = await this.client.getReport(ID)
+      Object.assign(indexed, report)
+      if (indexed.executionTimeout === undefined)
+        indexed.executionTimeout = (
+          await this.client.getParameterSnapshot(report.parametersID)
+        ).executionTimeout // Snapshots never change.
+      indexed.appealPeriod = null
+      indexed.currentRuling = null
+      indexed.currentWinner = null
+      if (report.status === Status.Disputed) {
+        const arbitrator = await this.client.getArbitrator(ID)
+        indexed.currentRuling = Number(
+          await arbitrator.methods.currentRuling(report.disputeID).call()
+        )
+        indexed.currentWinner = ValidatorClient.rulingToParty(
+          report,
+          indexed.currentRuling
+        )
+        try {
+          const period = await arbitrator.methods
+            .appealPeriod(report.disputeID)
+            .call()
+          indexed.appealPeriod = {
+            end: Number(period.end),
+            start: Number(period.start)
+          }
+        } catch (_) {
+          // The dispute is not appealable yet.
+        }
+      }
+    }
+  }
+
+  /**
+   * Get an indexed report.
+   * @param {string} ID The ID of the report.
+   * @returns {object|undefined} The indexed report.
+   */
+  getReport(ID) {
+    return this.state.reports[ID]
+  }
+
+  /**
+   * Get the IDAs that have reports.
+   * @returns {string[]} The addresses of the IDAs that have reports.
+   */
+  getIDAs() {
+    return this.state.idas.slice()
+  }
+
+  /**
+   * Get the governance calls made to the Validator.
+   * @returns {object[]} The governance calls, in the order they were made, as `{ method, args, data, blockNumber, transactionHash }` objects.
+   */
+  getParameterChanges() {
+    return this.state.parameterChanges.slice()
+  }
+
+  /**
+   * Get the IDAs reports can be made to.
+   * @returns {string[]} The addresses of the IDAs reports can be made to.
+   */
+  getRegisteredIDAs() {
+    return this.state.registeredIDAs.slice()
+  }
+
+  /**
+   * Get the indexed reports made to an IDA.
+   * @param {string} ida The address of the IDA.
+   * @returns {object[]} The reports made to the IDA.
+   */
+  getReportsByIDA(ida) {
+    return Object.values(this.state.reports).filter(
+      report => report.ida.toLowerCase() === ida.toLowerCase()
+    )
+  }
+
+  /**
+   * Get the challenged reports whose confirmation period ends within a time window.
+   * @param {number} [within] The length of the window in seconds.
+   * @param {number} [now] The current time in seconds.
+   * @returns {object[]} The reports.
+   */
+  getExpiringChallenges(within = 3600, now = Math.floor(Date.now() / 1000)) {
+    return Object.values(this.state.reports).filter(report => {
+      const deadline = report.lastActionTime + report.executionTimeout
+      return (
+        report.status === Status.Challenged &&
+        deadline >= now &&
+        deadline <= now + within
+      )
+    })
+  }
+
+  /**
+   * Get the disputed reports whose appeal period is open.
+   * @param {number} [now] The current time in seconds.
+   * @returns {object[]} The reports.
+   */
+  getDisputesAwaitingAppealFunding(now = Math.floor(Date.now() / 1000)) {
+    return Object.values(this.state.reports).filter(
+      report =>
+        report.status === Status.Disputed &&
+        report.appealPeriod &&
+        now >= report.appealPeriod.start &&
+        now < report.appealPeriod.end
+    )
+  }
+}
+
+module.exports = Indexer
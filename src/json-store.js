@@ -0,0 +1,32 @@
+const fs = require('fs')
+
+/**
+ * Key-value state persisted as a JSON file. Kept in memory only if no path is given.
+ */
+class JSONStore {
+  /**
+   * Load the state from its file, if any.
+   * @param {string} [path] The file holding the state.
+   * @param {object} [defaults] The initial state, used when the file does not exist yet.
+   */
+  constructor(path, defaults = {}) {
+    this.path = path
+    this.data =
+      path && fs.existsSync(path)
+        ? JSON.parse(fs.readFileSync(path, 'utf8'))
+        : JSON.parse(JSON.stringify(defaults))
+  }
+
+  /**
+   * Write the state to the file. The file is replaced atomically so a crash never leaves a truncated state.
+   */
+  save() {
+    if (!this.path) return
+
+    const temporaryPath = `${this.path}.tmp`
+    fs.writeFileSync(temporaryPath, JSON.stringify(this.data, null, 2))
+    fs.renameSync(temporaryPath, this.path)
+  }
+}
+
+module.exports = JSONStore
@@ -0,0 +1,189 @@
+const { toBN } = require('web3-utils')
+
+const { Status } = require('./enums')
+
+/**
+ * Whether `approveReport` can be called for a report at a given time.
+ * @param {object} report The report, with the `executionTimeout` of its parameters.
+ * @param {number} timestamp The time of the block the transaction would be mined in.
+ * @returns {boolean} True if the report can be approved.
+ */
+const isApprovable = (report, timestamp) =>
+  (report.status === Status.Created || report.status === Status.Challenged) &&
+  timestamp > report.lastActionTime + report.executionTimeout
+
+/**
+ * Approves reports whose timeout has passed and registers the outcome of resolved reports.
+ * Reports are discovered through `ReportCreated` and `Ruling` events and tracked until their outcome is registered.
+ */
+class Keeper {
+  /**
+   * Create a keeper for a Validator.
+   * @param {ValidatorClient} client The client of the Validator to keep.
+   * @param {object} [options] Optional settings.
+   * @param {string} [options.from] Sender of the transactions. Defaults to the sender of the client.
+   * @param {number} [options.fromBlock] The block from which to replay events.
+   * @param {number} [options.gasLimit] Gas limit of each transaction. Estimated if omitted.
+   * @param {string|number} [options.maxGasPrice] Transactions are not sent while the network gas price is above this value, in wei.
+   * @param {boolean} [options.dryRun] Log the transactions instead of sending them.
+   * @param {object} [options.logger] Object with `info` and `error` methods. Defaults to the console.
+   */
+  constructor(client, options = {}) {
+    this.client = client
+    this.web3 = client.web3
+    this.from = options.from || client.from
+    this.fromBlock = options.fromBlock || 0
+    this.gasLimit = options.gasLimit
+    this.maxGasPrice =
+      options.maxGasPrice !== undefined ? toBN(options.maxGasPrice) : null
+    this.dryRun = Boolean(options.dryRun)
+    this.logger = options.logger || console
+    this.reports = new Map() // Maps the IDs of the tracked reports to their last known state.
+    this.timeouts = new Map() // Maps the indexes of parameter snapshots, which never change, to their execution timeout.
+  }
+
+  /**
+   * Replay the events emitted since the last synchronization and start tracking the reports they refer to.
+   */
+  async sync() {
+    const toBlock = await this.web3.eth.getBlockNumber()
+    if (toBlock < this.fromBlock) return
+
+    const { contract } = this.client
+    const range = { fromBlock: this.fromBlock, toBlock }
+    const [created, rulings] = await Promise.all([
+      contract.getPastEvents('ReportCreated', range),
+      contract.getPastEvents('Ruling', range)
+    ])
+
+    const IDs = created.map(event => event.returnValues._ID)
+    for (const event of rulings)
+      IDs.push(
+        await contract.methods
+          .disputeIDToReportID(
+            event.returnValues._arbitrator,
+            event.returnValues._disputeID
+          )
+          .call()
+      )
+
+    for (const ID of IDs) await this.refresh(ID)
+    this.fromBlock = toBlock + 1
+  }
+
+  /**
+   * Read the current state of a report and the execution timeout it was created with. Stop tracking it once its outcome is registered or it is retracted.
+   * @param {string} ID The ID of the report.
+   * @returns {Promise<object>} The report.
+   */
+  async refresh(ID) {
+    const report = await this.client.getReport(ID)
+    if (!this.timeouts.has(report.parametersID))
+      this.timeouts.set(
+        report.parametersID,
+        (await this.client.getParameterSnapshot(report.parametersID))
+          .executionTimeout
+      )
+    report.executionTimeout = this.timeouts.get(report.parametersID)
+    // Stop tracking the reports that are registered or retracted.
+    if (report.outcomeRegistered || report.status === Status.None)
+      this.reports.delete(ID)
+    else this.reports.set(ID, report)
+
+    return report
+  }
+
+  /**
+   * Synchronize and send every transaction that is currently valid.
+   * @returns {Promise<object[]>} The actions taken, as `{ ID, method, sent }` objects.
+   */
+  async poll() {
+    await this.sync()
+
+    const { timestamp } = await this.web3.eth.getBlock('latest')
+
+    const actions = []
+    for (const ID of [...this.reports.keys()]) {
+      let report = this.reports.get(ID)
+      if (isApprovable(report, timestamp)) {
+        report = await this.refresh(ID) // The report may have been challenged since it was last read.
+        if (isApprovable(report, timestamp)) {
+          actions.push(await this.execute('approveReport', ID))
+          report = this.reports.get(ID)
+          if (!report) continue // Registered automatically on approval.
+        }
+      }
+
+      if (report.status === Status.Resolved && !report.outcomeRegistered)
+        actions.push(await this.execute('registerOutcome', ID))
+    }
+
+    return actions
+  }
+
+  /**
+   * Send a transaction for a report, unless in dry-run mode or the gas price is above the limit.
+   * @param {string} method Either `approveReport` or `registerOutcome`.
+   * @param {string} ID The ID of the report.
+   * @returns {Promise<object>} The action taken.
+   */
+  async execute(method, ID) {
+    const action = { ID, method, sent: false }
+    if (this.dryRun) {
+      this.logger.info(`[dry-run] ${method}(${ID})`)
+      return action
+    }
+
+    const gasPrice = toBN(await this.web3.eth.getGasPrice())
+    if (this.maxGasPrice && gasPrice.gt(this.maxGasPrice)) {
+      this.logger.info(
+        `Skipping ${method}(${ID}): gas price ${gasPrice} is above the limit of ${this.maxGasPrice}.`
+      )
+      return action
+    }
+
+    try {
+      const receipt = await this.client[method](ID, {
+        from: this.from,
+        gas: this.gasLimit,
+        gasPrice: gasPrice.toString()
+      })
+      action.sent = true
+      action.transactionHash = receipt.transactionHash
+      this.logger.info(`${method}(${ID}): ${receipt.transactionHash}`)
+      await this.refresh(ID)
+    } catch (err) {
+      this.logger.error(`${method}(${ID}) failed: ${err.message}`)
+    }
+
+    return action
+  }
+
+  /**
+   * Poll repeatedly until `stop` is called.
+   * @param {number} [interval] Time to wait between polls, in milliseconds.
+   */
+  start(interval = 60000) {
+    this.running = true
+    const loop = async () => {
+      try {
+        await this.poll()
+      } catch (err) {
+        this.logger.error(`Poll failed: ${err.message}`)
+      }
+      if (this.running) this.timeout = setTimeout(loop, interval)
+    }
+
+    loop()
+  }
+
+  /**
+   * Stop polling.
+   */
+  stop() {
+    this.running = false
+    clearTimeout(this.timeout)
+  }
+}
+
+module.exports = Keeper
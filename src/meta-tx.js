@@ -0,0 +1,210 @@
+const { keccak256, toChecksumAddress } = require('web3-utils')
+const abi = require('web3-eth-abi')
+const Account = require('eth-lib/lib/account')
+
+const GAS_ESTIMATE_MARGIN = 1.25
+
+// The functions of the Validator the forwarder relays.
+const RELAYABLE_FUNCTIONS = [
+  'makeReport',
+  'submitEvidence',
+  'approveReport',
+  'registerOutcome'
+]
+
+// The EIP-712 types of the requests relayed by the `ValidatorForwarder`. Must match its type hashes.
+const FORWARD_REQUEST_TYPES = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' }
+  ],
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'data', type: 'bytes' }
+  ]
+}
+
+/**
+ * Hash a struct as EIP-712 `hashStruct` does. The structs of the requests have no nested structs or arrays.
+ * @param {string} primaryType The name of the type, in `FORWARD_REQUEST_TYPES`.
+ * @param {object} struct The values of the fields.
+ * @returns {string} The hash of the struct.
+ */
+const hashStruct = (primaryType, struct) => {
+  const fields = FORWARD_REQUEST_TYPES[primaryType]
+  const signature = `${primaryType}(${fields
+    .map(({ name, type }) => `${type} ${name}`)
+    .join(',')})`
+  const types = ['bytes32']
+  const values = [keccak256(signature)]
+  for (const { name, type } of fields) {
+    const dynamic = type === 'bytes' || type === 'string'
+    types.push(dynamic ? 'bytes32' : type)
+    values.push(dynamic ? keccak256(struct[name]) : struct[name].toString())
+  }
+
+  return keccak256(abi.encodeParameters(types, values))
+}
+
+/**
+ * Get the EIP-712 domain of the signatures accepted by a forwarder.
+ * @param {object} forwarder The web3 contract instance of the `ValidatorForwarder`.
+ * @returns {Promise<object>} The domain.
+ */
+const getDomain = async forwarder => {
+  const { methods } = forwarder
+  const [name, version, chainId] = await Promise.all([
+    methods.NAME().call(),
+    methods.VERSION().call(),
+    methods.chainId().call()
+  ])
+  return {
+    chainId: Number(chainId),
+    name,
+    verifyingContract: forwarder.options.address,
+    version
+  }
+}
+
+/**
+ * Build a request to relay a call to the Validator, with the next nonce of its signer.
+ * @param {object} web3 A web3 1.x instance.
+ * @param {object} forwarder The web3 contract instance of the `ValidatorForwarder`.
+ * @param {string} from The signer of the request, on whose behalf the call is made.
+ * @param {string} data The call to the Validator, including the selector, e.g. from `encodeABI`.
+ * @param {object} [options] Optional settings.
+ * @param {string|number} [options.value] The amount of wei the relayer sends along the call, e.g. the provider bond. Defaults to 0.
+ * @param {number} [options.gas] The gas given to the call. Estimated if omitted, which requires a value of 0.
+ * @returns {Promise<object>} The request.
+ */
+const buildRequest = async (web3, forwarder, from, data, options = {}) => {
+  const { methods } = forwarder
+  const value = (options.value || 0).toString()
+  const [to, nonce] = await Promise.all([
+    methods.validator().call(),
+    methods.nonces(from).call()
+  ])
+  let { gas } = options
+  if (gas === undefined) {
+    if (value !== '0')
+      throw new Error('The gas must be given for requests with a value.')
+    // The Validator only reads the signer appended to the call when it comes from the forwarder.
+    const estimate = await web3.eth.estimateGas({
+      data: `${data}${from.slice(2)}`,
+      from: forwarder.options.address,
+      to
+    })
+    gas = Math.ceil(estimate * GAS_ESTIMATE_MARGIN)
+  }
+
+  return {
+    data,
+    from: toChecksumAddress(from),
+    gas: Number(gas),
+    nonce: Number(nonce),
+    to,
+    value
+  }
+}
+
+/**
+ * Build the EIP-712 typed data of a request, e.g. for `eth_signTypedData_v4` in a wallet.
+ * @param {object} domain The domain of the forwarder, as returned by `getDomain`.
+ * @param {object} request The request.
+ * @returns {object} The typed data.
+ */
+const buildTypedData = (domain, request) => ({
+  domain,
+  message: request,
+  primaryType: 'ForwardRequest',
+  types: FORWARD_REQUEST_TYPES
+})
+
+/**
+ * Get the digest a request is signed over, the same way the forwarder does.
+ * @param {object} domain The domain of the forwarder, as returned by `getDomain`.
+ * @param {object} request The request.
+ * @returns {string} The digest.
+ */
+const hashRequest = (domain, request) =>
+  keccak256(
+    `0x1901${hashStruct('EIP712Domain', domain).slice(2)}${hashStruct(
+      'ForwardRequest',
+      request
+    ).slice(2)}`
+  )
+
+/**
+ * Sign a request with a private key, e.g. of a service provider without ETH.
+ * @param {object} domain The domain of the forwarder, as returned by `getDomain`.
+ * @param {object} request The request.
+ * @param {string} privateKey The private key of the signer.
+ * @returns {string} The signature.
+ */
+const signRequest = (domain, request, privateKey) =>
+  Account.sign(hashRequest(domain, request), privateKey)
+
+/**
+ * Sign a request with an account of the node or of the wallet behind the provider.
+ * @param {object} web3 A web3 1.x instance.
+ * @param {object} domain The domain of the forwarder, as returned by `getDomain`.
+ * @param {object} request The request. Signed by `request.from`.
+ * @param {string} [rpcMethod] The signing method of the provider, e.g. `eth_signTypedData_v4` for MetaMask.
+ * @returns {Promise<string>} The signature.
+ */
+const signRequestWithProvider = (
+  web3,
+  domain,
+  request,
+  rpcMethod = 'eth_signTypedData'
+) => {
+  const typedData = buildTypedData(domain, request)
+  return new Promise((resolve, reject) =>
+    web3.currentProvider.send(
+      {
+        id: Date.now(),
+        jsonrpc: '2.0',
+        method: rpcMethod,
+        params: [
+          request.from,
+          rpcMethod === 'eth_signTypedData'
+            ? typedData
+            : JSON.stringify(typedData)
+        ]
+      },
+      (err, response) => {
+        if (err || response.error)
+          reject(err || new Error(response.error.message))
+        else resolve(response.result)
+      }
+    )
+  )
+}
+
+/**
+ * Recover the signer of a request.
+ * @param {object} domain The domain of the forwarder, as returned by `getDomain`.
+ * @param {object} request The request.
+ * @param {string} signature The signature.
+ * @returns {string} The address of the signer.
+ */
+const recoverSigner = (domain, request, signature) =>
+  Account.recover(hashRequest(domain, request), signature)
+
+module.exports = {
+  FORWARD_REQUEST_TYPES,
+  RELAYABLE_FUNCTIONS,
+  buildRequest,
+  buildTypedData,
+  getDomain,
+  hashRequest,
+  recoverSigner,
+  signRequest,
+  signRequestWithProvider
+}
@@ -0,0 +1,110 @@
+const http = require('http')
+const { toBN } = require('web3-utils')
+
+const { loadABI } = require('./artifacts')
+const { getDomain, recoverSigner } = require('./meta-tx')
+
+const GAS_OVERHEAD = 100000 // Gas used by the forwarder around the relayed call: the signature check, the nonce and the event.
+const MAX_BODY_SIZE = 100000 // In bytes.
+
+/**
+ * Relays requests signed for a `ValidatorForwarder`, paying their gas.
+ * Requests are checked before being sent, so the relayer does not pay for requests that would fail.
+ */
+class Relayer {
+  /**
+   * Create a relayer for a forwarder.
+   * @param {object} web3 A web3 1.x instance.
+   * @param {string} address The address of the `ValidatorForwarder`.
+   * @param {object} [options] Optional settings.
+   * @param {string} [options.from] Sender of the transactions, which pays their gas.
+   * @param {object[]} [options.abi] ABI of the forwarder. Loaded from `build/contracts` if omitted.
+   * @param {string|number} [options.maxValue] The maximum amount of wei the relayer sends along a request, e.g. for a provider bond. Defaults to 0.
+   * @param {number} [options.maxGas] The maximum gas a request can ask for. Defaults to 1000000.
+   * @param {object} [options.logger] Object with `info` and `error` methods. Defaults to the console.
+   */
+  constructor(web3, address, options = {}) {
+    this.web3 = web3
+    this.from = options.from
+    this.maxValue = toBN(options.maxValue || 0)
+    this.maxGas = options.maxGas || 1000000
+    this.logger = options.logger || console
+    this.forwarder = new web3.eth.Contract(
+      options.abi || loadABI('ValidatorForwarder'),
+      address
+    )
+    this.domain = null // The EIP-712 domain of the forwarder, read once.
+  }
+
+  /**
+   * Check a signed request and send it to the forwarder.
+   * @param {object} request The request, as built by `buildRequest`.
+   * @param {string} signature The signature of the request.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  async relay(request, signature) {
+    const { methods } = this.forwarder
+    if (!this.domain) this.domain = await getDomain(this.forwarder)
+
+    if (toBN(request.value).gt(this.maxValue))
+      throw new Error('The value of the request is above the maximum.')
+    if (Number(request.gas) > this.maxGas)
+      throw new Error('The gas of the request is above the maximum.')
+    if (!(await methods.isRelayable(request.data).call()))
+      throw new Error('The function cannot be relayed.')
+    if (Number(await methods.nonces(request.from).call()) !== request.nonce)
+      throw new Error('The nonce of the request is not the next one.')
+    if (
+      recoverSigner(this.domain, request, signature).toLowerCase() !==
+      request.from.toLowerCase()
+    )
+      throw new Error('The signature does not match the request.')
+
+    const method = methods.execute(
+      request.from,
+      request.value,
+      request.gas,
+      request.data,
+      signature
+    )
+    const options = { from: this.from, value: request.value }
+    await method.estimateGas(options) // Throws if the relayed call would fail.
+
+    this.logger.info(`Relaying request ${request.nonce} of ${request.from}.`)
+    return method.send({ ...options, gas: Number(request.gas) + GAS_OVERHEAD })
+  }
+
+  /**
+   * Create an HTTP server that relays the requests posted to it as JSON `{ request, signature }`.
+   * It responds with the hash of the transaction, or with a 400 status and the error.
+   * @returns {object} The server. Call `listen` to start it.
+   */
+  createServer() {
+    return http.createServer((req, res) => {
+      const respond = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify(body))
+      }
+      if (req.method !== 'POST')
+        return respond(405, { error: 'Requests must be posted.' })
+
+      let body = ''
+      req.on('data', chunk => {
+        body += chunk
+        if (body.length > MAX_BODY_SIZE) req.destroy()
+      })
+      req.on('end', async () => {
+        try {
+          const { request, signature } = JSON.parse(body)
+          const receipt = await this.relay(request, signature)
+          respond(200, { transactionHash: receipt.transactionHash })
+        } catch (err) {
+          this.logger.error(err)
+          respond(400, { error: err.message })
+        }
+      })
+    })
+  }
+}
+
+module.exports = Relayer
@@ -0,0 +1,1154 @@
+const { soliditySha3, toBN } = require('web3-utils')
+
+const { loadABI } = require('./artifacts')
+const { ChangeStatus, Party, RegistrationFailure } = require('./enums')
+const {
+  RELAYABLE_FUNCTIONS,
+  buildRequest,
+  getDomain,
+  signRequest,
+  signRequestWithProvider
+} = require('./meta-tx')
+
+const GAS_ESTIMATE_MARGIN = 1.25
+
+/**
+ * Decode a report returned by the `reports` getter of the Validator or by the `ValidatorView`.
+ * @param {string} ID The ID of the report.
+ * @param {object} report The decoded call result.
+ * @param {string} registrationFailure Why the outcome could not be registered as it is, see `RegistrationFailure`.
+ * @returns {object} The report. `registrationFailed` is true if the automatic registration of the outcome failed and can be retried.
+ */
+const decodeReport = (ID, report, registrationFailure) => ({
+  ID,
+  arbitrator: report.arbitrator,
+  challengedOutcome: Number(report.challengedOutcome),
+  challenger: report.challenger,
+  disputeID: Number(report.disputeID),
+  ida: report.ida,
+  key: report.key,
+  lastActionTime: Number(report.lastActionTime),
+  metaEvidenceID: Number(report.metaEvidenceID),
+  outcome: Number(report.outcome),
+  outcomeRegistered: report.outcomeRegistered,
+  parametersID: Number(report.parametersID),
+  registrationFailed:
+    Number(registrationFailure) === RegistrationFailure.Reverted,
+  registrationFailure: Number(registrationFailure),
+  ruling: Number(report.ruling),
+  status: Number(report.status),
+  supporter: report.supporter
+})
+
+/**
+ * Wraps a deployed Validator contract: computes the values required by payable calls and decodes its getters into objects.
+ * Amounts are returned as BN instances. They are in wei, or in tokens for a `TokenValidator`, whose ABI must then be given.
+ */
+class ValidatorClient {
+  /**
+   * Create a client for a deployed Validator.
+   * @param {object} web3 A web3 1.x instance.
+   * @param {string} address The address of the Validator contract.
+   * @param {object} [options] Optional settings.
+   * @param {string} [options.from] Default sender of transactions.
+   * @param {object[]} [options.abi] ABI of the Validator. Loaded from `build/contracts` if omitted.
+   * @param {object[]} [options.arbitratorABI] ABI of the arbitrator. Loaded from `build/contracts` if omitted.
+   * @param {object[]} [options.tokenABI] ABI of the deposit token of a `TokenValidator`. Loaded from `build/contracts` if omitted.
+   * @param {string} [options.view] The address of a `ValidatorView`, required by `getReportDetails` and `getWithdrawable`.
+   * @param {object[]} [options.viewABI] ABI of the `ValidatorView`. Loaded from `build/contracts` if omitted.
+   * @param {string} [options.forwarder] The address of the `ValidatorForwarder` trusted by the Validator, required by `signRequest`.
+   * @param {object[]} [options.forwarderABI] ABI of the `ValidatorForwarder`. Loaded from `build/contracts` if omitted.
+   */
+  constructor(web3, address, options = {}) {
+    this.web3 = web3
+    this.address = address
+    this.from = options.from
+    this.arbitratorABI = options.arbitratorABI || loadABI('IArbitrator')
+    this.tokenABI = options.tokenABI
+    this.arbitrators = {} // Maps the addresses of arbitrators to their web3 contract instances.
+    this.contract = new web3.eth.Contract(
+      options.abi || loadABI('Validator'),
+      address
+    )
+    this.view = options.view
+      ? new web3.eth.Contract(
+          options.viewABI || loadABI('ValidatorView'),
+          options.view
+        )
+      : null
+    this.forwarder = options.forwarder
+      ? new web3.eth.Contract(
+          options.forwarderABI || loadABI('ValidatorForwarder'),
+          options.forwarder
+        )
+      : null
+  }
+
+  /**
+   * Derive the ID of a report the same way `makeReport` does.
+   * @param {string} ida The address of the IDA.
+   * @param {string} key The ID of the impact promise.
+   * @param {string} serviceProvider The address of the service provider that makes the report.
+   * @param {number} [version] The number of reports made to the promise before this one.
+   * @returns {string} The report ID.
+   */
+  static getReportID(ida, key, serviceProvider, version = 0) {
+    const args = [
+      { type: 'address', value: ida },
+      { type: 'bytes32', value: key },
+      { type: 'address', value: serviceProvider }
+    ]
+    if (version > 0) args.push({ type: 'uint256', value: version }) // The first version keeps the IDs of the reports made before versioning.
+    return soliditySha3(...args)
+  }
+
+  /**
+   * Get the ruling that stands for an outcome. Ruling 0 is reserved for refusing to arbitrate.
+   * @param {number} outcome The outcome in percent.
+   * @returns {number} The ruling.
+   */
+  static outcomeToRuling(outcome) {
+    return outcome + 1
+  }
+
+  /**
+   * Get the party whose outcome is upheld by a ruling, the same way the contract does.
+   * @param {object} report The report, as returned by `getReport`.
+   * @param {number} ruling The ruling.
+   * @returns {number} The party. `Party.None` if the ruling is 0 or upholds another outcome.
+   */
+  static rulingToParty(report, ruling) {
+    if (ruling === 0) return Party.None
+    if (ruling - 1 === report.outcome) return Party.Supporter
+    if (ruling - 1 === report.challengedOutcome) return Party.Challenger
+    return Party.None
+  }
+
+  /**
+   * Get the arbitrator of a report, or the one of the reports created from now on.
+   * @param {string} [ID] The ID of the report. Gets the arbitrator of new reports if omitted.
+   * @returns {Promise<object>} The web3 contract instance of the arbitrator.
+   */
+  async getArbitrator(ID) {
+    const address =
+      ID === undefined
+        ? await this.contract.methods.arbitrator().call()
+        : (await this.getReport(ID)).arbitrator
+    if (!this.arbitrators[address])
+      this.arbitrators[address] = new this.web3.eth.Contract(
+        this.arbitratorABI,
+        address
+      )
+
+    return this.arbitrators[address]
+  }
+
+  /**
+   * Get the governance parameters of the Validator. The timeout, deposit, multipliers and extra data are the defaults, used by new reports made to IDAs without a profile.
+   * @returns {Promise<object>} The parameters.
+   */
+  async getParameters() {
+    const { methods } = this.contract
+    const [
+      arbitrator,
+      arbitratorExtraData,
+      governor,
+      executionTimeout,
+      baseDeposit,
+      sharedStakeMultiplier,
+      winnerStakeMultiplier,
+      loserStakeMultiplier,
+      multiplierDivisor,
+      metaEvidenceUpdates,
+      governanceDelay,
+      trustedForwarder
+    ] = await Promise.all([
+      methods.arbitrator().call(),
+      methods.arbitratorExtraData().call(),
+      methods.governor().call(),
+      methods.executionTimeout().call(),
+      methods.baseDeposit().call(),
+      methods.sharedStakeMultiplier().call(),
+      methods.winnerStakeMultiplier().call(),
+      methods.loserStakeMultiplier().call(),
+      methods.MULTIPLIER_DIVISOR().call(),
+      methods.metaEvidenceUpdates().call(),
+      methods.governanceDelay().call(),
+      methods.trustedForwarder().call()
+    ])
+
+    return {
+      arbitrator,
+      arbitratorExtraData: arbitratorExtraData || '0x',
+      baseDeposit: toBN(baseDeposit),
+      executionTimeout: Number(executionTimeout),
+      governanceDelay: Number(governanceDelay),
+      governor,
+      loserStakeMultiplier: toBN(loserStakeMultiplier),
+      metaEvidenceUpdates: Number(metaEvidenceUpdates),
+      multiplierDivisor: toBN(multiplierDivisor),
+      sharedStakeMultiplier: toBN(sharedStakeMultiplier),
+      trustedForwarder,
+      winnerStakeMultiplier: toBN(winnerStakeMultiplier)
+    }
+  }
+
+  /**
+   * Get a report.
+   * @param {string} ID The ID of the report.
+   * @returns {Promise<object>} The report.
+   */
+  async getReport(ID) {
+    const [report, registrationFailure] = await Promise.all([
+      this.contract.methods.reports(ID).call(),
+      this.contract.methods.registrationFailures(ID).call()
+    ])
+    return decodeReport(ID, report, registrationFailure)
+  }
+
+  /**
+   * Get a report along with its number of rounds and the state of its dispute, in a single call to the `ValidatorView`.
+   * @param {string} ID The ID of the report.
+   * @returns {Promise<object>} The report, see `getReport`, with `numberOfRounds`, `currentRuling`, `appealPeriodStart` and `appealPeriodEnd`. The dispute fields are 0 if the report is not disputed.
+   */
+  async getReportDetails(ID) {
+    const [details] = await this.getReportsDetails([ID])
+    return details
+  }
+
+  /**
+   * Get the details of several reports in a single call to the `ValidatorView`, e.g. a page returned by `getReportIDs`.
+   * @param {string[]} IDs The IDs of the reports.
+   * @returns {Promise<object[]>} The details of the reports, in the same order. See `getReportDetails`.
+   */
+  async getReportsDetails(IDs) {
+    if (!this.view)
+      throw new Error(
+        'The address of a ValidatorView must be given with the "view" option.'
+      )
+
+    const details = await this.view.methods
+      .getReportsDetails(this.address, IDs)
+      .call()
+    return details.map(d => ({
+      ...decodeReport(d.ID, d.report, d.registrationFailure),
+      appealPeriodEnd: Number(d.appealPeriodEnd),
+      appealPeriodStart: Number(d.appealPeriodStart),
+      currentRuling: Number(d.currentRuling),
+      numberOfRounds: Number(d.numberOfRounds)
+    }))
+  }
+
+  /**
+   * Get the number of reports, including the retracted ones.
+   * @returns {Promise<number>} The number of reports.
+   */
+  async getNumberOfReports() {
+    return Number(await this.contract.methods.getNumberOfReports().call())
+  }
+
+  /**
+   * Get a page of the IDs of all the reports. A retracted report stays listed, with the `None` status.
+   * @param {number} [cursor] The index of the first report of the page.
+   * @param {number} [count] The number of reports of the page. 0 for all the reports after the cursor.
+   * @returns {Promise<string[]>} The IDs of the reports, in creation order.
+   */
+  async getReportIDs(cursor = 0, count = 0) {
+    return this.contract.methods.getReportIDs(cursor, count).call()
+  }
+
+  /**
+   * Get a page of the IDs of the reports made to an IDA.
+   * @param {string} ida The address of the IDA.
+   * @param {number} [cursor] The index of the first report of the page.
+   * @param {number} [count] The number of reports of the page. 0 for all the reports after the cursor.
+   * @returns {Promise<string[]>} The IDs of the reports, in creation order.
+   */
+  async getReportsByIDA(ida, cursor = 0, count = 0) {
+    return this.contract.methods.getReportsByIDA(ida, cursor, count).call()
+  }
+
+  /**
+   * Get the IDs of all the reports made to a promise.
+   * @param {string} ida The address of the IDA.
+   * @param {string} key The ID of the impact promise.
+   * @returns {Promise<string[]>} The IDs of the reports, from the first to the last.
+   */
+  async getReportHistory(ida, key) {
+    return this.contract.methods.getReportHistory(ida, key).call()
+  }
+
+  /**
+   * Get a snapshot of parameters.
+   * @param {number} parametersID The index of the snapshot.
+   * @returns {Promise<object>} The timeout, deposit, multipliers and extra data of the snapshot.
+   */
+  async getParameterSnapshot(parametersID) {
+    const { methods } = this.contract
+    const [snapshot, multiplierDivisor] = await Promise.all([
+      methods.parameterSnapshots(parametersID).call(),
+      methods.MULTIPLIER_DIVISOR().call()
+    ])
+
+    return {
+      arbitratorExtraData: snapshot.arbitratorExtraData || '0x',
+      baseDeposit: toBN(snapshot.baseDeposit),
+      executionTimeout: Number(snapshot.executionTimeout),
+      loserStakeMultiplier: toBN(snapshot.loserStakeMultiplier),
+      multiplierDivisor: toBN(multiplierDivisor),
+      sharedStakeMultiplier: toBN(snapshot.sharedStakeMultiplier),
+      winnerStakeMultiplier: toBN(snapshot.winnerStakeMultiplier)
+    }
+  }
+
+  /**
+   * Get the parameters that apply to a report, snapshotted when it was created.
+   * @param {string} ID The ID of the report.
+   * @returns {Promise<object>} The parameters. See `getParameterSnapshot`.
+   */
+  async getReportParameters(ID) {
+    const { parametersID } = await this.getReport(ID)
+    return this.getParameterSnapshot(parametersID)
+  }
+
+  /**
+   * Get the profile of an IDA.
+   * @param {string} ida The address of the IDA.
+   * @returns {Promise<object|null>} The parameters of the profile, see `getParameterSnapshot`. Null if the IDA uses the default parameters.
+   */
+  async getIDAProfile(ida) {
+    const parametersID = Number(
+      await this.contract.methods.idaProfiles(ida).call()
+    )
+    return parametersID === 0 ? null : this.getParameterSnapshot(parametersID)
+  }
+
+  /**
+   * Get the bond the service provider of an IDA pays to make a report.
+   * @param {string} ida The address of the IDA.
+   * @returns {Promise<BN>} The bond, in tokens for a `TokenValidator`.
+   */
+  async getProviderBond(ida) {
+    return toBN(await this.contract.methods.providerBonds(ida).call())
+  }
+
+  /**
+   * Get the bond paid by the service provider of a report.
+   * @param {string} ID The ID of the report.
+   * @returns {Promise<object>} The service provider, the `amount` of the bond, 0 once it is returned, whether it was `awarded` to the contributors to the challenge because the report was overturned, and its `payer`, to which it is returned: the service provider, or the relayer of a relayed report in ETH.
+   */
+  async getReportBond(ID) {
+    const bond = await this.contract.methods.reportBonds(ID).call()
+    return {
+      amount: toBN(bond.amount),
+      awarded: bond.awarded,
+      payer: bond.payer,
+      serviceProvider: bond.serviceProvider
+    }
+  }
+
+  /**
+   * Get a round of a report.
+   * @param {string} ID The ID of the report.
+   * @param {number} round The index of the round.
+   * @returns {Promise<object>} The round.
+   */
+  async getRound(ID, round) {
+    const info = await this.contract.methods.getRoundInfo(ID, round).call()
+    return {
+      appealed: info.appealed,
+      feeRewards: toBN(info.feeRewards),
+      hasPaid: {
+        challenger: info.hasPaid[Party.Challenger],
+        supporter: info.hasPaid[Party.Supporter]
+      },
+      paidFees: {
+        challenger: toBN(info.paidFees[Party.Challenger]),
+        supporter: toBN(info.paidFees[Party.Supporter])
+      }
+    }
+  }
+
+  /**
+   * Get the contributions made by an address to a round of a report.
+   * @param {string} ID The ID of the report.
+   * @param {number} round The index of the round.
+   * @param {string} contributor The address of the contributor.
+   * @returns {Promise<object>} The contributions to each side.
+   */
+  async getContributions(ID, round, contributor) {
+    const contributions = await this.contract.methods
+      .getContributions(ID, round, contributor)
+      .call()
+    return {
+      challenger: toBN(contributions[Party.Challenger]),
+      supporter: toBN(contributions[Party.Supporter])
+    }
+  }
+
+  /**
+   * Get the token in which deposits are paid.
+   * @returns {Promise<object|null>} The web3 contract instance of the token, or null if deposits are paid in ETH.
+   */
+  async getDepositToken() {
+    if (!this.contract.methods.token) return null
+
+    const address = await this.contract.methods.token().call()
+    if (!this.token || this.token.options.address !== address)
+      this.token = new this.web3.eth.Contract(
+        this.tokenABI || loadABI('IERC20'),
+        address
+      )
+    return this.token
+  }
+
+  /**
+   * Convert an arbitration or appeal cost into the currency of the deposits, the same way the contract does.
+   * @param {BN} cost The cost in wei.
+   * @returns {Promise<BN>} The amount the parties must contribute to cover the cost.
+   */
+  async toDepositAmount(cost) {
+    const { methods } = this.contract
+    if (!methods.arbitrationCostRate) return cost
+
+    const [rate, divisor] = await Promise.all([
+      methods.arbitrationCostRate().call(),
+      methods.RATE_DIVISOR().call()
+    ])
+    return cost.mul(toBN(rate)).div(toBN(divisor))
+  }
+
+  /**
+   * Compute the deposit required to challenge or confirm a report.
+   * @param {string} [ID] The ID of the report. Uses the default parameters if omitted.
+   * @returns {Promise<BN>} The deposit.
+   */
+  async getDeposit(ID) {
+    const {
+      arbitratorExtraData,
+      baseDeposit,
+      multiplierDivisor,
+      sharedStakeMultiplier
+    } =
+      ID === undefined
+        ? await this.getParameters()
+        : await this.getReportParameters(ID)
+    const arbitrator = await this.getArbitrator(ID)
+    const arbitrationCost = await this.toDepositAmount(
+      toBN(await arbitrator.methods.arbitrationCost(arbitratorExtraData).call())
+    )
+
+    return arbitrationCost
+      .add(arbitrationCost.mul(sharedStakeMultiplier).div(multiplierDivisor))
+      .add(baseDeposit)
+  }
+
+  /**
+   * Compute the amount still required to fully fund the deposit challenging or confirming a report.
+   * @param {string} ID The ID of the report.
+   * @param {number} side The side of the deposit. `Party.Challenger` to challenge, `Party.Supporter` to confirm the challenged outcome.
+   * @param {number} [outcome] The outcome proposed by the challenge, for `Party.Challenger`. The whole deposit is returned if omitted.
+   * @returns {Promise<BN>} The amount.
+   */
+  async getDepositRemainder(ID, side, outcome) {
+    const deposit = await this.getDeposit(ID)
+    if (side === Party.Supporter)
+      outcome = (await this.getReport(ID)).challengedOutcome
+    else if (outcome === undefined) return deposit
+
+    const round = await this.getChallengeRound(ID, outcome)
+    if (round === null) return deposit
+
+    const { paidFees } = await this.getRound(ID, round)
+    const paid =
+      side === Party.Supporter ? paidFees.supporter : paidFees.challenger
+    return paid.gte(deposit) ? toBN(0) : deposit.sub(paid)
+  }
+
+  /**
+   * Get the total amount a beneficiary can withdraw from all the rounds of a report, without sending anything. Computed by the `ValidatorView`.
+   * @param {string} ID The ID of the report.
+   * @param {string} [beneficiary] The address that made contributions. Defaults to the sender of transactions.
+   * @returns {Promise<BN>} The withdrawable amount. 0 if the report is not resolved.
+   */
+  async getWithdrawable(ID, beneficiary = this.from) {
+    if (!this.view)
+      throw new Error(
+        'The address of a ValidatorView must be given with the "view" option.'
+      )
+
+    return toBN(
+      await this.view.methods
+        .amountWithdrawable(this.address, ID, beneficiary)
+        .call()
+    )
+  }
+
+  /**
+   * Get the amount of the payments to an address that failed, e.g. because it is a contract that cannot receive ETH.
+   * @param {string} [beneficiary] The address. Defaults to the sender of transactions.
+   * @returns {Promise<BN>} The amount it can withdraw with `withdrawCredit`.
+   */
+  async getCredit(beneficiary = this.from) {
+    return toBN(await this.contract.methods.credits(beneficiary).call())
+  }
+
+  /**
+   * Compute the amount still required to fully fund a side of the current appeal of a report.
+   * @param {string} ID The ID of the report.
+   * @param {number} side The side to fund. See `Party`.
+   * @returns {Promise<BN>} The amount.
+   */
+  async getAppealFeeRemainder(ID, side) {
+    const report = await this.getReport(ID)
+    const params = await this.getParameterSnapshot(report.parametersID)
+    const arbitrator = await this.getArbitrator(ID)
+    const [winner, appealCost, roundsLength] = await Promise.all([
+      arbitrator.methods.currentRuling(report.disputeID).call(),
+      arbitrator.methods
+        .appealCost(report.disputeID, params.arbitratorExtraData)
+        .call(),
+      this.getNumberOfRounds(ID)
+    ])
+
+    let multiplier
+    const winnerParty = ValidatorClient.rulingToParty(report, Number(winner))
+    if (winnerParty === Party.None) multiplier = params.sharedStakeMultiplier
+    else if (winnerParty === side) multiplier = params.winnerStakeMultiplier
+    else multiplier = params.loserStakeMultiplier
+
+    const cost = await this.toDepositAmount(toBN(appealCost))
+    const totalCost = cost.add(
+      cost.mul(multiplier).div(params.multiplierDivisor)
+    )
+    const round = await this.getRound(ID, roundsLength - 1)
+    const paid =
+      side === Party.Supporter
+        ? round.paidFees.supporter
+        : round.paidFees.challenger
+
+    return paid.gte(totalCost) ? toBN(0) : totalCost.sub(paid)
+  }
+
+  /**
+   * Get the number of rounds of a report.
+   * @param {string} ID The ID of the report.
+   * @returns {Promise<number>} The number of rounds of the report.
+   */
+  async getNumberOfRounds(ID) {
+    return Number(await this.contract.methods.getNumberOfRounds(ID).call())
+  }
+
+  /**
+   * Get the round crowdfunding the deposit of the challenges proposing an outcome. Each proposed outcome is crowdfunded in its own round.
+   * @param {string} ID The ID of the report.
+   * @param {number} outcome The proposed outcome, in percent.
+   * @returns {Promise<number|null>} The index of the round. Null if nobody contributed to a challenge proposing the outcome.
+   */
+  async getChallengeRound(ID, outcome) {
+    const round = Number(
+      await this.contract.methods.getChallengeRound(ID, outcome).call()
+    )
+    return round === 0 ? null : round - 1
+  }
+
+  /**
+   * Check whether an IDA is registered.
+   * @param {string} ida The address of the IDA.
+   * @returns {Promise<boolean>} True if reports can be made to the IDA.
+   */
+  async isRegisteredIDA(ida) {
+    return this.contract.methods.registeredIDAs(ida).call()
+  }
+
+  /**
+   * List the registered IDAs by replaying the `IDAAdded` and `IDARemoved` events.
+   * @param {number} [fromBlock] The block from which to replay events, e.g. the deployment block of the Validator.
+   * @returns {Promise<string[]>} The addresses of the IDAs, in registration order.
+   */
+  async getRegisteredIDAs(fromBlock = 0) {
+    const range = { fromBlock, toBlock: 'latest' }
+    const events = (
+      await this.contract.getPastEvents('allEvents', range)
+    ).filter(
+      event => event.event === 'IDAAdded' || event.event === 'IDARemoved'
+    )
+
+    const idas = []
+    for (const event of events) {
+      const index = idas.indexOf(event.returnValues._ida)
+      if (event.event === 'IDAAdded' && index === -1)
+        idas.push(event.returnValues._ida)
+      else if (event.event === 'IDARemoved' && index !== -1)
+        idas.splice(index, 1)
+    }
+    return idas
+  }
+
+  /**
+   * Make a report about the fullfillment of an impact promise. Pays the bond required by the IDA unless a value is given.
+   * A promise can be reported again once the outcome of its previous report is registered as a failure.
+   * @param {string} ida The address of the IDA.
+   * @param {string} key The ID of the impact promise.
+   * @param {number} outcome The reported fulfilment of the promise in percent. See `Outcome`.
+   * @param {object} [txOptions] web3 transaction options. `value` is the bond to pay, in tokens for a `TokenValidator`.
+   * @returns {Promise<object>} The transaction receipt. Its `ReportCreated` event gives the ID of the report.
+   */
+  async makeReport(ida, key, outcome, txOptions = {}) {
+    const { value, ...options } = txOptions
+    const bond = value !== undefined ? value : await this.getProviderBond(ida)
+    const method = this.contract.methods.makeReport(ida, key, outcome)
+    return toBN(bond).isZero()
+      ? this._send(method, options)
+      : this._sendDeposit(method, bond, options)
+  }
+
+  /**
+   * Retract a report nobody contributed to challenging yet. A new report can then be made to the promise.
+   * @param {string} ID The ID of the report.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  retractReport(ID, txOptions) {
+    return this._send(this.contract.methods.retractReport(ID), txOptions)
+  }
+
+  /**
+   * Change the outcome of a report nobody contributed to challenging yet. The challenge period starts over.
+   * @param {string} ID The ID of the report.
+   * @param {number} outcome The new outcome, in percent. See `Outcome`.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  amendReport(ID, outcome, txOptions) {
+    return this._send(this.contract.methods.amendReport(ID, outcome), txOptions)
+  }
+
+  /**
+   * Contribute to the deposit challenging a report. Pays the remainder of the deposit unless a value is given.
+   * @param {string} ID The ID of the report.
+   * @param {number} outcome The outcome the challenger considers correct, in percent. Each outcome is crowdfunded separately.
+   * @param {string} [evidence] URI of the evidence.
+   * @param {object} [txOptions] web3 transaction options. `value` is the amount to contribute, in tokens for a `TokenValidator`.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  async challengeReport(ID, outcome, evidence = '', txOptions = {}) {
+    const { value, ...options } = txOptions
+    return this._sendDeposit(
+      this.contract.methods.challengeReport(ID, outcome, evidence),
+      value !== undefined
+        ? value
+        : await this.getDepositRemainder(ID, Party.Challenger, outcome),
+      options
+    )
+  }
+
+  /**
+   * Contribute to the deposit confirming a challenged report. Pays the remainder of the deposit unless a value is given.
+   * @param {string} ID The ID of the report.
+   * @param {string} [evidence] URI of the evidence.
+   * @param {object} [txOptions] web3 transaction options. `value` is the amount to contribute, in tokens for a `TokenValidator`.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  async confirmReport(ID, evidence = '', txOptions = {}) {
+    const { value, ...options } = txOptions
+    return this._sendDeposit(
+      this.contract.methods.confirmReport(ID, evidence),
+      value !== undefined
+        ? value
+        : await this.getDepositRemainder(ID, Party.Supporter),
+      options
+    )
+  }
+
+  /**
+   * Approve a report once its timeout has passed.
+   * @param {string} ID The ID of the report.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  approveReport(ID, txOptions) {
+    return this._send(this.contract.methods.approveReport(ID), txOptions)
+  }
+
+  /**
+   * Register the outcome of a resolved report in its IDA. Also retries a failed automatic registration.
+   * @param {string} ID The ID of the report.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  registerOutcome(ID, txOptions) {
+    return this._send(this.contract.methods.registerOutcome(ID), txOptions)
+  }
+
+  /**
+   * Fund a side of an appeal. Pays the remainder of the side's fees unless a value is given.
+   * @param {string} ID The ID of the report.
+   * @param {number} side The side to fund. See `Party`.
+   * @param {object} [txOptions] web3 transaction options. `value` is the amount to contribute, in tokens for a `TokenValidator`.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  async fundAppeal(ID, side, txOptions = {}) {
+    const { value, ...options } = txOptions
+    return this._sendDeposit(
+      this.contract.methods.fundAppeal(ID, side),
+      value !== undefined ? value : await this.getAppealFeeRemainder(ID, side),
+      options
+    )
+  }
+
+  /**
+   * Withdraw the fees and rewards of a beneficiary for a round of a resolved report.
+   * @param {string} beneficiary The address that made contributions.
+   * @param {string} ID The ID of the report.
+   * @param {number} round The index of the round.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  withdrawFeesAndRewards(beneficiary, ID, round, txOptions) {
+    return this._send(
+      this.contract.methods.withdrawFeesAndRewards(beneficiary, ID, round),
+      txOptions
+    )
+  }
+
+  /**
+   * Withdraw the fees and rewards of a beneficiary for several rounds of a resolved report.
+   * @param {string} beneficiary The address that made contributions.
+   * @param {string} ID The ID of the report.
+   * @param {number} [cursor] The first round to withdraw from.
+   * @param {number} [count] The number of rounds. 0 for all the rounds after the cursor.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  batchRoundWithdraw(beneficiary, ID, cursor = 0, count = 0, txOptions) {
+    return this._send(
+      this.contract.methods.batchRoundWithdraw(beneficiary, ID, cursor, count),
+      txOptions
+    )
+  }
+
+  /**
+   * Withdraw the fees and rewards of a beneficiary for all the rounds of several resolved reports.
+   * @param {string} beneficiary The address that made contributions.
+   * @param {string[]} IDs The IDs of the reports.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  batchReportWithdraw(beneficiary, IDs, txOptions) {
+    return this._send(
+      this.contract.methods.batchReportWithdraw(beneficiary, IDs),
+      txOptions
+    )
+  }
+
+  /**
+   * Withdraw the amount of the payments to the sender that failed.
+   * @param {string} [recipient] The address to send it to. Defaults to the sender.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  withdrawCredit(recipient, txOptions = {}) {
+    return this._send(
+      this.contract.methods.withdrawCredit(
+        recipient || txOptions.from || this.from
+      ),
+      txOptions
+    )
+  }
+
+  /**
+   * Submit evidence for a report.
+   * @param {string} ID The ID of the report.
+   * @param {string} evidence URI of the evidence.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  submitEvidence(ID, evidence, txOptions) {
+    return this._send(
+      this.contract.methods.submitEvidence(ID, evidence),
+      txOptions
+    )
+  }
+
+  /**
+   * Sign a call to the Validator for a relayer to send it through the `ValidatorForwarder`, on behalf of the signer.
+   * Only `makeReport`, `submitEvidence`, `approveReport` and `registerOutcome` can be relayed. A provider bond in tokens is taken from the allowance of the signer.
+   * @param {string} name The name of the function, e.g. `makeReport`.
+   * @param {Array} args The arguments of the function.
+   * @param {object} [options] Optional settings.
+   * @param {string} [options.privateKey] The key of the signer. The request is signed by `options.from` through the provider if omitted.
+   * @param {string} [options.from] The signer, if no key is given. Defaults to the sender of transactions.
+   * @param {string|number} [options.value] The amount of wei the relayer must send along the call, e.g. a provider bond in ETH.
+   * @param {number} [options.gas] The gas given to the call. Estimated if omitted, which requires a value of 0.
+   * @param {string} [options.rpcMethod] The signing method of the provider. Defaults to `eth_signTypedData`.
+   * @returns {Promise<object>} The `request` and its `signature`, to post to a relayer.
+   */
+  async signRequest(name, args, options = {}) {
+    if (!this.forwarder)
+      throw new Error(
+        'The address of a ValidatorForwarder must be given with the "forwarder" option.'
+      )
+    if (!RELAYABLE_FUNCTIONS.includes(name))
+      throw new Error(`The function "${name}" cannot be relayed.`)
+
+    const { privateKey, rpcMethod, ...requestOptions } = options
+    const from = privateKey
+      ? this.web3.eth.accounts.privateKeyToAccount(privateKey).address
+      : options.from || this.from
+    const data = this.contract.methods[name](...args).encodeABI()
+    const [domain, request] = await Promise.all([
+      getDomain(this.forwarder),
+      buildRequest(this.web3, this.forwarder, from, data, requestOptions)
+    ])
+    const signature = privateKey
+      ? signRequest(domain, request, privateKey)
+      : await signRequestWithProvider(this.web3, domain, request, rpcMethod)
+    return { request, signature }
+  }
+
+  /**
+   * Change the arbitrator of the reports created from now on and the default extra data. Governor only, queued if the governance delay is not 0.
+   * @param {string} arbitrator The address of the new arbitrator.
+   * @param {string} arbitratorExtraData The extra data for the new arbitrator.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  changeArbitrator(arbitrator, arbitratorExtraData, txOptions) {
+    return this._sendGovernance(
+      this.contract.methods.changeArbitrator(arbitrator, arbitratorExtraData),
+      txOptions
+    )
+  }
+
+  /**
+   * Change the duration of the challenge/confirmation period. Governor only, queued if the governance delay is not 0.
+   * @param {number} executionTimeout The new timeout in seconds.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  changeExecutionTimeout(executionTimeout, txOptions) {
+    return this._sendGovernance(
+      this.contract.methods.changeExecutionTimeout(executionTimeout),
+      txOptions
+    )
+  }
+
+  /**
+   * Change the base deposit of challengers and supporters. Governor only, queued if the governance delay is not 0.
+   * @param {string|BN} baseDeposit The new deposit, in wei or in tokens.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  changeBaseDeposit(baseDeposit, txOptions) {
+    return this._sendGovernance(
+      this.contract.methods.changeBaseDeposit(baseDeposit.toString()),
+      txOptions
+    )
+  }
+
+  /**
+   * Change the shared stake multiplier. Governor only, queued if the governance delay is not 0.
+   * @param {number} multiplier The new multiplier in basis points.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  changeSharedStakeMultiplier(multiplier, txOptions) {
+    return this._sendGovernance(
+      this.contract.methods.changeSharedStakeMultiplier(multiplier),
+      txOptions
+    )
+  }
+
+  /**
+   * Change the winner stake multiplier. Governor only, queued if the governance delay is not 0.
+   * @param {number} multiplier The new multiplier in basis points.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  changeWinnerStakeMultiplier(multiplier, txOptions) {
+    return this._sendGovernance(
+      this.contract.methods.changeWinnerStakeMultiplier(multiplier),
+      txOptions
+    )
+  }
+
+  /**
+   * Change the loser stake multiplier. Governor only, queued if the governance delay is not 0.
+   * @param {number} multiplier The new multiplier in basis points.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  changeLoserStakeMultiplier(multiplier, txOptions) {
+    return this._sendGovernance(
+      this.contract.methods.changeLoserStakeMultiplier(multiplier),
+      txOptions
+    )
+  }
+
+  /**
+   * Publish new meta evidence for the reports created from now on. Governor only, queued if the governance delay is not 0.
+   * @param {string} metaEvidence The URI of the new meta evidence.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  changeMetaEvidence(metaEvidence, txOptions) {
+    return this._sendGovernance(
+      this.contract.methods.changeMetaEvidence(metaEvidence),
+      txOptions
+    )
+  }
+
+  /**
+   * Register an IDA, allowing reports to be made to it. Governor or registrar only.
+   * @param {string} ida The address of the IDA.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  addIDA(ida, txOptions) {
+    return this._send(this.contract.methods.addIDA(ida), txOptions)
+  }
+
+  /**
+   * Unregister an IDA. Governor or registrar only.
+   * @param {string} ida The address of the IDA.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  removeIDA(ida, txOptions) {
+    return this._send(this.contract.methods.removeIDA(ida), txOptions)
+  }
+
+  /**
+   * Allow or disallow an address, e.g. an IDA factory, to register IDAs. Governor only, queued if the governance delay is not 0.
+   * @param {string} registrar The address of the registrar.
+   * @param {boolean} allowed True to allow the registrar.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  changeIDARegistrar(registrar, allowed, txOptions) {
+    return this._sendGovernance(
+      this.contract.methods.changeIDARegistrar(registrar, allowed),
+      txOptions
+    )
+  }
+
+  /**
+   * Set the profile of an IDA, overriding the default parameters for its new reports. Governor only, queued if the governance delay is not 0.
+   * @param {string} ida The address of the IDA.
+   * @param {object} profile The parameters of the profile.
+   * @param {string} [profile.arbitratorExtraData] Extra data for the arbitrator, e.g. to choose the subcourt.
+   * @param {number} profile.executionTimeout The timeout in seconds.
+   * @param {string|BN} profile.baseDeposit The deposit, in wei or in tokens.
+   * @param {string|BN} profile.sharedStakeMultiplier The shared stake multiplier, in basis points.
+   * @param {string|BN} profile.winnerStakeMultiplier The winner stake multiplier, in basis points.
+   * @param {string|BN} profile.loserStakeMultiplier The loser stake multiplier, in basis points.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  setIDAProfile(ida, profile, txOptions) {
+    return this._sendGovernance(
+      this.contract.methods.setIDAProfile(
+        ida,
+        profile.arbitratorExtraData || '0x',
+        profile.executionTimeout,
+        profile.baseDeposit.toString(),
+        profile.sharedStakeMultiplier.toString(),
+        profile.winnerStakeMultiplier.toString(),
+        profile.loserStakeMultiplier.toString()
+      ),
+      txOptions
+    )
+  }
+
+  /**
+   * Change the bond the service provider of an IDA pays to make a report. Governor only, queued if the governance delay is not 0.
+   * @param {string} ida The address of the IDA.
+   * @param {number|string|BN} providerBond The bond, in tokens for a `TokenValidator`. 0 to not require one.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  changeProviderBond(ida, providerBond, txOptions) {
+    return this._sendGovernance(
+      this.contract.methods.changeProviderBond(ida, providerBond.toString()),
+      txOptions
+    )
+  }
+
+  /**
+   * Enable or disable the registration of the outcomes of the reports made to an IDA as soon as they are resolved. Governor only, queued if the governance delay is not 0.
+   * @param {string} ida The address of the IDA.
+   * @param {boolean} autoRegistration True to register the outcomes automatically.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  changeAutoRegistration(ida, autoRegistration, txOptions) {
+    return this._sendGovernance(
+      this.contract.methods.changeAutoRegistration(ida, autoRegistration),
+      txOptions
+    )
+  }
+
+  /**
+   * Remove the profile of an IDA. Governor only, queued if the governance delay is not 0.
+   * @param {string} ida The address of the IDA.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  removeIDAProfile(ida, txOptions) {
+    return this._sendGovernance(
+      this.contract.methods.removeIDAProfile(ida),
+      txOptions
+    )
+  }
+
+  /**
+   * Change the forwarder whose relayed calls the Validator accepts. Governor only, queued if the governance delay is not 0.
+   * @param {string} forwarder The address of the `ValidatorForwarder`. The zero address to stop accepting relayed calls.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  changeTrustedForwarder(forwarder, txOptions) {
+    return this._sendGovernance(
+      this.contract.methods.changeTrustedForwarder(forwarder),
+      txOptions
+    )
+  }
+
+  /**
+   * Change the governor. Governor only, queued if the governance delay is not 0.
+   * @param {string} governor The address of the new governor.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  changeGovernor(governor, txOptions) {
+    return this._sendGovernance(
+      this.contract.methods.changeGovernor(governor),
+      txOptions
+    )
+  }
+
+  /**
+   * Decode the call made by a governance change.
+   * @param {string} data The data of the call.
+   * @returns {object} The name of the method, null if it is not in the ABI, and its arguments.
+   */
+  decodeChange(data) {
+    const method = this.contract.options.jsonInterface.find(
+      item => item.type === 'function' && item.signature === data.slice(0, 10)
+    )
+    if (!method) return { args: [], method: null }
+
+    const decoded = this.web3.eth.abi.decodeParameters(
+      method.inputs,
+      `0x${data.slice(10)}`
+    )
+    return {
+      args: method.inputs.map((_input, i) => decoded[i]),
+      method: method.name
+    }
+  }
+
+  /**
+   * List the governance changes that are queued and neither executed nor cancelled, by replaying the `ChangeQueued` events.
+   * @param {number} [fromBlock] The block from which to replay events, e.g. the deployment block of the Validator.
+   * @returns {Promise<object[]>} The changes, as `{ changeID, method, args, data, eta }` objects. `eta` is the time in seconds from which the change can be executed.
+   */
+  async getPendingChanges(fromBlock = 0) {
+    const events = await this.contract.getPastEvents('ChangeQueued', {
+      fromBlock,
+      toBlock: 'latest'
+    })
+    const changes = await Promise.all(
+      events.map(event =>
+        this.contract.methods.changes(event.returnValues._changeID).call()
+      )
+    )
+
+    return events
+      .filter((_event, i) => Number(changes[i].status) === ChangeStatus.Pending)
+      .map(({ returnValues: { _changeID, _data, _eta } }) => ({
+        changeID: Number(_changeID),
+        ...this.decodeChange(_data),
+        data: _data,
+        eta: Number(_eta)
+      }))
+  }
+
+  /**
+   * Execute a queued governance change whose delay has passed.
+   * @param {number} changeID The ID of the change.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  executeChange(changeID, txOptions) {
+    return this._send(this.contract.methods.executeChange(changeID), txOptions)
+  }
+
+  /**
+   * Cancel a queued governance change. Governor only.
+   * @param {number} changeID The ID of the change.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  cancelChange(changeID, txOptions) {
+    return this._send(this.contract.methods.cancelChange(changeID), txOptions)
+  }
+
+  /**
+   * Change the delay of governance changes. Governor only, queued if the governance delay is not 0.
+   * @param {number} governanceDelay The new delay in seconds.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt.
+   */
+  changeGovernanceDelay(governanceDelay, txOptions) {
+    return this._sendGovernance(
+      this.contract.methods.changeGovernanceDelay(governanceDelay),
+      txOptions
+    )
+  }
+
+  /**
+   * Make a governance change directly if the governance delay is 0, queue it otherwise.
+   * @param {object} method The web3 method making the change.
+   * @param {object} [txOptions] web3 transaction options.
+   * @returns {Promise<object>} The transaction receipt. Its `ChangeQueued` event gives the ID and the time of execution of a queued change.
+   */
+  async _sendGovernance(method, txOptions) {
+    const governanceDelay = await this.contract.methods.governanceDelay().call()
+    if (Number(governanceDelay) === 0) return this._send(method, txOptions)
+
+    return this._send(
+      this.contract.methods.queueChange(method.encodeABI()),
+      txOptions
+    )
+  }
+
+  async _sendDeposit(method, amount, txOptions = {}) {
+    const token = await this.getDepositToken()
+    if (!token)
+      return this._send(method, { value: amount.toString(), ...txOptions })
+
+    // The contract takes up to the allowance, so approving the exact amount caps the contribution.
+    await this._send(
+      token.methods.approve(this.address, amount.toString()),
+      txOptions
+    )
+    return this._send(method, txOptions)
+  }
+
+  async _send(method, txOptions = {}) {
+    const options = { from: this.from, ...txOptions }
+    if (options.gas === undefined) {
+      const estimate = await method.estimateGas({
+        from: options.from,
+        value: options.value
+      })
+      options.gas = Math.ceil(estimate * GAS_ESTIMATE_MARGIN) // Estimates fall short on calls forwarding gas to other contracts.
+    }
+
+    return method.send(options)
+  }
+}
+
+module.exports = ValidatorClient
@@ -0,0 +1,293 @@
+/* eslint-disable no-undef */ // Avoid the linter considering truffle elements as undef.
+const { time } = require('openzeppelin-test-helpers')
+const { soliditySha3 } = require('web3-utils')
+
+const { run } = require('../src/cli')
+
+const Ida = artifacts.require('Ida')
+const Arbitrator = artifacts.require('EnhancedAppealableArbitrator')
+const Validator = artifacts.require('Validator')
+const TokenValidator = artifacts.require('TokenValidator')
+const ERC20Mintable = artifacts.require('ERC20Mintable')
+const ValidatorView = artifacts.require('ValidatorView')
+const Escrow = artifacts.require('Escrow')
+const ClaimsRegistry = artifacts.require('ClaimsRegistry')
+
+contract('CLI', function(accounts) {
+  const governor = accounts[0] // Governor is also a service provider for IDA.
+  const challenger = accounts[2]
+  const other = accounts[9]
+  const arbitratorExtraData = '0x85'
+  const arbitrationCost = 1000
+
+  const appealTimeOut = 180
+  const executionTimeout = 600
+  const baseDeposit = 2000
+  const sharedStakeMultiplier = 5000
+  const winnerStakeMultiplier = 2000
+  const loserStakeMultiplier = 8000
+  const metaEvidence = 'test.json'
+
+  let arbitrator
+  let validator
+  let view
+  let ida
+  let key
+  let ID
+  let output
+  let cli
+  beforeEach('initialize the contracts', async function() {
+    key = soliditySha3('key1')
+    const value = web3.utils.padLeft(web3.utils.numberToHex(50), 64) // 50.
+
+    arbitrator = await Arbitrator.new(
+      arbitrationCost,
+      governor,
+      arbitratorExtraData,
+      appealTimeOut,
+      { from: governor }
+    )
+    await arbitrator.changeArbitrator(arbitrator.address)
+
+    validator = await Validator.new(
+      arbitrator.address,
+      arbitratorExtraData,
+      metaEvidence,
+      executionTimeout,
+      baseDeposit,
+      sharedStakeMultiplier,
+      winnerStakeMultiplier,
+      loserStakeMultiplier,
+      { from: governor }
+    )
+
+    view = await ValidatorView.new()
+
+    const claimsRegistry = await ClaimsRegistry.new()
+    const escrow = await Escrow.new(other, 1000, { from: governor })
+    ida = await Ida.new(
+      other, // Payment token.
+      other, // Impact promise.
+      escrow.address,
+      claimsRegistry.address,
+      'TestIda',
+      2, // Promise number.
+      50, // Price of a single promise.
+      validator.address,
+      -1, // End time. Just set to maximum.
+      governor, // Service provider.
+      { from: governor }
+    )
+    await escrow.transferOwnership(ida.address, { from: governor })
+    await validator.addIDA(ida.address, { from: governor })
+    await claimsRegistry.setClaim(ida.address, key, value, { from: governor })
+    ID = soliditySha3(ida.address, key, governor)
+
+    output = []
+    cli = (command, from = governor) =>
+      run(command.split(' '), {
+        clientOptions: {
+          abi: Validator.abi,
+          arbitratorABI: Arbitrator.abi,
+          viewABI: ValidatorView.abi
+        },
+        config: { from, validator: validator.address, view: view.address },
+        log: line => output.push(line),
+        web3
+      })
+  })
+
+  it('Should run the report lifecycle and print the status of the report', async () => {
+    await cli(`report create ${ida.address} ${key} SUCCESS`)
+    assert.equal(output[output.length - 1], `Report ID: ${ID}`)
+
+    output = []
+    await cli(`inspect ${ID}`)
+    assert.include(output, '  Status:      Created')
+    assert.include(output, '  Outcome:     100%')
+    assert.include(output, '  Meta evidence ID: 0')
+    assert.include(
+      output,
+      '  Deposit to challenge: 3500 wei per proposed outcome'
+    )
+    assert(
+      output.some(line => line.startsWith('  Challenge deadline: ')),
+      'Should print the challenge deadline'
+    )
+
+    // Crowdfund the challenge.
+    await cli(`report challenge ${ID} 40% Evidence.json 1000`, challenger)
+    output = []
+    await cli(`inspect ${ID}`)
+    assert.include(output, '  Status:      Created')
+    output = []
+    await cli(`report challenge ${ID} 40%`, other)
+    assert.include(output, 'Contributing 2500 wei to the challenge deposit.')
+    output = []
+    await cli(`inspect ${ID}`)
+    assert.include(output, '  Status:      Challenged')
+    assert.include(output, `  Challenger:  ${other}`) // Completed the deposit.
+    assert.include(output, '  Challenged outcome: 40%')
+    assert.include(output, '  Deposit left to confirm: 3500 wei')
+
+    await time.increase(executionTimeout + 1)
+    await cli(`report approve ${ID}`)
+    await cli(`report register ${ID}`)
+    output = []
+    await cli(`claimable ${ID}`, challenger)
+    assert.deepEqual(output, [
+      `Report ${ID}: 1000 wei`,
+      'You can claim 1000 wei.'
+    ])
+    await cli(`claim ${ID}`, challenger)
+    output = []
+    await cli(`claim ${ID}`, challenger)
+    assert.deepEqual(output, ['There is nothing to claim.'])
+    output = []
+    await cli('credit withdraw', challenger)
+    assert.deepEqual(output, ['There is no credit to withdraw.'])
+
+    output = []
+    await cli(`inspect ${ID}`)
+    assert.include(output, '  Status:      Resolved')
+    assert.include(output, '  Outcome:     40%')
+    assert.include(output, '  Outcome registered: true')
+    assert.include(output, `  Claimable by ${governor}: 0 wei`)
+    assert.equal((await ida.nbPending()).toNumber(), 0)
+
+    output = []
+    await cli(`report history ${ida.address} ${key}`)
+    assert.deepEqual(output, [`${ID}: Resolved, outcome 40%`])
+
+    output = []
+    await cli(`report list ${ida.address}`)
+    assert.deepEqual(output, [`${ID}: Resolved, outcome 40%`])
+    output = []
+    await cli(`report list ${other}`)
+    assert.deepEqual(output, ['No report was made.'])
+  })
+
+  it('Should make governance changes', async () => {
+    await cli('governance set-timeout 31')
+    await cli('governance set-deposit 212')
+    await cli('governance set-multipliers 51 101 4222')
+    await cli('governance set-meta-evidence test2.json')
+    await cli(`governance set-registrar ${other} true`)
+    await cli(`governance set-bond ${ida.address} 700`)
+    await cli(`governance set-auto-registration ${ida.address} true`)
+    await cli(`governance set-forwarder ${other}`)
+    output = []
+    await cli(`report create ${ida.address} ${key} SUCCESS`)
+    assert.include(output, 'Paying a bond of 700 wei.')
+    output = []
+    await cli(`inspect ${ID}`)
+    assert.include(output, '  Provider bond: 700 wei')
+    await cli(`ida remove ${ida.address}`)
+    output = []
+    await cli('ida list')
+    assert.deepEqual(output, ['No IDA is registered.'])
+    await cli(`ida add ${ida.address}`, other)
+    output = []
+    await cli('ida list')
+    assert.deepEqual(output, [ida.address])
+    await cli(`governance set-governor ${other}`)
+
+    assert.equal((await validator.executionTimeout()).toNumber(), 31)
+    assert.equal((await validator.baseDeposit()).toNumber(), 212)
+    assert.equal((await validator.sharedStakeMultiplier()).toNumber(), 51)
+    assert.equal((await validator.winnerStakeMultiplier()).toNumber(), 101)
+    assert.equal((await validator.loserStakeMultiplier()).toNumber(), 4222)
+    assert.equal((await validator.metaEvidenceUpdates()).toNumber(), 1)
+    assert.equal(await validator.idaRegistrars(other), true)
+    assert.equal((await validator.providerBonds(ida.address)).toNumber(), 700)
+    assert.equal(await validator.autoRegistration(ida.address), true)
+    assert.equal(await validator.trustedForwarder(), other)
+    assert.equal(await validator.governor(), other)
+  })
+
+  it('Should label the amounts of a TokenValidator with its token', async () => {
+    const token = await ERC20Mintable.new({ from: governor })
+    const tokenValidator = await TokenValidator.new(
+      token.address,
+      20000, // 2 tokens per wei of arbitration cost.
+      arbitrator.address,
+      arbitratorExtraData,
+      metaEvidence,
+      executionTimeout,
+      baseDeposit,
+      sharedStakeMultiplier,
+      winnerStakeMultiplier,
+      loserStakeMultiplier,
+      { from: governor }
+    )
+
+    await run(['governance', 'set-bond', ida.address, '700'], {
+      clientOptions: {
+        abi: TokenValidator.abi,
+        arbitratorABI: Arbitrator.abi,
+        tokenABI: ERC20Mintable.abi
+      },
+      config: { from: governor, validator: tokenValidator.address },
+      log: line => output.push(line),
+      web3
+    })
+    assert.include(
+      output,
+      `Setting the bond of ${ida.address} to 700 units of token ${token.address}.`
+    )
+    assert.equal(
+      (await tokenValidator.providerBonds(ida.address)).toNumber(),
+      700
+    )
+  })
+
+  it('Should queue governance changes once the delay is set', async () => {
+    await cli('governance set-delay 100')
+    output = []
+    await cli('governance set-deposit 300')
+    assert(
+      output[1].startsWith('Change 0 queued, executable from '),
+      'Should print the ID and time of execution of the change'
+    )
+    await cli('governance set-timeout 40')
+
+    output = []
+    await cli('governance pending')
+    assert.equal(output.length, 2)
+    assert(
+      output[0].startsWith('Change 0: changeBaseDeposit(300), executable ')
+    )
+    assert(output[1].startsWith('Change 1: changeExecutionTimeout(40), '))
+
+    await time.increase(101)
+    await cli('governance execute 0')
+    await cli('governance cancel 1')
+    assert.equal((await validator.baseDeposit()).toNumber(), 300)
+    assert.equal(
+      (await validator.executionTimeout()).toNumber(),
+      executionTimeout
+    )
+    output = []
+    await cli('governance pending')
+    assert.deepEqual(output, ['No change is pending.'])
+  })
+
+  it('Should reject unknown commands and invalid arguments', async () => {
+    const expectError = async (command, message) => {
+      try {
+        await cli(command)
+      } catch (err) {
+        assert.include(err.message, message)
+        return
+      }
+      assert.fail(`"${command}" should have failed`)
+    }
+
+    await expectError('report delete 0x00', 'Unknown command')
+    await expectError(
+      `report create ${ida.address} ${key} MAYBE`,
+      'Invalid value "MAYBE"'
+    )
+    await expectError(`relay sign approveReport ${ID}`, 'ValidatorForwarder')
+  })
+})
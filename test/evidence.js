@@ -0,0 +1,102 @@
+/* eslint-disable no-undef */ // Avoid the linter considering truffle elements as undef.
+const {
+  SHA2_256,
+  buildEvidence,
+  buildMetaEvidence,
+  isValidURI,
+  multihash,
+  validateEvidence,
+  validateMetaEvidence,
+  verifyMultihash
+} = require('../src/evidence')
+
+describe('Evidence', function() {
+  const fileURI =
+    '/ipfs/QmRN6wdp1S2A5EtjW9A3M1vKSBuQQGcgvuhoMUoEz4iiT5/terms.pdf'
+
+  it('Should build valid meta evidence whose rulings are outcomes', () => {
+    const metaEvidence = buildMetaEvidence({
+      description: 'Jurors must check that the trees were planted.',
+      fileHash: multihash('terms'),
+      fileTypeExtension: 'pdf',
+      fileURI,
+      title: 'Tree planting'
+    })
+
+    assert.deepEqual(metaEvidence.rulingOptions, {
+      precision: 0,
+      type: 'uint'
+    })
+    assert.equal(metaEvidence.category, 'Impact Delivery Agreement')
+    assert.deepEqual(validateMetaEvidence(metaEvidence), [])
+    assert(verifyMultihash('terms', metaEvidence.fileHash))
+  })
+
+  it('Should report malformed meta evidence', () => {
+    const metaEvidence = buildMetaEvidence({ description: 'D', title: 'T' })
+
+    assert.include(
+      validateMetaEvidence({ ...metaEvidence, title: 'Tampered' }),
+      '"selfHash" does not match the document.'
+    )
+
+    const unsigned = { ...metaEvidence }
+    delete unsigned.selfHash
+    const errors = validateMetaEvidence({
+      ...unsigned,
+      fileHash: '0x1b20ab',
+      fileURI: 'test.json',
+      question: '',
+      rulingOptions: { titles: ['Yes', 'No'], type: 'single-select' }
+    })
+    assert.include(errors, '"question" must be a non-empty string.')
+    assert.include(
+      errors,
+      '"rulingOptions.type" must be "uint", for the outcome in percent.'
+    )
+    assert.include(errors, '"fileURI" is not a valid URI: test.json.')
+    assert.include(errors, '"fileHash" is not a valid multihash: 0x1b20ab.')
+
+    assert.throws(
+      () => buildMetaEvidence({ description: 'D' }),
+      /"title" must be a non-empty string/
+    )
+  })
+
+  it('Should build and validate evidence', () => {
+    const evidence = buildEvidence({
+      description: 'Photos of the planted trees.',
+      fileHash: multihash('photos', SHA2_256),
+      fileTypeExtension: 'zip',
+      fileURI: 'https://example.com/photos.zip',
+      name: 'Photos'
+    })
+    assert.deepEqual(validateEvidence(evidence), [])
+
+    assert.deepEqual(validateEvidence({ description: 'D', name: 'N' }), [])
+    assert.include(
+      validateEvidence({ description: 'D', fileTypeExtension: '.zip' }),
+      '"fileTypeExtension" must be an extension without the dot.'
+    )
+  })
+
+  it('Should check URIs and multihashes', () => {
+    assert(isValidURI(fileURI))
+    assert(isValidURI('ipfs://QmRN6wdp1S2A5EtjW9A3M1vKSBuQQGcgvuhoMUoEz4iiT5'))
+    assert(isValidURI('https://example.com/evidence.json'))
+    assert(!isValidURI('/ipfs/not-a-hash/evidence.json'))
+    assert(!isValidURI('ftp://example.com/evidence.json'))
+
+    // The IPFS multihash of "hello", in base58.
+    assert(
+      verifyMultihash('hello', 'QmRN6wdp1S2A5EtjW9A3M1vKSBuQQGcgvuhoMUoEz4iiT5')
+    )
+    assert(
+      !verifyMultihash(
+        'hallo',
+        'QmRN6wdp1S2A5EtjW9A3M1vKSBuQQGcgvuhoMUoEz4iiT5'
+      )
+    )
+    assert(verifyMultihash('hello', multihash('hello')))
+  })
+})
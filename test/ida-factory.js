@@ -0,0 +1,192 @@
+/* eslint-disable no-undef */ // Avoid the linter considering truffle elements as undef.
+const { expectEvent, expectRevert, time } = require('openzeppelin-test-helpers')
+const { soliditySha3 } = require('web3-utils')
+
+const { deployIDA } = require('../src/ida-factory')
+
+const Ida = artifacts.require('Ida')
+const Arbitrator = artifacts.require('EnhancedAppealableArbitrator')
+const Validator = artifacts.require('Validator')
+const IdaFactory = artifacts.require('IdaFactory')
+const Escrow = artifacts.require('Escrow')
+const FluidToken = artifacts.require('FluidToken')
+const ImpactPromise = artifacts.require('ImpactPromise')
+const ClaimsRegistry = artifacts.require('ClaimsRegistry')
+const ERC20Mintable = artifacts.require('ERC20Mintable')
+
+contract('IdaFactory', function(accounts) {
+  const governor = accounts[0]
+  const serviceProvider = accounts[1]
+  const funder = accounts[2]
+  const other = accounts[9]
+  const arbitratorExtraData = '0x85'
+  const arbitrationCost = 1000
+
+  const appealTimeOut = 180
+  const executionTimeout = 600
+  const baseDeposit = 2000
+  const sharedStakeMultiplier = 5000
+  const winnerStakeMultiplier = 2000
+  const loserStakeMultiplier = 8000
+  const metaEvidence = 'test.json'
+  const promiseNumber = 2
+  const promisePrice = 50
+  const SUCCESS = 100
+
+  let validator
+  let claimsRegistry
+  let token
+  let factory
+  let params
+  beforeEach('initialize the Validator and the factory', async function() {
+    const arbitrator = await Arbitrator.new(
+      arbitrationCost,
+      governor,
+      arbitratorExtraData,
+      appealTimeOut,
+      { from: governor }
+    )
+    await arbitrator.changeArbitrator(arbitrator.address)
+
+    validator = await Validator.new(
+      arbitrator.address,
+      arbitratorExtraData,
+      metaEvidence,
+      executionTimeout,
+      baseDeposit,
+      sharedStakeMultiplier,
+      winnerStakeMultiplier,
+      loserStakeMultiplier,
+      { from: governor }
+    )
+    claimsRegistry = await ClaimsRegistry.new()
+    token = await ERC20Mintable.new({ from: governor })
+    factory = await IdaFactory.new(validator.address, claimsRegistry.address)
+    params = {
+      endTime: '0x'.padEnd(66, 'f'), // Just set to maximum.
+      name: 'TestIda',
+      paymentToken: token.address,
+      promiseNumber,
+      promisePrice,
+      serviceProvider
+    }
+  })
+
+  it('Should deploy a wired IDA bound to the Validator', async () => {
+    const key = soliditySha3('key1')
+    const deployed = await deployIDA(
+      web3,
+      factory.address,
+      { ...params, claims: [key] },
+      {
+        abi: IdaFactory.abi,
+        claimsRegistryABI: ClaimsRegistry.abi,
+        from: other
+      }
+    )
+    assert.equal(deployed.registered, false)
+    await expectEvent.inTransaction(
+      deployed.receipt.transactionHash,
+      IdaFactory,
+      'IDACreated',
+      {
+        _escrow: deployed.escrow,
+        _ida: deployed.ida,
+        _impactPromise: deployed.impactPromise,
+        _paymentRights: deployed.paymentRights,
+        _serviceProvider: serviceProvider
+      }
+    )
+    assert.equal((await factory.getNumberOfIDAs()).toNumber(), 1)
+    assert.equal(await factory.idas(0), deployed.ida)
+
+    const ida = await Ida.at(deployed.ida)
+    const escrow = await Escrow.at(deployed.escrow)
+    const paymentRights = await FluidToken.at(deployed.paymentRights)
+    const impactPromise = await ImpactPromise.at(deployed.impactPromise)
+    assert.equal(await ida.validator(), validator.address)
+    assert.equal(await ida.serviceProvider(), serviceProvider)
+    assert.equal(await ida.claimsRegistry(), claimsRegistry.address)
+    assert.equal(await escrow.owner(), ida.address)
+    assert.equal(await escrow.recipient(), paymentRights.address)
+    assert.equal((await escrow.capacity()).toNumber(), 100)
+    assert.equal(
+      (await paymentRights.balanceOf(serviceProvider)).toNumber(),
+      100,
+      'The service provider should hold all the payment rights'
+    )
+    assert.equal(await impactPromise.isMinter(ida.address), true)
+    assert.equal(await impactPromise.isMinter(factory.address), false)
+
+    // The IDA is funded, then its promise is reported and validated.
+    await token.mint(funder, 100, { from: governor })
+    await token.approve(ida.address, 100, { from: funder })
+    await ida.fund(100, { from: funder })
+    assert.equal((await impactPromise.balanceOf(funder)).toNumber(), 100)
+
+    await validator.addIDA(ida.address, { from: governor })
+    await validator.makeReport(ida.address, key, SUCCESS, {
+      from: serviceProvider
+    })
+    await time.increase(executionTimeout + 1)
+    const ID = soliditySha3(ida.address, key, serviceProvider)
+    await validator.approveReport(ID)
+    await validator.registerOutcome(ID)
+    assert.equal((await escrow.unlocked()).toNumber(), promisePrice)
+    assert.equal((await ida.validatedNumber()).toNumber(), 1)
+  })
+
+  it('Should register the IDAs it creates only as an IDA registrar, for the governor or a registrar', async () => {
+    await expectRevert(
+      factory.createIDA(
+        token.address,
+        'TestIda',
+        promiseNumber,
+        promisePrice,
+        params.endTime,
+        serviceProvider,
+        true,
+        { from: other }
+      ),
+      'The caller must be the governor or a registrar.'
+    )
+    await expectRevert(
+      factory.createIDA(
+        token.address,
+        'TestIda',
+        promiseNumber,
+        0,
+        params.endTime,
+        serviceProvider,
+        false,
+        { from: other }
+      ),
+      'Invalid number or price of the promises.'
+    )
+
+    await validator.changeIDARegistrar(factory.address, true, {
+      from: governor
+    })
+    await expectRevert(
+      factory.createIDA(
+        token.address,
+        'TestIda',
+        promiseNumber,
+        promisePrice,
+        params.endTime,
+        serviceProvider,
+        true,
+        { from: other }
+      ),
+      'The caller must be the governor or a registrar.'
+    )
+    const { ida, registered } = await deployIDA(
+      web3,
+      factory.address,
+      { ...params, register: true },
+      { abi: IdaFactory.abi, from: governor }
+    )
+    assert.equal(registered, true)
+    assert.equal(await validator.registeredIDAs(ida), true)
+  })
+})
@@ -0,0 +1,426 @@
+/* eslint-disable no-undef */ // Avoid the linter considering truffle elements as undef.
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { time } = require('openzeppelin-test-helpers')
+const { soliditySha3 } = require('web3-utils')
+
+const {
+  Indexer,
+  JSONStore,
+  Outcome,
+  Party,
+  RegistrationFailure,
+  Status,
+  ValidatorClient
+} = require('..')
+
+const Ida = artifacts.require('Ida')
+const Arbitrator = artifacts.require('EnhancedAppealableArbitrator')
+const Validator = artifacts.require('Validator')
+const Escrow = artifacts.require('Escrow')
+const ClaimsRegistry = artifacts.require('ClaimsRegistry')
+const ValidatorForwarder = artifacts.require('ValidatorForwarder')
+
+contract('Indexer', function(accounts) {
+  const governor = accounts[0] // Governor is also a service provider for IDA.
+  const supporter = accounts[1]
+  const challenger = accounts[2]
+  const other = accounts[9]
+  const arbitratorExtraData = '0x85'
+  const arbitrationCost = 1000
+
+  const appealTimeOut = 180
+  const executionTimeout = 600
+  const baseDeposit = 2000
+  const sharedStakeMultiplier = 5000
+  const winnerStakeMultiplier = 2000
+  const loserStakeMultiplier = 8000
+  const metaEvidence = 'test.json'
+
+  let arbitrator
+  let claimsRegistry
+  let ida
+  let client
+  let key
+  let key2
+  let ID
+  let ID2
+  let fromBlock
+  let storePath
+  beforeEach('initialize the contracts and the client', async function() {
+    key = soliditySha3('key1')
+    key2 = soliditySha3('key2')
+    const value = web3.utils.padLeft(web3.utils.numberToHex(50), 64) // 50.
+
+    fromBlock = (await web3.eth.getBlockNumber()) + 1
+    arbitrator = await Arbitrator.new(
+      arbitrationCost,
+      governor,
+      arbitratorExtraData,
+      appealTimeOut,
+      { from: governor }
+    )
+    await arbitrator.changeArbitrator(arbitrator.address)
+
+    const validator = await Validator.new(
+      arbitrator.address,
+      arbitratorExtraData,
+      metaEvidence,
+      executionTimeout,
+      baseDeposit,
+      sharedStakeMultiplier,
+      winnerStakeMultiplier,
+      loserStakeMultiplier,
+      { from: governor }
+    )
+
+    claimsRegistry = await ClaimsRegistry.new()
+    const escrow = await Escrow.new(other, 1000, { from: governor })
+    ida = await Ida.new(
+      other, // Payment token.
+      other, // Impact promise.
+      escrow.address,
+      claimsRegistry.address,
+      'TestIda',
+      2, // Promise number.
+      50, // Price of a single promise.
+      validator.address,
+      -1, // End time. Just set to maximum.
+      governor, // Service provider.
+      { from: governor }
+    )
+    await escrow.transferOwnership(ida.address, { from: governor })
+    await validator.addIDA(ida.address, { from: governor })
+    await claimsRegistry.setClaim(ida.address, key, value, { from: governor })
+    await claimsRegistry.setClaim(ida.address, key2, value, { from: governor })
+
+    client = new ValidatorClient(web3, validator.address, {
+      abi: Validator.abi,
+      arbitratorABI: Arbitrator.abi,
+      from: governor
+    })
+    ID = soliditySha3(ida.address, key, governor)
+    ID2 = soliditySha3(ida.address, key2, governor)
+    storePath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-')),
+      'state.json'
+    )
+  })
+
+  const now = async () => (await web3.eth.getBlock('latest')).timestamp
+
+  it('Should index reports, evidence and IDA outcomes', async () => {
+    const indexer = new Indexer(client, { fromBlock, idaABI: Ida.abi })
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    await client.makeReport(ida.address, key2, Outcome.FAILURE)
+    await client.submitEvidence(ID2, 'Evidence.json', { from: other })
+    await indexer.sync()
+
+    assert.equal(indexer.state.metaEvidence[0], metaEvidence)
+    assert.deepEqual(indexer.getIDAs(), [ida.address])
+    assert.deepEqual(indexer.getRegisteredIDAs(), [ida.address])
+    assert.deepEqual(
+      indexer.getReportsByIDA(ida.address).map(report => report.ID),
+      [ID, ID2]
+    )
+    assert.deepEqual(indexer.getReport(ID2).evidence, [
+      { party: other, uri: 'Evidence.json' }
+    ])
+
+    await time.increase(executionTimeout + 1)
+    await client.approveReport(ID)
+    await client.approveReport(ID2)
+    await client.registerOutcome(ID)
+    await client.registerOutcome(ID2)
+    await indexer.sync()
+
+    const report = indexer.getReport(ID)
+    assert.equal(report.status, Status.Resolved)
+    assert.equal(report.outcomeRegistered, true)
+    assert.deepEqual(
+      report.history.map(entry => entry.event),
+      ['ReportCreated', 'StatusChanged', 'Validated', 'OutcomeRegistered']
+    )
+    assert.deepEqual(
+      indexer.getReport(ID2).history.map(entry => entry.event),
+      [
+        'ReportCreated',
+        'Evidence',
+        'StatusChanged',
+        'Rejected',
+        'OutcomeRegistered'
+      ]
+    )
+  })
+
+  it('Should index amended, retracted and remade reports', async () => {
+    const indexer = new Indexer(client, { fromBlock, idaABI: Ida.abi })
+    await client.makeReport(ida.address, key, Outcome.FAILURE)
+    await client.amendReport(ID, Outcome.SUCCESS)
+    await client.makeReport(ida.address, key2, Outcome.SUCCESS)
+    await client.retractReport(ID2)
+    await indexer.sync()
+
+    assert.equal(indexer.getReport(ID).outcome, Outcome.SUCCESS)
+    assert.equal(indexer.getReport(ID2).status, Status.None)
+    assert.equal(indexer.getReport(ID2).retracted, true)
+
+    await client.makeReport(ida.address, key2, 50)
+    await indexer.sync()
+    const report = indexer.getReport(ID2)
+    assert.equal(report.status, Status.Created)
+    assert.equal(report.outcome, 50)
+    assert.equal(report.retracted, undefined)
+    assert.deepEqual(
+      report.history.map(entry => entry.event),
+      ['ReportCreated', 'StatusChanged', 'ReportRetracted', 'ReportCreated']
+    )
+    assert.deepEqual(
+      indexer.getReport(ID).history.map(entry => entry.event),
+      ['ReportCreated', 'ReportAmended']
+    )
+  })
+
+  it('Should index outcomes registered as failures because of a removed claim', async () => {
+    const indexer = new Indexer(client, { fromBlock, idaABI: Ida.abi })
+    await client.changeAutoRegistration(ida.address, true)
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    await indexer.sync()
+    await claimsRegistry.removeClaim(ida.address, key, { from: governor })
+    await time.increase(executionTimeout + 1)
+    await client.approveReport(ID)
+    await indexer.sync()
+
+    const report = indexer.getReport(ID)
+    assert.equal(report.status, Status.Resolved)
+    assert.equal(report.outcomeRegistered, true)
+    assert.equal(report.outcome, Outcome.SUCCESS, 'Should keep the outcome')
+    assert.equal(report.registrationFailure, RegistrationFailure.ClaimRemoved)
+    assert.equal(report.registrationFailed, false)
+    assert.deepEqual(
+      report.history.map(entry => entry.event),
+      [
+        'ReportCreated',
+        'StatusChanged',
+        'Rejected',
+        'OutcomeRejected',
+        'OutcomeRegistered'
+      ]
+    )
+  })
+
+  it('Should index the validation of outcomes registered automatically', async () => {
+    const indexer = new Indexer(client, { fromBlock, idaABI: Ida.abi })
+    await client.changeAutoRegistration(ida.address, true)
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    await time.increase(executionTimeout + 1)
+    await client.approveReport(ID, { from: other })
+    await indexer.sync()
+
+    assert.deepEqual(
+      indexer.getReport(ID).history.map(entry => entry.event),
+      ['ReportCreated', 'StatusChanged', 'Validated', 'OutcomeRegistered']
+    )
+  })
+
+  it('Should index the validation of outcomes registered through the forwarder', async () => {
+    const indexer = new Indexer(client, { fromBlock, idaABI: Ida.abi })
+    const forwarder = await ValidatorForwarder.new(
+      client.address,
+      await web3.eth.getChainId()
+    )
+    await client.changeTrustedForwarder(forwarder.address)
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    await time.increase(executionTimeout + 1)
+    await client.approveReport(ID)
+
+    const relayed = new ValidatorClient(web3, client.address, {
+      abi: Validator.abi,
+      arbitratorABI: Arbitrator.abi,
+      forwarder: forwarder.address,
+      forwarderABI: ValidatorForwarder.abi,
+      from: governor
+    })
+    const { request, signature } = await relayed.signRequest(
+      'registerOutcome',
+      [ID]
+    )
+    await forwarder.execute(
+      request.from,
+      request.value,
+      request.gas,
+      request.data,
+      signature,
+      { from: other }
+    )
+    await indexer.sync()
+
+    assert.deepEqual(
+      indexer.getReport(ID).history.map(entry => entry.event),
+      ['ReportCreated', 'StatusChanged', 'Validated', 'OutcomeRegistered']
+    )
+  })
+
+  it('Should list expiring challenges and disputes awaiting appeal funding', async () => {
+    const indexer = new Indexer(client, { fromBlock, idaABI: Ida.abi })
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    await client.makeReport(ida.address, key2, Outcome.SUCCESS)
+    await client.challengeReport(ID, Outcome.FAILURE, '', { from: challenger })
+    await client.challengeReport(ID2, Outcome.FAILURE, '', { from: challenger })
+    await client.confirmReport(ID2, '', { from: supporter })
+    await indexer.sync()
+
+    assert.deepEqual(
+      indexer.getExpiringChallenges(3600, await now()).map(r => r.ID),
+      [ID]
+    )
+    assert.deepEqual(
+      indexer.getExpiringChallenges(60, await now()),
+      [],
+      'The challenge should not expire within a minute'
+    )
+    assert.deepEqual(
+      indexer.getDisputesAwaitingAppealFunding(await now()),
+      [],
+      'There is no ruling to appeal yet'
+    )
+
+    await arbitrator.giveRuling(
+      0,
+      ValidatorClient.outcomeToRuling(Outcome.FAILURE)
+    )
+    await indexer.sync()
+    const [disputed] = indexer.getDisputesAwaitingAppealFunding(await now())
+    assert.equal(disputed.ID, ID2)
+    assert.equal(disputed.disputeID, 0)
+    assert.equal(
+      disputed.currentRuling,
+      ValidatorClient.outcomeToRuling(Outcome.FAILURE)
+    )
+    assert.equal(disputed.currentWinner, Party.Challenger)
+
+    await time.increase(appealTimeOut + 1)
+    await arbitrator.giveRuling(
+      0,
+      ValidatorClient.outcomeToRuling(Outcome.FAILURE)
+    )
+    await indexer.sync()
+    assert.deepEqual(indexer.getDisputesAwaitingAppealFunding(await now()), [])
+    assert.deepEqual(
+      indexer.getReport(ID2).history.map(entry => entry.event),
+      [
+        'ReportCreated',
+        'Contribution',
+        'SideFunded',
+        'StatusChanged',
+        'Contribution',
+        'SideFunded',
+        'StatusChanged',
+        'Dispute',
+        'Ruling',
+        'StatusChanged'
+      ]
+    )
+  })
+
+  it('Should index appeals, withdrawals and parameter changes', async () => {
+    const indexer = new Indexer(client, { fromBlock, idaABI: Ida.abi })
+    await client.changeBaseDeposit(1000)
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    await client.challengeReport(ID, Outcome.FAILURE, '', { from: challenger })
+    await client.confirmReport(ID, '', { from: supporter })
+    await arbitrator.giveRuling(
+      0,
+      ValidatorClient.outcomeToRuling(Outcome.FAILURE)
+    )
+    await client.fundAppeal(ID, Party.Supporter, { from: supporter })
+    await client.fundAppeal(ID, Party.Challenger, { from: challenger })
+    await indexer.sync()
+
+    const [change] = indexer.getParameterChanges()
+    assert.equal(change.method, 'changeBaseDeposit')
+    assert.deepEqual(change.args, ['1000'])
+    const appeal = indexer
+      .getReport(ID)
+      .history.filter(entry => entry.args._round === '1')
+    assert.deepEqual(
+      appeal.map(entry => entry.event),
+      [
+        'Contribution',
+        'SideFunded',
+        'Contribution',
+        'SideFunded',
+        'AppealRaised'
+      ]
+    )
+    assert.equal(appeal[0].args._contributor, supporter)
+    assert.equal(appeal[0].args._side, String(Party.Supporter))
+
+    await arbitrator.giveRuling(
+      1,
+      ValidatorClient.outcomeToRuling(Outcome.FAILURE)
+    )
+    await time.increase(appealTimeOut + 1)
+    await arbitrator.giveRuling(
+      1,
+      ValidatorClient.outcomeToRuling(Outcome.FAILURE)
+    )
+    await client.batchRoundWithdraw(challenger, ID)
+    await indexer.sync()
+
+    const report = indexer.getReport(ID)
+    assert.equal(report.status, Status.Resolved)
+    assert.equal(report.outcome, Outcome.FAILURE)
+    const withdrawals = report.history.filter(
+      entry => entry.event === 'RewardWithdrawn'
+    )
+    assert.deepEqual(
+      withdrawals.map(entry => entry.args._round),
+      ['0', '1']
+    )
+    assert(withdrawals.every(entry => entry.args._beneficiary === challenger))
+  })
+
+  it('Should skip the events of reports made before the first indexed block', async () => {
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    const indexer = new Indexer(client, {
+      fromBlock: (await web3.eth.getBlockNumber()) + 1,
+      idaABI: Ida.abi
+    })
+    await client.submitEvidence(ID, 'Evidence.json', { from: other })
+    await client.challengeReport(ID, Outcome.FAILURE, '', { from: challenger })
+    await client.confirmReport(ID, '', { from: supporter })
+    await arbitrator.giveRuling(
+      0,
+      ValidatorClient.outcomeToRuling(Outcome.FAILURE)
+    )
+    await indexer.sync()
+
+    assert.equal(indexer.getReport(ID), undefined)
+  })
+
+  it('Should resume from the last processed block after a restart', async () => {
+    const indexer = new Indexer(client, {
+      fromBlock,
+      idaABI: Ida.abi,
+      store: new JSONStore(storePath)
+    })
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    assert.equal(await indexer.sync(), 4) // MetaEvidence, IDAAdded, StatusChanged and ReportCreated.
+    const lastBlock = indexer.state.lastBlock
+
+    await client.makeReport(ida.address, key2, Outcome.SUCCESS)
+    const restarted = new Indexer(client, {
+      fromBlock,
+      idaABI: Ida.abi,
+      store: new JSONStore(storePath)
+    })
+    assert.equal(restarted.state.lastBlock, lastBlock)
+    assert.equal(await restarted.sync(), 2, 'Only the new events are processed')
+    assert.deepEqual(
+      restarted.getReportsByIDA(ida.address).map(report => report.ID),
+      [ID, ID2]
+    )
+  })
+})
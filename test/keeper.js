@@ -0,0 +1,227 @@
+/* eslint-disable no-undef */ // Avoid the linter considering truffle elements as undef.
+const { time } = require('openzeppelin-test-helpers')
+const { soliditySha3 } = require('web3-utils')
+
+const { Keeper, Outcome, Status, ValidatorClient } = require('..')
+
+const Ida = artifacts.require('Ida')
+const Arbitrator = artifacts.require('EnhancedAppealableArbitrator')
+const Validator = artifacts.require('Validator')
+const Escrow = artifacts.require('Escrow')
+const ClaimsRegistry = artifacts.require('ClaimsRegistry')
+
+contract('Keeper', function(accounts) {
+  const governor = accounts[0] // Governor is also a service provider for IDA.
+  const supporter = accounts[1]
+  const challenger = accounts[2]
+  const keeperAccount = accounts[3]
+  const other = accounts[9]
+  const arbitratorExtraData = '0x85'
+  const arbitrationCost = 1000
+
+  const appealTimeOut = 180
+  const executionTimeout = 600
+  const baseDeposit = 2000
+  const sharedStakeMultiplier = 5000
+  const winnerStakeMultiplier = 2000
+  const loserStakeMultiplier = 8000
+  const metaEvidence = 'test.json'
+  const silentLogger = { error: () => {}, info: () => {} }
+
+  let arbitrator
+  let ida
+  let client
+  let key
+  let ID
+  let fromBlock
+  beforeEach('initialize the contracts and the client', async function() {
+    key = soliditySha3('key1')
+    const value = web3.utils.padLeft(web3.utils.numberToHex(50), 64) // 50.
+
+    arbitrator = await Arbitrator.new(
+      arbitrationCost,
+      governor,
+      arbitratorExtraData,
+      appealTimeOut,
+      { from: governor }
+    )
+    await arbitrator.changeArbitrator(arbitrator.address)
+
+    const validator = await Validator.new(
+      arbitrator.address,
+      arbitratorExtraData,
+      metaEvidence,
+      executionTimeout,
+      baseDeposit,
+      sharedStakeMultiplier,
+      winnerStakeMultiplier,
+      loserStakeMultiplier,
+      { from: governor }
+    )
+
+    const claimsRegistry = await ClaimsRegistry.new()
+    const escrow = await Escrow.new(other, 1000, { from: governor })
+    ida = await Ida.new(
+      other, // Payment token.
+      other, // Impact promise.
+      escrow.address,
+      claimsRegistry.address,
+      'TestIda',
+      2, // Promise number.
+      50, // Price of a single promise.
+      validator.address,
+      -1, // End time. Just set to maximum.
+      governor, // Service provider.
+      { from: governor }
+    )
+    await escrow.transferOwnership(ida.address, { from: governor })
+    await validator.addIDA(ida.address, { from: governor })
+    await claimsRegistry.setClaim(ida.address, key, value, { from: governor })
+
+    client = new ValidatorClient(web3, validator.address, {
+      abi: Validator.abi,
+      arbitratorABI: Arbitrator.abi,
+      from: governor
+    })
+    ID = soliditySha3(ida.address, key, governor)
+    fromBlock = await web3.eth.getBlockNumber()
+  })
+
+  it('Should approve a report only after the timeout and then register its outcome', async () => {
+    const keeper = new Keeper(client, {
+      from: keeperAccount,
+      fromBlock,
+      logger: silentLogger
+    })
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+
+    assert.deepEqual(await keeper.poll(), [], 'Should wait for the timeout')
+    assert.equal(keeper.reports.get(ID).status, Status.Created)
+
+    await time.increase(executionTimeout + 1)
+    const actions = await keeper.poll()
+    assert.deepEqual(
+      actions.map(action => [action.method, action.sent]),
+      [
+        ['approveReport', true],
+        ['registerOutcome', true]
+      ]
+    )
+
+    const report = await client.getReport(ID)
+    assert.equal(report.status, Status.Resolved)
+    assert.equal(report.outcomeRegistered, true)
+    assert.equal((await ida.nbPending()).toNumber(), 0)
+    assert.equal(keeper.reports.size, 0, 'Should stop tracking the report')
+  })
+
+  it('Should only approve a report whose outcome is registered automatically', async () => {
+    await client.changeAutoRegistration(ida.address, true)
+    const keeper = new Keeper(client, {
+      from: keeperAccount,
+      fromBlock,
+      logger: silentLogger
+    })
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    await keeper.poll()
+
+    await time.increase(executionTimeout + 1)
+    const actions = await keeper.poll()
+    assert.deepEqual(
+      actions.map(action => [action.method, action.sent]),
+      [['approveReport', true]]
+    )
+
+    const report = await client.getReport(ID)
+    assert.equal(report.outcomeRegistered, true)
+    assert.equal((await ida.nbPending()).toNumber(), 0)
+    assert.equal(keeper.reports.size, 0, 'Should stop tracking the report')
+  })
+
+  it('Should follow the challenge deadline instead of the creation one', async () => {
+    const keeper = new Keeper(client, {
+      from: keeperAccount,
+      fromBlock,
+      logger: silentLogger
+    })
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    await keeper.poll()
+
+    await time.increase(executionTimeout - 60)
+    await client.challengeReport(ID, Outcome.FAILURE, '', { from: challenger })
+    await time.increase(120)
+    assert.deepEqual(
+      await keeper.poll(),
+      [],
+      'Should not approve a report that has been challenged since'
+    )
+
+    await time.increase(executionTimeout)
+    await keeper.poll()
+    const report = await client.getReport(ID)
+    assert.equal(report.outcome, Outcome.FAILURE)
+    assert.equal(report.outcomeRegistered, true)
+  })
+
+  it('Should register the outcome once the dispute is ruled', async () => {
+    const keeper = new Keeper(client, {
+      from: keeperAccount,
+      fromBlock,
+      logger: silentLogger
+    })
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    await client.challengeReport(ID, Outcome.FAILURE, '', { from: challenger })
+    await client.confirmReport(ID, '', { from: supporter })
+
+    await time.increase(executionTimeout + 1)
+    assert.deepEqual(await keeper.poll(), [], 'Disputed reports must wait')
+
+    await arbitrator.giveRuling(
+      0,
+      ValidatorClient.outcomeToRuling(Outcome.SUCCESS)
+    )
+    await time.increase(appealTimeOut + 1)
+    await arbitrator.giveRuling(
+      0,
+      ValidatorClient.outcomeToRuling(Outcome.SUCCESS)
+    )
+
+    const actions = await keeper.poll()
+    assert.deepEqual(
+      actions.map(action => action.method),
+      ['registerOutcome']
+    )
+    assert.equal((await ida.validatedNumber()).toNumber(), 1)
+  })
+
+  it('Should not send transactions in dry-run mode or above the gas price limit', async () => {
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    await time.increase(executionTimeout + 1)
+
+    const dryRunKeeper = new Keeper(client, {
+      dryRun: true,
+      from: keeperAccount,
+      fromBlock,
+      logger: silentLogger
+    })
+    const dryRunActions = await dryRunKeeper.poll()
+    assert.deepEqual(
+      dryRunActions.map(action => [action.method, action.sent]),
+      [['approveReport', false]]
+    )
+
+    const cheapKeeper = new Keeper(client, {
+      from: keeperAccount,
+      fromBlock,
+      logger: silentLogger,
+      maxGasPrice: 1
+    })
+    const cheapActions = await cheapKeeper.poll()
+    assert.deepEqual(
+      cheapActions.map(action => [action.method, action.sent]),
+      [['approveReport', false]]
+    )
+
+    assert.equal((await client.getReport(ID)).status, Status.Created)
+  })
+})
@@ -0,0 +1,323 @@
+/* eslint-disable no-undef */ // Avoid the linter considering truffle elements as undef.
+const http = require('http')
+const { BN, time } = require('openzeppelin-test-helpers')
+const { soliditySha3 } = require('web3-utils')
+
+const {
+  Outcome,
+  Relayer,
+  Status,
+  ValidatorClient,
+  getDomain,
+  hashRequest,
+  recoverSigner
+} = require('..')
+
+const Ida = artifacts.require('Ida')
+const Arbitrator = artifacts.require('EnhancedAppealableArbitrator')
+const Validator = artifacts.require('Validator')
+const ValidatorForwarder = artifacts.require('ValidatorForwarder')
+const Escrow = artifacts.require('Escrow')
+const ClaimsRegistry = artifacts.require('ClaimsRegistry')
+
+contract('Relayer', function(accounts) {
+  const governor = accounts[0] // Governor is also a service provider for IDA.
+  const relayerAccount = accounts[3]
+  const other = accounts[9]
+  const arbitratorExtraData = '0x85'
+  const arbitrationCost = 1000
+
+  const appealTimeOut = 180
+  const executionTimeout = 600
+  const baseDeposit = 2000
+  const sharedStakeMultiplier = 5000
+  const winnerStakeMultiplier = 2000
+  const loserStakeMultiplier = 8000
+  const metaEvidence = 'test.json'
+  const silentLogger = { error: () => {}, info: () => {} }
+
+  let validator
+  let forwarder
+  let ida
+  let client
+  let relayer
+  let key
+  let ID
+  beforeEach(
+    'initialize the contracts, the client and the relayer',
+    async function() {
+      key = soliditySha3('key1')
+      const value = web3.utils.padLeft(web3.utils.numberToHex(50), 64) // 50.
+
+      const arbitrator = await Arbitrator.new(
+        arbitrationCost,
+        governor,
+        arbitratorExtraData,
+        appealTimeOut,
+        { from: governor }
+      )
+      await arbitrator.changeArbitrator(arbitrator.address)
+
+      validator = await Validator.new(
+        arbitrator.address,
+        arbitratorExtraData,
+        metaEvidence,
+        executionTimeout,
+        baseDeposit,
+        sharedStakeMultiplier,
+        winnerStakeMultiplier,
+        loserStakeMultiplier,
+        { from: governor }
+      )
+      forwarder = await ValidatorForwarder.new(
+        validator.address,
+        await web3.eth.getChainId()
+      )
+
+      const claimsRegistry = await ClaimsRegistry.new()
+      const escrow = await Escrow.new(other, 1000, { from: governor })
+      ida = await Ida.new(
+        other, // Payment token.
+        other, // Impact promise.
+        escrow.address,
+        claimsRegistry.address,
+        'TestIda',
+        2, // Promise number.
+        50, // Price of a single promise.
+        validator.address,
+        -1, // End time. Just set to maximum.
+        governor, // Service provider.
+        { from: governor }
+      )
+      await escrow.transferOwnership(ida.address, { from: governor })
+      await validator.addIDA(ida.address, { from: governor })
+      await claimsRegistry.setClaim(ida.address, key, value, { from: governor })
+
+      client = new ValidatorClient(web3, validator.address, {
+        abi: Validator.abi,
+        arbitratorABI: Arbitrator.abi,
+        forwarder: forwarder.address,
+        forwarderABI: ValidatorForwarder.abi,
+        from: governor
+      })
+      await client.changeTrustedForwarder(forwarder.address)
+      relayer = new Relayer(web3, forwarder.address, {
+        abi: ValidatorForwarder.abi,
+        from: relayerAccount,
+        logger: silentLogger
+      })
+      ID = soliditySha3(ida.address, key, governor)
+    }
+  )
+
+  it('Should sign requests with a key or through the node and relay them on behalf of the signer', async () => {
+    assert.equal(
+      (await client.getParameters()).trustedForwarder,
+      forwarder.address
+    )
+
+    const balance = await web3.eth.getBalance(governor)
+    const { request, signature } = await client.signRequest('makeReport', [
+      ida.address,
+      key,
+      Outcome.SUCCESS
+    ])
+    const domain = await getDomain(client.forwarder)
+    assert.equal(
+      await forwarder.getDigest(
+        request.from,
+        request.value,
+        request.gas,
+        request.nonce,
+        request.data
+      ),
+      hashRequest(domain, request),
+      'The digest should be computed the same way as the forwarder'
+    )
+    assert.equal(recoverSigner(domain, request, signature), governor)
+
+    await relayer.relay(request, signature)
+    const report = await client.getReport(ID)
+    assert.equal(report.status, Status.Created)
+    assert.equal(
+      await web3.eth.getBalance(governor),
+      balance,
+      'The relayer should pay the gas'
+    )
+
+    // A reporter without ETH signs with its key.
+    const reporter = web3.eth.accounts.create()
+    const fromBlock = await web3.eth.getBlockNumber()
+    const signed = await client.signRequest(
+      'submitEvidence',
+      [ID, 'Evidence.json'],
+      { privateKey: reporter.privateKey }
+    )
+    assert.equal(signed.request.from, reporter.address)
+    await relayer.relay(signed.request, signed.signature)
+    const [evidence] = await client.contract.getPastEvents('Evidence', {
+      fromBlock
+    })
+    assert.equal(evidence.returnValues._party, reporter.address)
+
+    await time.increase(executionTimeout + 1)
+    for (const name of ['approveReport', 'registerOutcome']) {
+      const call = await client.signRequest(name, [ID], {
+        privateKey: reporter.privateKey
+      })
+      await relayer.relay(call.request, call.signature)
+    }
+    assert.equal((await client.getReport(ID)).outcomeRegistered, true)
+    assert.equal((await forwarder.nonces(reporter.address)).toNumber(), 3)
+  })
+
+  it('Should return the extra ETH and the bond of a relayed report to the relayer', async () => {
+    await client.changeProviderBond(ida.address, 300)
+    const generous = new Relayer(web3, forwarder.address, {
+      abi: ValidatorForwarder.abi,
+      from: relayerAccount,
+      logger: silentLogger,
+      maxValue: 1000
+    })
+    const balanceOf = async account =>
+      new BN(await web3.eth.getBalance(account))
+    const gasCost = async receipt =>
+      new BN(receipt.gasUsed).mul(
+        new BN(
+          (await web3.eth.getTransaction(receipt.transactionHash)).gasPrice
+        )
+      )
+
+    const signerBalance = await balanceOf(governor)
+    let relayerBalance = await balanceOf(relayerAccount)
+    const { request, signature } = await client.signRequest(
+      'makeReport',
+      [ida.address, key, Outcome.SUCCESS],
+      { gas: 500000, value: 1000 }
+    )
+    const receipt = await generous.relay(request, signature)
+    assert.equal(
+      (await balanceOf(relayerAccount)).toString(),
+      relayerBalance
+        .sub(await gasCost(receipt))
+        .subn(300)
+        .toString(),
+      'The extra ETH should be returned to the relayer'
+    )
+    assert.equal((await balanceOf(governor)).toString(), signerBalance)
+    assert.equal(await web3.eth.getBalance(forwarder.address), 0)
+    assert.equal((await client.getReportBond(ID)).payer, relayerAccount)
+
+    // The bond is returned to the relayer, so the signer cannot drain it by retracting and making the report again.
+    relayerBalance = await balanceOf(relayerAccount)
+    await client.retractReport(ID)
+    assert.equal(
+      (await balanceOf(relayerAccount)).toString(),
+      relayerBalance.addn(300).toString(),
+      'The bond should be returned to the relayer'
+    )
+    assert.equal(await web3.eth.getBalance(validator.address), 0)
+  })
+
+  it('Should refuse the requests that would fail or cost more than allowed', async () => {
+    const expectError = async (promise, message) => {
+      try {
+        await promise
+      } catch (err) {
+        assert.include(err.message, message)
+        return
+      }
+      assert.fail(`Should fail with "${message}"`)
+    }
+
+    await expectError(
+      client.signRequest('challengeReport', [ID, Outcome.FAILURE, '']),
+      'cannot be relayed'
+    )
+    await expectError(
+      client.signRequest('makeReport', [ida.address, key, Outcome.SUCCESS], {
+        value: 100
+      }),
+      'The gas must be given for requests with a value.'
+    )
+
+    const { request, signature } = await client.signRequest(
+      'makeReport',
+      [ida.address, key, Outcome.SUCCESS],
+      { gas: 500000, value: 100 }
+    )
+    await expectError(
+      relayer.relay(request, signature),
+      'The value of the request is above the maximum.'
+    )
+    await expectError(
+      relayer.relay({ ...request, gas: 2000000, value: '0' }, signature),
+      'The gas of the request is above the maximum.'
+    )
+    await expectError(
+      relayer.relay({ ...request, value: '0' }, signature),
+      'The signature does not match the request.'
+    )
+    await expectError(
+      relayer.relay({ ...request, nonce: 1, value: '0' }, signature),
+      'The nonce of the request is not the next one.'
+    )
+
+    const approval = await client.signRequest('approveReport', [ID], {
+      gas: 500000
+    })
+    await expectError(
+      relayer.relay(approval.request, approval.signature),
+      'revert' // The report does not exist.
+    )
+    assert.equal((await forwarder.nonces(governor)).toNumber(), 0)
+  })
+
+  it('Should relay the requests posted to its server', async () => {
+    const server = relayer.createServer()
+    await new Promise(resolve => server.listen(0, resolve))
+    const post = body =>
+      new Promise((resolve, reject) => {
+        const req = http.request(
+          {
+            headers: { 'Content-Type': 'application/json' },
+            method: 'POST',
+            port: server.address().port
+          },
+          res => {
+            let data = ''
+            res.on('data', chunk => (data += chunk))
+            res.on('end', () =>
+              resolve({ body: JSON.parse(data), status: res.statusCode })
+            )
+          }
+        )
+        req.on('error', reject)
+        req.end(JSON.stringify(body))
+      })
+
+    try {
+      const signed = await client.signRequest('makeReport', [
+        ida.address,
+        key,
+        Outcome.SUCCESS
+      ])
+      let response = await post(signed)
+      assert.equal(response.status, 200)
+      const receipt = await web3.eth.getTransactionReceipt(
+        response.body.transactionHash
+      )
+      assert.equal(receipt.from, relayerAccount.toLowerCase())
+      assert.equal((await client.getReport(ID)).status, Status.Created)
+
+      response = await post(signed)
+      assert.equal(response.status, 400)
+      assert.equal(
+        response.body.error,
+        'The nonce of the request is not the next one.'
+      )
+    } finally {
+      server.close()
+    }
+  })
+})
@@ -0,0 +1,368 @@
+/* eslint-disable no-undef */ // Avoid the linter considering truffle elements as undef.
+const { BN, expectRevert, time } = require('openzeppelin-test-helpers')
+const { soliditySha3 } = require('web3-utils')
+
+const { ValidatorClient } = require('..')
+
+const Ida = artifacts.require('Ida')
+const Arbitrator = artifacts.require('EnhancedAppealableArbitrator')
+const TokenValidator = artifacts.require('TokenValidator')
+const Escrow = artifacts.require('Escrow')
+const ClaimsRegistry = artifacts.require('ClaimsRegistry')
+const PausableToken = artifacts.require('PausableToken')
+const ValidatorForwarder = artifacts.require('ValidatorForwarder')
+
+contract('TokenValidator', function(accounts) {
+  const governor = accounts[0] // Governor is also a service provider for IDA.
+  const supporter = accounts[1]
+  const challenger = accounts[2]
+  const other = accounts[9]
+  const arbitratorExtraData = '0x85'
+  const arbitrationCost = 1000
+
+  const appealTimeOut = 180
+  const executionTimeout = 600
+  const baseDeposit = 2000 // In tokens.
+  const sharedStakeMultiplier = 5000
+  const winnerStakeMultiplier = 2000
+  const loserStakeMultiplier = 8000
+  const arbitrationCostRate = 20000 // 2 tokens per wei.
+  const metaEvidence = 'test.json'
+  const FAILURE = 0
+  const SUCCESS = 100
+  const rulingFor = outcome => outcome + 1
+
+  let arbitrator
+  let validator
+  let token
+  let claimsRegistry
+  let ida
+  let key
+  let ID
+  let deposit
+  let tokenCost
+  beforeEach('initialize the contracts', async function() {
+    key = soliditySha3('key1')
+    const value = web3.utils.padLeft(web3.utils.numberToHex(50), 64) // 50.
+
+    arbitrator = await Arbitrator.new(
+      arbitrationCost,
+      governor,
+      arbitratorExtraData,
+      appealTimeOut,
+      { from: governor }
+    )
+    await arbitrator.changeArbitrator(arbitrator.address)
+    await arbitrator.createDispute(3, arbitratorExtraData, {
+      from: other,
+      value: arbitrationCost
+    }) // Create a dispute so the index in tests will not be a default value.
+
+    token = await PausableToken.new({ from: governor })
+    validator = await TokenValidator.new(
+      token.address,
+      arbitrationCostRate,
+      arbitrator.address,
+      arbitratorExtraData,
+      metaEvidence,
+      executionTimeout,
+      baseDeposit,
+      sharedStakeMultiplier,
+      winnerStakeMultiplier,
+      loserStakeMultiplier,
+      { from: governor }
+    )
+
+    claimsRegistry = await ClaimsRegistry.new()
+    const escrow = await Escrow.new(other, 1000, { from: governor })
+    ida = await Ida.new(
+      other, // Payment token.
+      other, // Impact promise.
+      escrow.address,
+      claimsRegistry.address,
+      'TestIda',
+      2, // Promise number.
+      50, // Price of a single promise.
+      validator.address,
+      -1, // End time. Just set to maximum.
+      governor, // Service provider.
+      { from: governor }
+    )
+    await escrow.transferOwnership(ida.address, { from: governor })
+    await validator.addIDA(ida.address, { from: governor })
+    await claimsRegistry.setClaim(ida.address, key, value, { from: governor })
+
+    for (const account of [supporter, challenger, other])
+      await token.mint(account, 100000, { from: governor })
+
+    tokenCost = (arbitrationCost * arbitrationCostRate) / 10000 // 2000
+    deposit =
+      tokenCost + (tokenCost * sharedStakeMultiplier) / 10000 + baseDeposit // 5000
+    ID = soliditySha3(ida.address, key, governor)
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+  })
+
+  it('Should take deposits in tokens and pay the arbitrator from the pool', async () => {
+    await expectRevert(
+      validator.challengeReport(ID, FAILURE, '', {
+        from: challenger,
+        value: deposit
+      }),
+      'Deposits must be paid in tokens.'
+    )
+    await token.approve(validator.address, 1000, { from: other })
+    await validator.challengeReport(ID, FAILURE, '', { from: other })
+    assert.equal(
+      (await validator.reports(ID))[2].toNumber(),
+      1,
+      'A partial contribution should not challenge the report'
+    )
+
+    // Only the remainder of the deposit is taken out of the allowance.
+    await token.approve(validator.address, deposit * 2, { from: challenger })
+    await validator.challengeReport(ID, FAILURE, '', { from: challenger })
+    assert.equal(
+      (await token.balanceOf(challenger)).toNumber(),
+      100000 - deposit + 1000
+    )
+    assert.equal(
+      (await token.allowance(challenger, validator.address)).toNumber(),
+      deposit + 1000
+    )
+    assert.equal((await validator.reports(ID))[2].toNumber(), 2)
+
+    await token.approve(validator.address, deposit, { from: supporter })
+    await expectRevert.unspecified(
+      validator.confirmReport(ID, '', { from: supporter }) // The pool is empty.
+    )
+    await expectRevert(
+      validator.fundArbitrationPool({ from: other, value: 10000 }),
+      'The caller must be the governor.'
+    )
+    await validator.fundArbitrationPool({ from: governor, value: 10000 })
+    await validator.confirmReport(ID, '', { from: supporter })
+
+    assert.equal(
+      await web3.eth.getBalance(validator.address),
+      10000 - arbitrationCost,
+      'The arbitration cost should be paid from the pool'
+    )
+    assert.equal(
+      (await token.balanceOf(validator.address)).toNumber(),
+      deposit * 2
+    )
+    assert.equal(
+      (await validator.collectedFees()).toNumber(),
+      tokenCost,
+      'The tokens covering the arbitration cost should be set aside'
+    )
+    const round = await validator.getRoundInfo(ID, 0)
+    assert.equal(round[3].toNumber(), deposit * 2 - tokenCost)
+  })
+
+  it('Should crowdfund appeals and withdraw fees, rewards and collected fees in tokens', async () => {
+    await validator.fundArbitrationPool({ from: governor, value: 10000 })
+    await token.approve(validator.address, deposit, { from: challenger })
+    await validator.challengeReport(ID, FAILURE, '', { from: challenger })
+    await token.approve(validator.address, deposit, { from: supporter })
+    await validator.confirmReport(ID, '', { from: supporter })
+
+    await arbitrator.giveRuling(1, rulingFor(FAILURE))
+
+    const loserAppealFee =
+      tokenCost + (tokenCost * loserStakeMultiplier) / 10000 // 3600
+    const winnerAppealFee =
+      tokenCost + (tokenCost * winnerStakeMultiplier) / 10000 // 2400
+    await token.approve(validator.address, loserAppealFee, { from: other })
+    await validator.fundAppeal(ID, 1, { from: other })
+    await token.approve(validator.address, winnerAppealFee * 2, {
+      from: challenger
+    })
+    await validator.fundAppeal(ID, 2, { from: challenger })
+    assert.equal(
+      (await token.balanceOf(challenger)).toNumber(),
+      100000 - deposit - winnerAppealFee,
+      'Only the remaining appeal fee should be taken'
+    )
+    assert.equal((await validator.collectedFees()).toNumber(), tokenCost * 2)
+
+    await arbitrator.giveRuling(2, rulingFor(FAILURE))
+    await time.increase(appealTimeOut + 1)
+    await arbitrator.giveRuling(2, rulingFor(FAILURE))
+
+    await validator.withdrawFeesAndRewards(challenger, ID, 0)
+    await validator.withdrawFeesAndRewards(challenger, ID, 1)
+    await validator.withdrawFeesAndRewards(other, ID, 1)
+    assert.equal(
+      (await token.balanceOf(challenger)).toNumber(),
+      100000 -
+        deposit -
+        winnerAppealFee +
+        (deposit * 2 - tokenCost) +
+        (loserAppealFee + winnerAppealFee - tokenCost),
+      'The challenger should get all the fee rewards'
+    )
+    assert.equal(
+      (await token.balanceOf(other)).toNumber(),
+      100000 - loserAppealFee,
+      'The contributor of the loser should not be reimbursed'
+    )
+
+    await expectRevert(
+      validator.withdrawCollectedFees({ from: other }),
+      'The caller must be the governor.'
+    )
+    await validator.withdrawCollectedFees({ from: governor })
+    assert.equal((await token.balanceOf(governor)).toNumber(), tokenCost * 2)
+    assert.equal((await validator.collectedFees()).toNumber(), 0)
+    assert.equal(
+      (await token.balanceOf(validator.address)).toNumber(),
+      0,
+      'All the tokens should be paid out'
+    )
+
+    const oldBalance = await web3.eth.getBalance(validator.address)
+    await validator.withdrawArbitrationPool(oldBalance, { from: governor })
+    assert.equal(await web3.eth.getBalance(validator.address), 0)
+  })
+
+  it('Should queue the withdrawals of the arbitration pool and of the collected fees', async () => {
+    await validator.fundArbitrationPool({ from: governor, value: 10000 })
+    await validator.changeGovernanceDelay(100, { from: governor })
+    await expectRevert(
+      validator.withdrawArbitrationPool(10000, { from: governor }),
+      'The change must be queued.'
+    )
+    await expectRevert(
+      validator.withdrawCollectedFees({ from: governor }),
+      'The change must be queued.'
+    )
+
+    const data = validator.contract.methods
+      .withdrawArbitrationPool(10000)
+      .encodeABI()
+    await validator.queueChange(data, { from: governor })
+    await time.increase(101)
+    const oldBalance = new BN(await web3.eth.getBalance(governor))
+    await validator.executeChange(0, { from: other })
+    assert.equal(await web3.eth.getBalance(validator.address), 0)
+    assert.equal(
+      await web3.eth.getBalance(governor),
+      oldBalance.addn(10000).toString(),
+      'The pool should be sent to the governor'
+    )
+  })
+
+  it('Should take the provider bond in tokens', async () => {
+    const key2 = soliditySha3('key2')
+    const ID2 = soliditySha3(ida.address, key2, governor)
+    const value = web3.utils.padLeft(web3.utils.numberToHex(50), 64) // 50.
+    await claimsRegistry.setClaim(ida.address, key2, value, { from: governor })
+    await validator.changeProviderBond(ida.address, 300, { from: governor })
+    await token.mint(governor, 1000, { from: governor })
+
+    await expectRevert(
+      validator.makeReport(ida.address, key2, SUCCESS, { from: governor }),
+      'The provider bond must be paid.'
+    )
+    await token.approve(validator.address, 1000, { from: governor })
+    await validator.makeReport(ida.address, key2, SUCCESS, { from: governor })
+    assert.equal((await token.balanceOf(governor)).toNumber(), 700)
+
+    await time.increase(executionTimeout + 1)
+    await validator.approveReport(ID2, { from: other })
+    assert.equal(
+      (await token.balanceOf(governor)).toNumber(),
+      1000,
+      'The bond should be returned'
+    )
+  })
+
+  it('Should credit failed token payouts and let them be withdrawn in tokens', async () => {
+    const key2 = soliditySha3('key2')
+    const ID2 = soliditySha3(ida.address, key2, governor)
+    const value = web3.utils.padLeft(web3.utils.numberToHex(50), 64) // 50.
+    await claimsRegistry.setClaim(ida.address, key2, value, { from: governor })
+    await validator.changeProviderBond(ida.address, 300, { from: governor })
+    await token.mint(governor, 1000, { from: governor })
+    await token.approve(validator.address, 1000, { from: governor })
+    await validator.makeReport(ida.address, key2, SUCCESS, { from: governor })
+
+    await token.pause({ from: governor })
+    await time.increase(executionTimeout + 1)
+    const tx = await validator.approveReport(ID2, { from: other })
+    const credited = tx.logs.find(log => log.event === 'Credited')
+    assert.equal(credited.args._beneficiary, governor)
+    assert.equal(credited.args._amount.toNumber(), 300)
+    assert.equal((await token.balanceOf(governor)).toNumber(), 700)
+    assert.equal((await validator.credits(governor)).toNumber(), 300)
+
+    await expectRevert(
+      validator.withdrawCredit(governor, { from: governor }),
+      'The transfer failed.'
+    )
+    await token.unpause({ from: governor })
+    await validator.withdrawCredit(other, { from: governor })
+    assert.equal((await token.balanceOf(other)).toNumber(), 100300)
+    assert.equal((await validator.credits(governor)).toNumber(), 0)
+  })
+
+  it('Should take the bond of a relayed report from the allowance of the signer', async () => {
+    const forwarder = await ValidatorForwarder.new(validator.address, 1337)
+    await validator.changeTrustedForwarder(forwarder.address, {
+      from: governor
+    })
+    const key2 = soliditySha3('key2')
+    const value = web3.utils.padLeft(web3.utils.numberToHex(50), 64) // 50.
+    await claimsRegistry.setClaim(ida.address, key2, value, { from: governor })
+    await validator.changeProviderBond(ida.address, 300, { from: governor })
+    await token.mint(governor, 1000, { from: governor })
+    await token.approve(validator.address, 1000, { from: governor })
+    await token.approve(validator.address, 1000, { from: other })
+
+    const client = new ValidatorClient(web3, validator.address, {
+      abi: TokenValidator.abi,
+      arbitratorABI: Arbitrator.abi,
+      forwarder: forwarder.address,
+      forwarderABI: ValidatorForwarder.abi,
+      from: governor
+    })
+    const { request, signature } = await client.signRequest('makeReport', [
+      ida.address,
+      key2,
+      SUCCESS
+    ])
+    await forwarder.execute(
+      request.from,
+      request.value,
+      request.gas,
+      request.data,
+      signature,
+      { from: other }
+    )
+    assert.equal((await token.balanceOf(governor)).toNumber(), 700)
+    assert.equal(
+      (await token.balanceOf(other)).toNumber(),
+      100000,
+      'The relayer should not pay the bond'
+    )
+  })
+
+  it('Should change the arbitration cost rate', async () => {
+    await expectRevert(
+      validator.changeArbitrationCostRate(5000, { from: other }),
+      'The caller must be the governor.'
+    )
+    await validator.changeArbitrationCostRate(5000, { from: governor })
+    assert.equal((await validator.arbitrationCostRate()).toNumber(), 5000)
+
+    // 500 tokens cover the arbitration cost.
+    await token.approve(validator.address, 100000, { from: challenger })
+    await validator.challengeReport(ID, FAILURE, '', { from: challenger })
+    assert(
+      (await token.balanceOf(challenger)).eq(
+        new BN(100000 - (500 + 250 + baseDeposit))
+      )
+    )
+  })
+})
@@ -0,0 +1,483 @@
+/* eslint-disable no-undef */ // Avoid the linter considering truffle elements as undef.
+const { BN, time } = require('openzeppelin-test-helpers')
+const { soliditySha3 } = require('web3-utils')
+
+const { Outcome, Party, Status, ValidatorClient } = require('..')
+
+const Ida = artifacts.require('Ida')
+const Arbitrator = artifacts.require('EnhancedAppealableArbitrator')
+const Validator = artifacts.require('Validator')
+const ValidatorView = artifacts.require('ValidatorView')
+const TokenValidator = artifacts.require('TokenValidator')
+const ERC20Mintable = artifacts.require('ERC20Mintable')
+const Escrow = artifacts.require('Escrow')
+const ClaimsRegistry = artifacts.require('ClaimsRegistry')
+const RevertingReceiver = artifacts.require('RevertingReceiver')
+
+contract('ValidatorClient', function(accounts) {
+  const governor = accounts[0] // Governor is also a service provider for IDA.
+  const supporter = accounts[1]
+  const challenger = accounts[2]
+  const other = accounts[9]
+  const arbitratorExtraData = '0x85'
+  const arbitrationCost = 1000
+
+  const appealTimeOut = 180
+  const executionTimeout = 600
+  const baseDeposit = 2000
+  const sharedStakeMultiplier = 5000
+  const winnerStakeMultiplier = 2000
+  const loserStakeMultiplier = 8000
+  const metaEvidence = 'test.json'
+
+  let arbitrator
+  let validator
+  let claimsRegistry
+  let escrow
+  let ida
+  let client
+  let key
+  let ID
+  beforeEach('initialize the contracts and the client', async function() {
+    key = soliditySha3('key1')
+    const value = web3.utils.padLeft(web3.utils.numberToHex(50), 64) // 50.
+
+    arbitrator = await Arbitrator.new(
+      arbitrationCost,
+      governor,
+      arbitratorExtraData,
+      appealTimeOut,
+      { from: governor }
+    )
+    await arbitrator.changeArbitrator(arbitrator.address)
+
+    validator = await Validator.new(
+      arbitrator.address,
+      arbitratorExtraData,
+      metaEvidence,
+      executionTimeout,
+      baseDeposit,
+      sharedStakeMultiplier,
+      winnerStakeMultiplier,
+      loserStakeMultiplier,
+      { from: governor }
+    )
+
+    claimsRegistry = await ClaimsRegistry.new()
+    escrow = await Escrow.new(other, 1000, { from: governor })
+    ida = await Ida.new(
+      other, // Payment token.
+      other, // Impact promise.
+      escrow.address,
+      claimsRegistry.address,
+      'TestIda',
+      2, // Promise number.
+      50, // Price of a single promise.
+      validator.address,
+      -1, // End time. Just set to maximum.
+      governor, // Service provider.
+      { from: governor }
+    )
+    await escrow.transferOwnership(ida.address, { from: governor })
+    await validator.addIDA(ida.address, { from: governor })
+    await claimsRegistry.setClaim(ida.address, key, value, { from: governor })
+
+    client = new ValidatorClient(web3, validator.address, {
+      abi: Validator.abi,
+      arbitratorABI: Arbitrator.abi,
+      from: governor
+    })
+    ID = soliditySha3(ida.address, key, governor)
+  })
+
+  it('Should derive report IDs the same way the contract does', async () => {
+    assert.equal(ValidatorClient.getReportID(ida.address, key, governor), ID)
+
+    const receipt = await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    assert.equal(receipt.events.ReportCreated.returnValues._ID, ID)
+  })
+
+  it('Should manage and list the registered IDAs', async () => {
+    assert.equal(await client.isRegisteredIDA(ida.address), true)
+    await client.removeIDA(ida.address)
+    assert.equal(await client.isRegisteredIDA(ida.address), false)
+    assert.deepEqual(await client.getRegisteredIDAs(), [])
+
+    await client.changeIDARegistrar(other, true)
+    await client.addIDA(other, { from: other })
+    await client.addIDA(ida.address, { from: other })
+    assert.deepEqual(await client.getRegisteredIDAs(), [other, ida.address])
+  })
+
+  it('Should set IDA profiles and read the parameters of each report', async () => {
+    assert.equal(await client.getIDAProfile(ida.address), null)
+    await client.setIDAProfile(ida.address, {
+      baseDeposit: 500,
+      executionTimeout: 1000,
+      loserStakeMultiplier: 0,
+      sharedStakeMultiplier: 0,
+      winnerStakeMultiplier: 0
+    })
+    const profile = await client.getIDAProfile(ida.address)
+    assert.equal(profile.executionTimeout, 1000)
+    assert(profile.baseDeposit.eqn(500))
+    assert.equal(profile.arbitratorExtraData, '0x')
+
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    await client.removeIDAProfile(ida.address)
+    assert.equal(await client.getIDAProfile(ida.address), null)
+    assert.equal((await client.getReportParameters(ID)).executionTimeout, 1000)
+    assert((await client.getDeposit(ID)).eqn(arbitrationCost + 500))
+    assert(
+      (await client.getDeposit()).eqn(
+        arbitrationCost + arbitrationCost / 2 + baseDeposit
+      ),
+      'The default deposit should not change'
+    )
+  })
+
+  it('Should read the arbitrator of each report after a switch', async () => {
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    const arbitrator2 = await Arbitrator.new(
+      arbitrationCost * 2,
+      governor,
+      arbitratorExtraData,
+      appealTimeOut,
+      { from: governor }
+    )
+    await client.changeArbitrator(arbitrator2.address, arbitratorExtraData)
+
+    assert.equal((await client.getReport(ID)).arbitrator, arbitrator.address)
+    assert.equal(
+      (await client.getArbitrator(ID)).options.address,
+      arbitrator.address
+    )
+    assert.equal(
+      (await client.getArbitrator()).options.address,
+      arbitrator2.address
+    )
+    assert(
+      (await client.getDeposit(ID)).eqn(arbitrationCost * 1.5 + baseDeposit),
+      'The deposit of the report should use its own arbitrator'
+    )
+    assert((await client.getDeposit()).eqn(arbitrationCost * 3 + baseDeposit))
+  })
+
+  it('Should pay the provider bond of the IDA when making a report', async () => {
+    await client.changeProviderBond(ida.address, 700)
+    assert((await client.getProviderBond(ida.address)).eqn(700))
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+
+    const bond = await client.getReportBond(ID)
+    assert.equal(bond.serviceProvider, governor)
+    assert(bond.amount.eqn(700))
+    assert.equal(await web3.eth.getBalance(validator.address), 700)
+  })
+
+  it('Should queue governance changes and list the pending ones', async () => {
+    await client.changeGovernanceDelay(100)
+    assert.equal((await client.getParameters()).governanceDelay, 100)
+
+    const receipt = await client.changeBaseDeposit(10)
+    const { timestamp } = await web3.eth.getBlock(receipt.blockNumber)
+    await client.changeGovernor(other)
+    assert.equal(
+      (await client.getParameters()).baseDeposit.toNumber(),
+      baseDeposit
+    )
+
+    let pending = await client.getPendingChanges()
+    assert.deepEqual(
+      pending.map(({ args, changeID, eta, method }) => ({
+        args,
+        changeID,
+        eta,
+        method
+      })),
+      [
+        {
+          args: ['10'],
+          changeID: 0,
+          eta: timestamp + 100,
+          method: 'changeBaseDeposit'
+        },
+        {
+          args: [other],
+          changeID: 1,
+          eta: pending[1].eta,
+          method: 'changeGovernor'
+        }
+      ]
+    )
+
+    await client.cancelChange(1)
+    await time.increase(101)
+    await client.executeChange(0)
+    pending = await client.getPendingChanges()
+    assert.deepEqual(pending, [])
+    assert.equal((await client.getParameters()).baseDeposit.toNumber(), 10)
+  })
+
+  it('Should compute the exact deposit and decode reports and rounds', async () => {
+    const deposit = await client.getDeposit()
+    assert(
+      deposit.eq(new BN(arbitrationCost + arbitrationCost / 2 + baseDeposit)),
+      'Incorrect deposit'
+    )
+
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    assert.equal(await client.getChallengeRound(ID, Outcome.FAILURE), null)
+    await client.challengeReport(ID, Outcome.FAILURE, 'Evidence.json', {
+      from: challenger,
+      value: 1000
+    })
+    assert(
+      (
+        await client.getDepositRemainder(ID, Party.Challenger, Outcome.FAILURE)
+      ).eq(deposit.subn(1000)),
+      'The remainder should account for the partial challenge'
+    )
+    assert(
+      (await client.getDepositRemainder(ID, Party.Challenger, 40)).eq(deposit),
+      'Each outcome should be crowdfunded separately'
+    )
+    await client.challengeReport(ID, Outcome.FAILURE, '', { from: challenger })
+    assert.equal(await client.getChallengeRound(ID, Outcome.FAILURE), 0)
+    await client.confirmReport(ID, 'Evidence2.json', {
+      from: supporter,
+      value: 1000
+    })
+    assert(
+      (await client.getDepositRemainder(ID, Party.Supporter)).eq(
+        deposit.subn(1000)
+      ),
+      'The remainder should account for the partial confirmation'
+    )
+    assert.equal((await client.getReport(ID)).status, Status.Challenged)
+    await client.confirmReport(ID, '', { from: supporter })
+
+    const report = await client.getReport(ID)
+    assert.equal(report.ida, ida.address)
+    assert.equal(report.key, key)
+    assert.equal(report.status, Status.Disputed)
+    assert.equal(report.disputeID, 0)
+    assert.equal(report.supporter, supporter)
+    assert.equal(report.challenger, challenger)
+    assert.equal(report.outcome, Outcome.SUCCESS)
+    assert.equal(report.outcomeRegistered, false)
+
+    assert.equal(await client.getNumberOfRounds(ID), 2)
+    const round = await client.getRound(ID, 0)
+    assert.equal(round.appealed, true)
+    assert(round.paidFees.supporter.eq(deposit))
+    assert(round.paidFees.challenger.eq(deposit))
+    assert.equal(round.hasPaid.supporter, true)
+    assert.equal(round.hasPaid.challenger, true)
+    assert(round.feeRewards.eq(deposit.muln(2).subn(arbitrationCost)))
+  })
+
+  it('Should list reports and get their details in one call', async () => {
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    assert.equal(await client.getNumberOfReports(), 1)
+    assert.deepEqual(await client.getReportIDs(), [ID])
+    assert.deepEqual(await client.getReportsByIDA(ida.address), [ID])
+    try {
+      await client.getReportDetails(ID)
+      assert.fail('Should require a ValidatorView')
+    } catch (err) {
+      assert.include(err.message, 'ValidatorView')
+    }
+
+    const view = await ValidatorView.new()
+    const viewClient = new ValidatorClient(web3, validator.address, {
+      abi: Validator.abi,
+      arbitratorABI: Arbitrator.abi,
+      from: governor,
+      view: view.address,
+      viewABI: ValidatorView.abi
+    })
+    let details = await viewClient.getReportDetails(ID)
+    assert.deepEqual(
+      { ...details },
+      {
+        ...(await client.getReport(ID)),
+        appealPeriodEnd: 0,
+        appealPeriodStart: 0,
+        currentRuling: 0,
+        numberOfRounds: 0
+      }
+    )
+
+    await client.challengeReport(ID, Outcome.FAILURE, '', { from: challenger })
+    await client.confirmReport(ID, '', { from: supporter })
+    details = await viewClient.getReportDetails(ID)
+    assert.equal(details.status, Status.Disputed)
+    assert.equal(details.numberOfRounds, 2)
+    assert.equal(details.appealPeriodEnd, 0, 'The dispute is not appealable')
+
+    await arbitrator.giveRuling(
+      0,
+      ValidatorClient.outcomeToRuling(Outcome.FAILURE)
+    )
+    const [disputed, missing] = await viewClient.getReportsDetails([
+      ID,
+      soliditySha3('missing')
+    ])
+    assert.equal(
+      disputed.currentRuling,
+      ValidatorClient.outcomeToRuling(Outcome.FAILURE)
+    )
+    assert.equal(
+      disputed.appealPeriodEnd - disputed.appealPeriodStart,
+      appealTimeOut
+    )
+    assert.equal(missing.status, Status.None)
+  })
+
+  it('Should fund appeals with the exact remaining fees', async () => {
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    await client.challengeReport(ID, Outcome.FAILURE, '', { from: challenger })
+    await client.confirmReport(ID, '', { from: supporter })
+    await arbitrator.giveRuling(
+      0,
+      ValidatorClient.outcomeToRuling(Outcome.FAILURE)
+    )
+
+    const loserFee = await client.getAppealFeeRemainder(ID, Party.Supporter)
+    assert(loserFee.eqn(1800), 'Incorrect loser appeal fee')
+    await client.fundAppeal(ID, Party.Supporter, {
+      from: supporter,
+      value: 800
+    })
+    assert(
+      (await client.getAppealFeeRemainder(ID, Party.Supporter)).eqn(1000),
+      'Incorrect remainder after a partial contribution'
+    )
+    await client.fundAppeal(ID, Party.Supporter, { from: other })
+
+    const winnerFee = await client.getAppealFeeRemainder(ID, Party.Challenger)
+    assert(winnerFee.eqn(1200), 'Incorrect winner appeal fee')
+    await client.fundAppeal(ID, Party.Challenger, { from: challenger })
+
+    assert.equal(await client.getNumberOfRounds(ID), 3)
+    const contributions = await client.getContributions(ID, 1, supporter)
+    assert(contributions.supporter.eqn(800))
+    assert(contributions.challenger.eqn(0))
+  })
+
+  it('Should pay deposits and appeal fees in tokens to a TokenValidator', async () => {
+    const token = await ERC20Mintable.new({ from: governor })
+    const tokenValidator = await TokenValidator.new(
+      token.address,
+      20000, // 2 tokens per wei of arbitration cost.
+      arbitrator.address,
+      arbitratorExtraData,
+      metaEvidence,
+      executionTimeout,
+      baseDeposit,
+      sharedStakeMultiplier,
+      winnerStakeMultiplier,
+      loserStakeMultiplier,
+      { from: governor }
+    )
+    await tokenValidator.fundArbitrationPool({ from: governor, value: 10000 })
+    const tokenIda = await Ida.new(
+      other, // Payment token.
+      other, // Impact promise.
+      escrow.address,
+      claimsRegistry.address,
+      'TestIda',
+      2, // Promise number.
+      50, // Price of a single promise.
+      tokenValidator.address,
+      -1, // End time. Just set to maximum.
+      governor, // Service provider.
+      { from: governor }
+    )
+    await tokenValidator.addIDA(tokenIda.address, { from: governor })
+    const value = web3.utils.padLeft(web3.utils.numberToHex(50), 64)
+    await claimsRegistry.setClaim(tokenIda.address, key, value, {
+      from: governor
+    })
+    for (const account of [supporter, challenger])
+      await token.mint(account, 100000, { from: governor })
+
+    const tokenClient = new ValidatorClient(web3, tokenValidator.address, {
+      abi: TokenValidator.abi,
+      arbitratorABI: Arbitrator.abi,
+      from: governor,
+      tokenABI: ERC20Mintable.abi
+    })
+    assert.equal(
+      (await tokenClient.getDepositToken()).options.address,
+      token.address
+    )
+    assert.equal(await client.getDepositToken(), null)
+
+    const deposit = await tokenClient.getDeposit()
+    assert(deposit.eqn(5000), 'Incorrect deposit in tokens') // 2000 + 1000 + 2000.
+    const tokenID = ValidatorClient.getReportID(tokenIda.address, key, governor)
+    await tokenClient.makeReport(tokenIda.address, key, Outcome.SUCCESS)
+    await tokenClient.challengeReport(tokenID, Outcome.FAILURE, '', {
+      from: challenger
+    })
+    await tokenClient.confirmReport(tokenID, '', { from: supporter })
+    assert.equal((await token.balanceOf(supporter)).toNumber(), 95000)
+
+    await arbitrator.giveRuling(
+      0,
+      ValidatorClient.outcomeToRuling(Outcome.FAILURE)
+    )
+    const loserFee = await tokenClient.getAppealFeeRemainder(
+      tokenID,
+      Party.Supporter
+    )
+    assert(loserFee.eqn(3600), 'Incorrect loser appeal fee in tokens')
+    await tokenClient.fundAppeal(tokenID, Party.Supporter, { from: supporter })
+    assert.equal((await token.balanceOf(supporter)).toNumber(), 91400)
+    assert(
+      (await tokenClient.getAppealFeeRemainder(tokenID, Party.Supporter)).eqn(0)
+    )
+  })
+
+  it('Should read the credit of failed payments and withdraw it', async () => {
+    const wallet = await RevertingReceiver.new()
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    const deposit = await client.getDeposit(ID)
+    await wallet.forward(
+      validator.address,
+      client.contract.methods
+        .challengeReport(ID, Outcome.FAILURE, '')
+        .encodeABI(),
+      { from: other, value: deposit.muln(2) }
+    )
+    assert((await client.getCredit(wallet.address)).eq(deposit))
+    assert((await client.getCredit()).isZero())
+
+    await wallet.setAccepting(true)
+    await wallet.forward(
+      validator.address,
+      client.contract.methods.withdrawCredit(wallet.address).encodeABI()
+    )
+    assert((await client.getCredit(wallet.address)).isZero())
+
+    try {
+      await client.withdrawCredit()
+      assert.fail('Should not withdraw an empty credit')
+    } catch (err) {
+      assert.include(err.message, 'revert')
+    }
+  })
+
+  it('Should approve a report and register its outcome', async () => {
+    await client.makeReport(ida.address, key, Outcome.SUCCESS)
+    await time.increase(executionTimeout + 1)
+    await client.approveReport(ID)
+    await client.registerOutcome(ID)
+
+    const report = await client.getReport(ID)
+    assert.equal(report.status, Status.Resolved)
+    assert.equal(report.outcomeRegistered, true)
+    assert.equal((await ida.validatedNumber()).toNumber(), 1)
+  })
+})
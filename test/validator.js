@@ -1,12 +1,23 @@
 /* eslint-disable no-undef */ // Avoid the linter considering truffle elements as undef.
-const { BN, expectRevert, time } = require('openzeppelin-test-helpers')
+const {
+  BN,
+  constants,
+  expectRevert,
+  time
+} = require('openzeppelin-test-helpers')
 const { soliditySha3 } = require('web3-utils')
 
+const { buildRequest, getDomain, signRequest } = require('../src/meta-tx')
+
 const Ida = artifacts.require('Ida')
 const Arbitrator = artifacts.require('EnhancedAppealableArbitrator')
 const Validator = artifacts.require('Validator')
 const Escrow = artifacts.require('Escrow')
 const ClaimsRegistry = artifacts.require('ClaimsRegistry')
+const BrokenClaimsRegistry = artifacts.require('BrokenClaimsRegistry')
+const RevertingReceiver = artifacts.require('RevertingReceiver')
+const ValidatorForwarder = artifacts.require('ValidatorForwarder')
+const ValidatorView = artifacts.require('ValidatorView')
 
 contract('Validator', function(accounts) {
   const governor = accounts[0] // Governor is also a service provider for IDA.
@@ -23,6 +34,10 @@ contract('Validator', function(accounts) {
   const winnerStakeMultiplier = 2000
   const loserStakeMultiplier = 8000
   const metaEvidence = 'test.json'
+  // Outcomes are fulfilment percentages. Ruling r stands for the outcome r - 1.
+  const FAILURE = 0
+  const SUCCESS = 100
+  const rulingFor = outcome => outcome + 1
 
   let arbitrator
   let MULTIPLIER_DIVISOR
@@ -82,6 +97,7 @@ contract('Validator', function(accounts) {
     )
 
     await escrow.transferOwnership(ida.address, { from: governor })
+    await validator.addIDA(ida.address, { from: governor })
     await claimsRegistry.setClaim(ida.address, key, value, { from: governor })
 
     MULTIPLIER_DIVISOR = (await validator.MULTIPLIER_DIVISOR()).toNumber()
@@ -108,13 +124,13 @@ contract('Validator', function(accounts) {
     let nbPending
 
     await expectRevert(
-      validator.makeReport(ida.address, key, 1, { from: other }),
+      validator.makeReport(ida.address, key, SUCCESS, { from: other }),
       'Only the service provider can make a report.'
     )
     nbPending = (await ida.nbPending()).toNumber()
     assert.equal(nbPending, 0, 'Ida should not have registered any reports')
 
-    txMakeReport = await validator.makeReport(ida.address, key, 1, {
+    txMakeReport = await validator.makeReport(ida.address, key, SUCCESS, {
       from: governor
     })
 
@@ -122,7 +138,11 @@ contract('Validator', function(accounts) {
     assert.equal(report[0], ida.address, 'The report has incorrect IDA address')
     assert.equal(report[1], key, 'The report has incorrect promise key')
     assert.equal(report[2].toNumber(), 1, 'The report has incorrect status')
-    assert.equal(report[8].toNumber(), 1, 'The report has incorrect outcome')
+    assert.equal(
+      report[8].toNumber(),
+      SUCCESS,
+      'The report has incorrect outcome'
+    )
 
     nbPending = (await ida.nbPending()).toNumber()
     assert.equal(nbPending, 1, 'Ida should have one report registered')
@@ -133,56 +153,59 @@ contract('Validator', function(accounts) {
     )
 
     // Event check
+    assert.equal(txMakeReport.logs[0].event, 'StatusChanged')
+    assert.equal(txMakeReport.logs[0].args._ID, ID)
+    assert.equal(txMakeReport.logs[0].args._previousStatus.toNumber(), 0)
+    assert.equal(txMakeReport.logs[0].args._status.toNumber(), 1)
+    assert.equal(txMakeReport.logs[0].args._outcome.toNumber(), SUCCESS)
     assert.equal(
-      txMakeReport.logs[0].event,
+      txMakeReport.logs[1].event,
       'ReportCreated',
       'The event ReportCreated has not been created'
     )
     assert.equal(
-      txMakeReport.logs[0].args._ida,
+      txMakeReport.logs[1].args._ida,
       ida.address,
       'The event has wrong ida address'
     )
     assert.equal(
-      txMakeReport.logs[0].args._key,
+      txMakeReport.logs[1].args._key,
       key,
       'The event has wrong promise key'
     )
     assert.equal(
-      txMakeReport.logs[0].args._ID,
+      txMakeReport.logs[1].args._ID,
       ID,
       'The event has wrong report ID'
     )
 
     // Check that can't make the same report 2nd time
     await expectRevert(
-      validator.makeReport(ida.address, key, 1, { from: governor }),
-      'The report for this impact promise has already been created.'
+      validator.makeReport(ida.address, key, SUCCESS, { from: governor }),
+      'The previous report of the promise must be registered as a failure.'
     )
   })
 
   it('Should set correct values when the report is challenged and fire Evidence event', async () => {
     await expectRevert(
-      validator.challengeReport(ID, 'Evidence.json', {
+      validator.challengeReport(ID, FAILURE, 'Evidence.json', {
         from: challenger,
         value: deposit
       }),
       'The report should be in Created status.'
     )
 
-    await validator.makeReport(ida.address, key, 1, { from: governor })
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
 
-    await expectRevert(
-      validator.challengeReport(ID, 'Evidence.json', {
+    txChallenge = await validator.challengeReport(
+      ID,
+      FAILURE,
+      'Evidence.json',
+      {
         from: challenger,
-        value: deposit - 1
-      }),
-      'You must fully fund your side.'
-    )
-    txChallenge = await validator.challengeReport(ID, 'Evidence.json', {
-      from: challenger,
-      value: 5 * deposit
-    }) // deliberately overpay
+        value: 5 * deposit
+      }
+    ) // deliberately overpay
 
     const report = await validator.reports(ID)
     assert.equal(
@@ -216,35 +239,51 @@ contract('Validator', function(accounts) {
     const evidenceGroupID = parseInt(ID, 16)
 
     // Event check
+    assert.equal(txChallenge.logs[0].event, 'Contribution')
+    assert.equal(txChallenge.logs[0].args._ID, ID)
+    assert.equal(txChallenge.logs[0].args._round.toNumber(), 0)
+    assert.equal(txChallenge.logs[0].args._contributor, challenger)
+    assert.equal(txChallenge.logs[0].args._side.toNumber(), 2)
+    assert.equal(
+      txChallenge.logs[0].args._amount.toNumber(),
+      deposit,
+      'Only the deposit should be taken'
+    )
+    assert.equal(txChallenge.logs[1].event, 'SideFunded')
+    assert.equal(txChallenge.logs[1].args._side.toNumber(), 2)
+    assert.equal(txChallenge.logs[2].event, 'StatusChanged')
+    assert.equal(txChallenge.logs[2].args._previousStatus.toNumber(), 1)
+    assert.equal(txChallenge.logs[2].args._status.toNumber(), 2)
+    assert.equal(txChallenge.logs[2].args._outcome.toNumber(), SUCCESS)
     assert.equal(
-      txChallenge.logs[0].event,
+      txChallenge.logs[3].event,
       'Evidence',
       'The event Evidence has not been created'
     )
     assert.equal(
-      txChallenge.logs[0].args._arbitrator,
+      txChallenge.logs[3].args._arbitrator,
       arbitrator.address,
       'The event has wrong arbitrator'
     )
     assert.equal(
-      txChallenge.logs[0].args._evidenceGroupID,
+      txChallenge.logs[3].args._evidenceGroupID,
       evidenceGroupID,
       'The event has wrong evidenceGroup ID'
     )
     assert.equal(
-      txChallenge.logs[0].args._party,
+      txChallenge.logs[3].args._party,
       challenger,
       'The event has wrong party'
     )
     assert.equal(
-      txChallenge.logs[0].args._evidence,
+      txChallenge.logs[3].args._evidence,
       'Evidence.json',
       'The event has wrong evidence'
     )
 
     // Check that not possible to challenge again
     await expectRevert(
-      validator.challengeReport(ID, 'Evidence.json', {
+      validator.challengeReport(ID, FAILURE, 'Evidence.json', {
         from: challenger,
         value: deposit
       }),
@@ -253,11 +292,11 @@ contract('Validator', function(accounts) {
   })
 
   it('Should not challenge after the timeout', async () => {
-    await validator.makeReport(ida.address, key, 1, { from: governor })
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
     await time.increase(executionTimeout + 1)
 
     await expectRevert(
-      validator.challengeReport(ID, 'Evidence.json', {
+      validator.challengeReport(ID, FAILURE, 'Evidence.json', {
         from: challenger,
         value: deposit
       }),
@@ -274,7 +313,7 @@ contract('Validator', function(accounts) {
       'The report should be in Challenged status.'
     )
 
-    await validator.makeReport(ida.address, key, 1, { from: governor })
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
     await expectRevert(
       validator.confirmReport(ID, 'Evidence2.json', {
         from: supporter,
@@ -283,18 +322,10 @@ contract('Validator', function(accounts) {
       'The report should be in Challenged status.'
     )
 
-    await validator.challengeReport(ID, 'Evidence.json', {
+    await validator.challengeReport(ID, FAILURE, 'Evidence.json', {
       from: challenger,
       value: deposit
     })
-    await expectRevert(
-      validator.confirmReport(ID, 'Evidence2.json', {
-        from: supporter,
-        value: deposit - 1
-      }),
-      'You must fully fund your side.'
-    )
-
     txConfirm = await validator.confirmReport(ID, 'Evidence2.json', {
       from: supporter,
       value: deposit * 10
@@ -339,7 +370,7 @@ contract('Validator', function(accounts) {
     )
     assert.equal(
       dispute[1].toNumber(),
-      2,
+      rulingFor(SUCCESS), // One option for each outcome.
       'Number of choices not set up properly'
     )
     assert.equal(
@@ -347,59 +378,71 @@ contract('Validator', function(accounts) {
       arbitrationCost,
       'Arbitration cost is not set up properly in the dispute'
     )
-    const disputeIDToReportID = await validator.disputeIDToReportID(1)
+    const disputeIDToReportID = await validator.disputeIDToReportID(
+      arbitrator.address,
+      1
+    )
     assert.equal(disputeIDToReportID, ID, 'Incorrect disputeIDToReportID value')
 
     // Events
     const evidenceGroupID = parseInt(ID, 16)
-    assert.equal(
-      txConfirm.logs[0].event,
+    assert.equal(txConfirm.logs[0].event, 'Contribution')
+    assert.equal(txConfirm.logs[0].args._contributor, supporter)
+    assert.equal(txConfirm.logs[0].args._side.toNumber(), 1)
+    assert.equal(txConfirm.logs[0].args._amount.toNumber(), deposit)
+    assert.equal(txConfirm.logs[1].event, 'SideFunded')
+    assert.equal(txConfirm.logs[1].args._side.toNumber(), 1)
+    assert.equal(txConfirm.logs[2].event, 'StatusChanged')
+    assert.equal(txConfirm.logs[2].args._previousStatus.toNumber(), 2)
+    assert.equal(txConfirm.logs[2].args._status.toNumber(), 3)
+    assert.equal(
+      txConfirm.logs[3].event,
       'Dispute',
       'The event Dispute has not been created'
     )
     assert.equal(
-      txConfirm.logs[0].args._arbitrator,
+      txConfirm.logs[3].args._arbitrator,
       arbitrator.address,
       'The event has wrong arbitrator'
     )
     assert.equal(
-      txConfirm.logs[0].args._disputeID.toNumber(),
+      txConfirm.logs[3].args._disputeID.toNumber(),
       1,
       'The event has wrong dispute ID'
     )
     assert.equal(
-      txConfirm.logs[0].args._metaEvidenceID.toNumber(),
+      txConfirm.logs[3].args._metaEvidenceID.toNumber(),
       0,
       'The event has wrong metaevidence ID'
     )
     assert.equal(
-      txConfirm.logs[0].args._evidenceGroupID,
+      txConfirm.logs[3].args._evidenceGroupID,
       evidenceGroupID,
       'The event has wrong evidenceGroup ID'
     )
 
     assert.equal(
-      txConfirm.logs[1].event,
+      txConfirm.logs[4].event,
       'Evidence',
       'The event Evidence has not been created'
     )
     assert.equal(
-      txConfirm.logs[1].args._arbitrator,
+      txConfirm.logs[4].args._arbitrator,
       arbitrator.address,
       'The event has wrong arbitrator'
     )
     assert.equal(
-      txConfirm.logs[1].args._evidenceGroupID,
+      txConfirm.logs[4].args._evidenceGroupID,
       evidenceGroupID,
       'The event has wrong evidenceGroup ID'
     )
     assert.equal(
-      txConfirm.logs[1].args._party,
+      txConfirm.logs[4].args._party,
       supporter,
       'The event has wrong party address'
     )
     assert.equal(
-      txConfirm.logs[1].args._evidence,
+      txConfirm.logs[4].args._evidence,
       'Evidence2.json',
       'The event has wrong evidence'
     )
@@ -421,8 +464,8 @@ contract('Validator', function(accounts) {
   })
 
   it('Should not confirm after the timeout', async () => {
-    await validator.makeReport(ida.address, key, 1, { from: governor })
-    await validator.challengeReport(ID, 'Evidence.json', {
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    await validator.challengeReport(ID, FAILURE, 'Evidence.json', {
       from: challenger,
       value: deposit
     })
@@ -437,12 +480,112 @@ contract('Validator', function(accounts) {
     )
   })
 
+  it('Should crowdfund the challenge and confirmation deposits', async () => {
+    const view = await ValidatorView.new()
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+
+    await validator.challengeReport(ID, 60, 'Evidence.json', {
+      from: challenger,
+      value: 1000
+    })
+    let report = await validator.reports(ID)
+    assert.equal(
+      report[2].toNumber(),
+      1,
+      'The report should stay in Created status until the challenge is fully funded'
+    )
+    assert.equal(
+      report[6],
+      '0x0000000000000000000000000000000000000000',
+      'The challenger is only set once the deposit is fully funded'
+    )
+    assert.equal(
+      report[11].toNumber(),
+      0,
+      'The outcome is only set once the deposit is fully funded'
+    )
+    assert.equal((await validator.getChallengeRound(ID, 60)).toNumber(), 1)
+    await expectRevert(
+      validator.challengeReport(ID, 20, '', { from: other }),
+      'The contribution must not be empty.'
+    )
+
+    // Another outcome is crowdfunded in its own round.
+    await validator.challengeReport(ID, 20, '', { from: other, value: 500 })
+    assert.equal((await validator.getChallengeRound(ID, 20)).toNumber(), 2)
+    assert.equal((await validator.getRoundInfo(ID, 1))[1][2].toNumber(), 500)
+
+    await time.increase(executionTimeout / 2)
+    await validator.challengeReport(ID, 60, '', { from: other, value: deposit }) // Deliberately overpay.
+    report = await validator.reports(ID)
+    assert.equal(report[2].toNumber(), 2, 'The report should be challenged')
+    assert.equal(report[6], other, 'The challenger completed the deposit')
+    assert.equal(report[11].toNumber(), 60)
+    await expectRevert(
+      validator.challengeReport(ID, 20, '', { from: other, value: deposit }),
+      'The report should be in Created status.'
+    )
+    let contributions = await validator.getContributions(ID, 0, other)
+    assert.equal(contributions[2].toNumber(), deposit - 1000)
+
+    // The confirmation window starts once the challenge is fully funded.
+    await time.increase(executionTimeout / 2 + 1)
+    await validator.confirmReport(ID, '', { from: other, value: 500 })
+    await validator.confirmReport(ID, '', { from: supporter, value: 1500 })
+    report = await validator.reports(ID)
+    assert.equal(
+      report[2].toNumber(),
+      2,
+      'The report should stay challenged until the confirmation is fully funded'
+    )
+    assert.equal(report[5], other, 'The first contributor is the supporter')
+    const round = await validator.getRoundInfo(ID, 0)
+    assert.equal(round[1][1].toNumber(), 2000)
+    assert.equal(round[2][1], false)
+
+    // The confirmation is never fully funded: the challenge is approved and everyone is reimbursed.
+    await expectRevert(
+      validator.withdrawFeesAndRewards(supporter, ID, 0),
+      'The report must be resolved.'
+    )
+    await time.increase(executionTimeout)
+    await validator.approveReport(ID)
+    report = await validator.reports(ID)
+    assert.equal(
+      report[8].toNumber(),
+      60,
+      'The challenged outcome should be approved'
+    )
+
+    assert.equal(
+      (await view.amountWithdrawable(validator.address, ID, other)).toNumber(),
+      deposit - 1000 + 500 + 500,
+      'The contributions to the other outcome should be reimbursed as well'
+    )
+    const oldBalance = await web3.eth.getBalance(supporter)
+    await validator.withdrawFeesAndRewards(supporter, ID, 0, { from: other })
+    const newBalance = await web3.eth.getBalance(supporter)
+    assert(
+      new BN(newBalance).eq(new BN(oldBalance).add(new BN(1500))),
+      'The partial contributor should be reimbursed'
+    )
+    await validator.batchRoundWithdraw(challenger, ID, 0, 0)
+    await validator.batchRoundWithdraw(other, ID, 0, 0)
+    contributions = await validator.getContributions(ID, 0, other)
+    assert.equal(contributions[1].toNumber(), 0)
+    assert.equal(
+      await web3.eth.getBalance(validator.address),
+      0,
+      'All the contributions should be reimbursed'
+    )
+  })
+
   it('Should correctly approve unchallenged report', async () => {
     await expectRevert(
       validator.approveReport(ID, { from: governor }),
       'The report should be either in Created or Challenged status.'
     )
-    await validator.makeReport(ida.address, key, 1, { from: governor })
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
     await expectRevert(
       validator.approveReport(ID, { from: governor }),
       'The timeout has not passed yet.'
@@ -459,14 +602,14 @@ contract('Validator', function(accounts) {
     )
     assert.equal(
       report[8].toNumber(),
-      1,
+      SUCCESS,
       'The outcome should not be changed for an approved unchallenged report'
     )
   })
 
   it('Should correctly approve the report that was challenged and withdraw the deposit', async () => {
-    await validator.makeReport(ida.address, key, 1, { from: governor })
-    await validator.challengeReport(ID, 'Evidence.json', {
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    await validator.challengeReport(ID, FAILURE, 'Evidence.json', {
       from: challenger,
       value: deposit
     })
@@ -476,7 +619,15 @@ contract('Validator', function(accounts) {
     )
 
     await time.increase(executionTimeout + 1)
-    await validator.approveReport(ID, { from: governor })
+    const txApprove = await validator.approveReport(ID, { from: governor })
+    assert.equal(txApprove.logs[0].event, 'StatusChanged')
+    assert.equal(txApprove.logs[0].args._previousStatus.toNumber(), 2)
+    assert.equal(txApprove.logs[0].args._status.toNumber(), 4)
+    assert.equal(
+      txApprove.logs[0].args._outcome.toNumber(),
+      FAILURE,
+      'The event should carry the outcome of the challenger'
+    )
 
     const report = await validator.reports(ID)
     assert.equal(
@@ -484,13 +635,27 @@ contract('Validator', function(accounts) {
       4,
       'The report should have status Resolved'
     )
-    assert.equal(report[8].toNumber(), 0, 'The outcome should be inverted to 0')
+    assert.equal(
+      report[8].toNumber(),
+      FAILURE,
+      'The outcome should be the one proposed by the challenger'
+    )
 
     // Withdrawal
     const oldBalanceChallenger = await web3.eth.getBalance(challenger)
-    await validator.withdrawFeesAndRewards(challenger, ID, 0, {
-      from: governor
-    })
+    const txWithdraw = await validator.withdrawFeesAndRewards(
+      challenger,
+      ID,
+      0,
+      {
+        from: governor
+      }
+    )
+    assert.equal(txWithdraw.logs[0].event, 'RewardWithdrawn')
+    assert.equal(txWithdraw.logs[0].args._ID, ID)
+    assert.equal(txWithdraw.logs[0].args._round.toNumber(), 0)
+    assert.equal(txWithdraw.logs[0].args._beneficiary, challenger)
+    assert.equal(txWithdraw.logs[0].args._reward.toNumber(), deposit)
     const newBalanceChallenger = await web3.eth.getBalance(challenger)
     assert(
       new BN(newBalanceChallenger).eq(
@@ -499,12 +664,12 @@ contract('Validator', function(accounts) {
       'The challenger was not reimbursed correctly'
     )
 
-    // Check the outcome inversion for 0 outcome
+    // Check the outcome replacement for 0 outcome
     const key2 = soliditySha3('key2')
     await claimsRegistry.setClaim(ida.address, key2, value, { from: governor })
     const ID2 = soliditySha3(ida.address, key2, governor)
-    await validator.makeReport(ida.address, key2, 0, { from: governor })
-    await validator.challengeReport(ID2, 'Evidence.json', {
+    await validator.makeReport(ida.address, key2, FAILURE, { from: governor })
+    await validator.challengeReport(ID2, SUCCESS, 'Evidence.json', {
       from: challenger,
       value: deposit
     })
@@ -515,8 +680,8 @@ contract('Validator', function(accounts) {
     const report2 = await validator.reports(ID2)
     assert.equal(
       report2[8].toNumber(),
-      1,
-      'The outcome should be inverted to 1'
+      SUCCESS,
+      'The outcome should be the one proposed by the challenger'
     )
   })
 
@@ -528,8 +693,8 @@ contract('Validator', function(accounts) {
 
     let roundInfo
 
-    await validator.makeReport(ida.address, key, 1, { from: governor })
-    await validator.challengeReport(ID, 'Evidence.json', {
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    await validator.challengeReport(ID, FAILURE, 'Evidence.json', {
       from: challenger,
       value: deposit
     })
@@ -542,7 +707,7 @@ contract('Validator', function(accounts) {
       value: deposit
     })
 
-    await arbitrator.giveRuling(1, 2)
+    await arbitrator.giveRuling(1, rulingFor(FAILURE))
 
     await expectRevert(
       validator.fundAppeal(ID, 0, { from: supporter, value: loserAppealFee }),
@@ -550,16 +715,25 @@ contract('Validator', function(accounts) {
     )
 
     // Deliberately overpay to check that only required fee amount will be registered.
-    await validator.fundAppeal(ID, 1, {
+    let txFundAppeal = await validator.fundAppeal(ID, 1, {
       from: supporter,
       value: loserAppealFee * 3
     })
+    assert.equal(txFundAppeal.logs[0].event, 'Contribution')
+    assert.equal(txFundAppeal.logs[0].args._round.toNumber(), 1)
+    assert.equal(txFundAppeal.logs[0].args._contributor, supporter)
+    assert.equal(txFundAppeal.logs[0].args._amount.toNumber(), loserAppealFee)
+    assert.equal(txFundAppeal.logs[1].event, 'SideFunded')
+    assert.equal(txFundAppeal.logs[1].args._round.toNumber(), 1)
+    assert.equal(txFundAppeal.logs[1].args._side.toNumber(), 1)
 
     // Fund appeal again to see if it doesn't cause anything.
-    await validator.fundAppeal(ID, 1, {
+    txFundAppeal = await validator.fundAppeal(ID, 1, {
       from: supporter,
       value: loserAppealFee * 3
     })
+    assert.equal(txFundAppeal.logs.length, 1)
+    assert.equal(txFundAppeal.logs[0].args._amount.toNumber(), 0)
 
     roundInfo = await validator.getRoundInfo(ID, 1)
 
@@ -621,7 +795,15 @@ contract('Validator', function(accounts) {
       'Incorrect FeeRewards value after partial payment'
     )
 
-    await validator.fundAppeal(ID, 2, { from: challenger, value: 1 })
+    txFundAppeal = await validator.fundAppeal(ID, 2, {
+      from: challenger,
+      value: 1
+    })
+    assert.equal(txFundAppeal.logs[1].event, 'SideFunded')
+    assert.equal(txFundAppeal.logs[1].args._side.toNumber(), 2)
+    assert.equal(txFundAppeal.logs[2].event, 'AppealRaised')
+    assert.equal(txFundAppeal.logs[2].args._ID, ID)
+    assert.equal(txFundAppeal.logs[2].args._round.toNumber(), 1)
     roundInfo = await validator.getRoundInfo(ID, 1)
 
     assert.equal(
@@ -656,8 +838,8 @@ contract('Validator', function(accounts) {
   })
 
   it('Should not be possible for loser to fund appeal if first half of appeal period has passed', async () => {
-    await validator.makeReport(ida.address, key, 1, { from: governor })
-    await validator.challengeReport(ID, 'Evidence.json', {
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    await validator.challengeReport(ID, FAILURE, 'Evidence.json', {
       from: challenger,
       value: deposit
     })
@@ -665,7 +847,7 @@ contract('Validator', function(accounts) {
       from: supporter,
       value: deposit
     })
-    await arbitrator.giveRuling(1, 2)
+    await arbitrator.giveRuling(1, rulingFor(FAILURE))
 
     const loserAppealFee =
       arbitrationCost +
@@ -678,8 +860,8 @@ contract('Validator', function(accounts) {
   })
 
   it('Should set correct values when arbitrator refused to rule', async () => {
-    await validator.makeReport(ida.address, key, 1, { from: governor })
-    await validator.challengeReport(ID, 'Evidence.json', {
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    await validator.challengeReport(ID, FAILURE, 'Evidence.json', {
       from: challenger,
       value: deposit
     })
@@ -701,7 +883,7 @@ contract('Validator', function(accounts) {
     assert.equal(report[7].toNumber(), 0, 'The report should have 0 ruling')
     assert.equal(
       report[8].toNumber(),
-      0,
+      FAILURE,
       'The outcome should be set to Failure with 0 ruling'
     )
 
@@ -710,8 +892,8 @@ contract('Validator', function(accounts) {
     const key2 = soliditySha3('key2')
     await claimsRegistry.setClaim(ida.address, key2, value, { from: governor })
     const ID2 = soliditySha3(ida.address, key2, governor)
-    await validator.makeReport(ida.address, key2, 0, { from: governor })
-    await validator.challengeReport(ID2, 'Evidence.json', {
+    await validator.makeReport(ida.address, key2, FAILURE, { from: governor })
+    await validator.challengeReport(ID2, SUCCESS, 'Evidence.json', {
       from: challenger,
       value: deposit
     })
@@ -727,14 +909,14 @@ contract('Validator', function(accounts) {
     const report2 = await validator.reports(ID2)
     assert.equal(
       report2[8].toNumber(),
-      0,
+      FAILURE,
       'The Failure outcome should stay the same with 0 ruling'
     )
   })
 
   it('Should set correct values when supporter wins', async () => {
-    await validator.makeReport(ida.address, key, 1, { from: governor })
-    await validator.challengeReport(ID, 'Evidence.json', {
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    await validator.challengeReport(ID, FAILURE, 'Evidence.json', {
       from: challenger,
       value: deposit
     })
@@ -743,9 +925,9 @@ contract('Validator', function(accounts) {
       value: deposit
     })
 
-    await arbitrator.giveRuling(1, 1)
+    await arbitrator.giveRuling(1, rulingFor(SUCCESS))
     await time.increase(appealTimeOut + 1)
-    await arbitrator.giveRuling(1, 1)
+    await arbitrator.giveRuling(1, rulingFor(SUCCESS))
 
     const report = await validator.reports(ID)
     assert.equal(
@@ -756,7 +938,7 @@ contract('Validator', function(accounts) {
     assert.equal(report[7].toNumber(), 1, 'The report has incorrect ruling')
     assert.equal(
       report[8].toNumber(),
-      1,
+      SUCCESS,
       'The outcome should be set to Success'
     )
 
@@ -765,8 +947,8 @@ contract('Validator', function(accounts) {
     const key2 = soliditySha3('key2')
     await claimsRegistry.setClaim(ida.address, key2, value, { from: governor })
     const ID2 = soliditySha3(ida.address, key2, governor)
-    await validator.makeReport(ida.address, key2, 0, { from: governor })
-    await validator.challengeReport(ID2, 'Evidence.json', {
+    await validator.makeReport(ida.address, key2, FAILURE, { from: governor })
+    await validator.challengeReport(ID2, SUCCESS, 'Evidence.json', {
       from: challenger,
       value: deposit
     })
@@ -775,21 +957,21 @@ contract('Validator', function(accounts) {
       value: deposit
     })
 
-    await arbitrator.giveRuling(2, 1)
+    await arbitrator.giveRuling(2, rulingFor(FAILURE))
     await time.increase(appealTimeOut + 1)
-    await arbitrator.giveRuling(2, 1)
+    await arbitrator.giveRuling(2, rulingFor(FAILURE))
 
     const report2 = await validator.reports(ID2)
     assert.equal(
       report2[8].toNumber(),
-      0,
+      FAILURE,
       'The Failure outcome should not be changed'
     )
   })
 
   it('Should set correct values when challenger wins', async () => {
-    await validator.makeReport(ida.address, key, 1, { from: governor })
-    await validator.challengeReport(ID, 'Evidence.json', {
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    await validator.challengeReport(ID, FAILURE, 'Evidence.json', {
       from: challenger,
       value: deposit
     })
@@ -798,9 +980,17 @@ contract('Validator', function(accounts) {
       value: deposit
     })
 
-    await arbitrator.giveRuling(1, 2)
+    await arbitrator.giveRuling(1, rulingFor(FAILURE))
     await time.increase(appealTimeOut + 1)
-    await arbitrator.giveRuling(1, 2)
+    const txRuling = await arbitrator.giveRuling(1, rulingFor(FAILURE))
+
+    const [statusChanged] = await validator.getPastEvents('StatusChanged', {
+      fromBlock: txRuling.receipt.blockNumber
+    })
+    assert.equal(statusChanged.args._ID, ID)
+    assert.equal(statusChanged.args._previousStatus.toNumber(), 3)
+    assert.equal(statusChanged.args._status.toNumber(), 4)
+    assert.equal(statusChanged.args._outcome.toNumber(), FAILURE)
 
     const report = await validator.reports(ID)
     assert.equal(
@@ -809,15 +999,19 @@ contract('Validator', function(accounts) {
       'The report should have status Resolved'
     )
     assert.equal(report[7].toNumber(), 2, 'The report has incorrect ruling')
-    assert.equal(report[8].toNumber(), 0, 'The outcome should be inverted')
+    assert.equal(
+      report[8].toNumber(),
+      FAILURE,
+      'The outcome should be the one proposed by the challenger'
+    )
 
     // Check the 2nd possible outcome for correct behaviour as well
 
     const key2 = soliditySha3('key2')
     await claimsRegistry.setClaim(ida.address, key2, value, { from: governor })
     const ID2 = soliditySha3(ida.address, key2, governor)
-    await validator.makeReport(ida.address, key2, 0, { from: governor })
-    await validator.challengeReport(ID2, 'Evidence.json', {
+    await validator.makeReport(ida.address, key2, FAILURE, { from: governor })
+    await validator.challengeReport(ID2, SUCCESS, 'Evidence.json', {
       from: challenger,
       value: deposit
     })
@@ -826,15 +1020,15 @@ contract('Validator', function(accounts) {
       value: deposit
     })
 
-    await arbitrator.giveRuling(2, 2)
+    await arbitrator.giveRuling(2, rulingFor(SUCCESS))
     await time.increase(appealTimeOut + 1)
-    await arbitrator.giveRuling(2, 2)
+    await arbitrator.giveRuling(2, rulingFor(SUCCESS))
 
     const report2 = await validator.reports(ID2)
     assert.equal(
       report2[8].toNumber(),
-      1,
-      'The Failure outcome should be inverted'
+      SUCCESS,
+      'The Failure outcome should be replaced'
     )
   })
 
@@ -843,8 +1037,8 @@ contract('Validator', function(accounts) {
       arbitrationCost +
       (arbitrationCost * loserStakeMultiplier) / MULTIPLIER_DIVISOR
 
-    await validator.makeReport(ida.address, key, 1, { from: governor })
-    await validator.challengeReport(ID, 'Evidence.json', {
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    await validator.challengeReport(ID, FAILURE, 'Evidence.json', {
       from: challenger,
       value: deposit
     })
@@ -853,14 +1047,14 @@ contract('Validator', function(accounts) {
       value: deposit
     })
 
-    await arbitrator.giveRuling(1, 1)
+    await arbitrator.giveRuling(1, rulingFor(SUCCESS))
 
     await validator.fundAppeal(ID, 2, {
       from: challenger,
       value: loserAppealFee
     })
     await time.increase(appealTimeOut + 1)
-    await arbitrator.giveRuling(1, 1)
+    await arbitrator.giveRuling(1, rulingFor(SUCCESS))
 
     const report = await validator.reports(ID)
     assert.equal(
@@ -870,14 +1064,14 @@ contract('Validator', function(accounts) {
     )
     assert.equal(
       report[8].toNumber(),
-      0,
-      'The outcome should be inverted to Failure'
+      FAILURE,
+      'The outcome should be switched to Failure'
     )
   })
 
   it('Should withdraw fees correctly', async () => {
-    await validator.makeReport(ida.address, key, 1, { from: governor })
-    await validator.challengeReport(ID, 'Evidence.json', {
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    await validator.challengeReport(ID, FAILURE, 'Evidence.json', {
       from: challenger,
       value: deposit
     })
@@ -886,7 +1080,7 @@ contract('Validator', function(accounts) {
       value: deposit
     })
 
-    await arbitrator.giveRuling(1, 2)
+    await arbitrator.giveRuling(1, rulingFor(FAILURE))
 
     // 1st appeal round.
     const loserAppealFee =
@@ -926,9 +1120,9 @@ contract('Validator', function(accounts) {
       'The report must be resolved.'
     )
 
-    await arbitrator.giveRuling(2, 2)
+    await arbitrator.giveRuling(2, rulingFor(FAILURE))
     await time.increase(appealTimeOut + 1)
-    await arbitrator.giveRuling(2, 2)
+    await arbitrator.giveRuling(2, rulingFor(FAILURE))
 
     let oldBalanceSupporter = await web3.eth.getBalance(supporter)
     await validator.withdrawFeesAndRewards(supporter, ID, 1, {
@@ -999,6 +1193,190 @@ contract('Validator', function(accounts) {
     )
   })
 
+  it('Should withdraw fees from all rounds and reports at once', async () => {
+    const view = await ValidatorView.new()
+    const key2 = soliditySha3('key2')
+    await claimsRegistry.setClaim(ida.address, key2, value, { from: governor })
+    const ID2 = soliditySha3(ida.address, key2, governor)
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    await validator.makeReport(ida.address, key2, SUCCESS, { from: governor })
+    await validator.challengeReport(ID, FAILURE, 'Evidence.json', {
+      from: challenger,
+      value: deposit
+    })
+    await validator.challengeReport(ID2, FAILURE, 'Evidence.json', {
+      from: challenger,
+      value: deposit
+    })
+    await validator.confirmReport(ID, 'Evidence2.json', {
+      from: supporter,
+      value: deposit
+    })
+
+    // The second report is approved as incorrect and the first one is appealed.
+    await arbitrator.giveRuling(1, rulingFor(FAILURE))
+    const loserAppealFee =
+      arbitrationCost +
+      (arbitrationCost * loserStakeMultiplier) / MULTIPLIER_DIVISOR
+    const winnerAppealFee =
+      arbitrationCost +
+      (arbitrationCost * winnerStakeMultiplier) / MULTIPLIER_DIVISOR
+    await validator.fundAppeal(ID, 1, {
+      from: supporter,
+      value: loserAppealFee
+    })
+    await validator.fundAppeal(ID, 2, {
+      from: challenger,
+      value: winnerAppealFee * 0.4
+    })
+    await validator.fundAppeal(ID, 2, {
+      from: other,
+      value: winnerAppealFee
+    })
+    await time.increase(executionTimeout + 1)
+    await validator.approveReport(ID2, { from: governor })
+
+    assert.equal(
+      (
+        await view.amountWithdrawable(validator.address, ID, challenger)
+      ).toNumber(),
+      0,
+      'Nothing should be withdrawable before the report is resolved'
+    )
+    await expectRevert(
+      validator.batchRoundWithdraw(challenger, ID, 0, 0),
+      'The report must be resolved.'
+    )
+    await arbitrator.giveRuling(2, rulingFor(FAILURE))
+    await time.increase(appealTimeOut + 1)
+    await arbitrator.giveRuling(2, rulingFor(FAILURE))
+
+    // Round 0: all the 6000 fee rewards. Round 1: 40% of the 2000 fee rewards.
+    assert.equal(
+      (
+        await view.amountWithdrawable(validator.address, ID, challenger)
+      ).toNumber(),
+      6800,
+      'Incorrect withdrawable amount of the challenger'
+    )
+    assert.equal(
+      (
+        await view.amountWithdrawable(validator.address, ID2, challenger)
+      ).toNumber(),
+      deposit,
+      'Incorrect withdrawable amount of the challenger of the approved report'
+    )
+    assert.equal(
+      (await view.amountWithdrawable(validator.address, ID, other)).toNumber(),
+      1200,
+      'Incorrect withdrawable amount of the crowdfunder'
+    )
+    assert.equal(
+      (
+        await view.amountWithdrawable(validator.address, ID, supporter)
+      ).toNumber(),
+      0,
+      'The loser should not have anything to withdraw'
+    )
+
+    // Withdraw from a round with the cursor, with a count that overflows it, then the others.
+    let oldBalance = await web3.eth.getBalance(other)
+    await validator.batchRoundWithdraw(other, ID, 1, constants.MAX_UINT256, {
+      from: governor
+    })
+    let newBalance = await web3.eth.getBalance(other)
+    assert(
+      new BN(newBalance).eq(new BN(oldBalance).add(new BN(1200))),
+      'The crowdfunder was not reimbursed correctly'
+    )
+
+    oldBalance = await web3.eth.getBalance(challenger)
+    await validator.batchReportWithdraw(challenger, [ID, ID2], {
+      from: governor
+    })
+    newBalance = await web3.eth.getBalance(challenger)
+    assert(
+      new BN(newBalance).eq(new BN(oldBalance).add(new BN(6800 + deposit))),
+      'The challenger was not reimbursed correctly'
+    )
+    assert.equal(
+      (
+        await view.amountWithdrawable(validator.address, ID, challenger)
+      ).toNumber(),
+      0,
+      'The contributions should be cleared after the withdrawal'
+    )
+    assert.equal(
+      (await view.amountWithdrawable(validator.address, ID, other)).toNumber(),
+      0,
+      'The contributions should be cleared after the withdrawal'
+    )
+  })
+
+  it('Should credit the payments that fail and let the beneficiary withdraw them', async () => {
+    const wallet = await RevertingReceiver.new()
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+
+    // The reimbursement of the overpaid deposit fails.
+    const txChallenge = await wallet.forward(
+      validator.address,
+      validator.contract.methods.challengeReport(ID, FAILURE, '').encodeABI(),
+      { from: other, value: deposit * 2 }
+    )
+    const [credited] = await validator.getPastEvents('Credited', {
+      fromBlock: txChallenge.receipt.blockNumber
+    })
+    assert.equal(credited.args._beneficiary, wallet.address)
+    assert.equal(credited.args._amount.toNumber(), deposit)
+    assert.equal((await validator.credits(wallet.address)).toNumber(), deposit)
+    assert.equal((await validator.reports(ID))[6], wallet.address)
+
+    // So does the payment of the reward.
+    await time.increase(executionTimeout + 1)
+    await validator.approveReport(ID, { from: other })
+    const txWithdraw = await validator.withdrawFeesAndRewards(
+      wallet.address,
+      ID,
+      0,
+      { from: other }
+    )
+    assert.equal(txWithdraw.logs[1].event, 'Credited')
+    assert.equal(txWithdraw.logs[1].args._amount.toNumber(), deposit)
+    assert.equal(
+      (await validator.credits(wallet.address)).toNumber(),
+      deposit * 2
+    )
+    assert.equal(
+      (await validator.getContributions(ID, 0, wallet.address))[2].toNumber(),
+      0,
+      'The reward should not be withdrawable twice'
+    )
+
+    const withdrawCredit = recipient =>
+      wallet.forward(
+        validator.address,
+        validator.contract.methods.withdrawCredit(recipient).encodeABI(),
+        { from: other }
+      )
+    await expectRevert(withdrawCredit(wallet.address), 'The transfer failed.')
+    await expectRevert(
+      validator.withdrawCredit(other, { from: other }),
+      'There is no credit to withdraw.'
+    )
+
+    // The credit can be withdrawn with all the gas, to the wallet itself once it accepts ETH.
+    await wallet.setAccepting(true)
+    const txWithdrawCredit = await withdrawCredit(wallet.address)
+    const [withdrawn] = await validator.getPastEvents('CreditWithdrawn', {
+      fromBlock: txWithdrawCredit.receipt.blockNumber
+    })
+    assert.equal(withdrawn.args._beneficiary, wallet.address)
+    assert.equal(withdrawn.args._recipient, wallet.address)
+    assert.equal(withdrawn.args._amount.toNumber(), deposit * 2)
+    assert.equal((await wallet.received()).toNumber(), deposit * 2)
+    assert.equal((await validator.credits(wallet.address)).toNumber(), 0)
+  })
+
   it('Should correctly register report outcomes', async () => {
     const key2 = soliditySha3('key2')
     await claimsRegistry.setClaim(ida.address, key2, value, { from: governor })
@@ -1006,8 +1384,8 @@ contract('Validator', function(accounts) {
     let nbPending
     let validatedNb
 
-    await validator.makeReport(ida.address, key, 1, { from: governor })
-    await validator.makeReport(ida.address, key2, 0, { from: governor })
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    await validator.makeReport(ida.address, key2, FAILURE, { from: governor })
     await time.increase(executionTimeout + 1)
     await expectRevert(
       validator.registerOutcome(ID, { from: governor }),
@@ -1026,7 +1404,10 @@ contract('Validator', function(accounts) {
     )
 
     // 1st report
-    await validator.registerOutcome(ID, { from: governor })
+    const txRegister = await validator.registerOutcome(ID, { from: governor })
+    assert.equal(txRegister.logs[0].event, 'OutcomeRegistered')
+    assert.equal(txRegister.logs[0].args._ID, ID)
+    assert.equal(txRegister.logs[0].args._outcome.toNumber(), SUCCESS)
     const report = await validator.reports(ID)
     assert.equal(report[9], true, 'The report should be marked as registered')
 
@@ -1074,64 +1455,917 @@ contract('Validator', function(accounts) {
     )
   })
 
-  it('Should not allow to make a report that does not have a claim set', async () => {
-    const key2 = soliditySha3('key2')
-
-    await expectRevert(
-      validator.makeReport(ida.address, key2, 0, { from: governor }),
-      'A claim must be registered before registering a report'
-    )
-  })
-
-  it('Should submit evidence and fire the event', async () => {
+  it('Should register outcomes automatically and record failed registrations', async () => {
     await expectRevert(
-      validator.submitEvidence(ID, 'Evidence3.json', { from: other }),
-      'The report should exist and not be resolved.'
+      validator.changeAutoRegistration(ida.address, true, { from: other }),
+      'The caller must be the governor.'
     )
-    await validator.makeReport(ida.address, key, 1, { from: governor })
-    txEvidence = await validator.submitEvidence(ID, 'Evidence3.json', {
-      from: other
+    await validator.changeAutoRegistration(ida.address, true, {
+      from: governor
     })
+    assert.equal(await validator.autoRegistration(ida.address), true)
 
-    const evidenceGroupID = parseInt(ID, 16)
+    // Registered by approveReport.
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    await time.increase(executionTimeout + 1)
+    const txApprove = await validator.approveReport(ID, { from: other })
+    assert.equal(txApprove.logs[1].event, 'OutcomeRegistered')
+    assert.equal((await validator.reports(ID))[9], true)
+    assert.equal((await ida.validatedNumber()).toNumber(), 1)
+    assert.equal((await ida.nbPending()).toNumber(), 0)
 
-    assert.equal(
-      txEvidence.logs[0].event,
-      'Evidence',
-      'The event Evidence has not been created'
-    )
-    assert.equal(
-      txEvidence.logs[0].args._arbitrator,
-      arbitrator.address,
-      'The event has wrong arbitrator'
-    )
-    assert.equal(
-      txEvidence.logs[0].args._evidenceGroupID,
-      evidenceGroupID,
-      'The event has wrong evidenceGroup ID'
-    )
-    assert.equal(
-      txEvidence.logs[0].args._party,
-      other,
-      'The event has wrong party'
-    )
-    assert.equal(
-      txEvidence.logs[0].args._evidence,
-      'Evidence3.json',
-      'The event has wrong evidence'
+    // Registered by the ruling.
+    const key2 = soliditySha3('key2')
+    const ID2 = soliditySha3(ida.address, key2, governor)
+    await claimsRegistry.setClaim(ida.address, key2, value, { from: governor })
+    await validator.makeReport(ida.address, key2, SUCCESS, { from: governor })
+    await validator.challengeReport(ID2, FAILURE, '', {
+      from: challenger,
+      value: deposit
+    })
+    await validator.confirmReport(ID2, '', { from: supporter, value: deposit })
+    await arbitrator.giveRuling(1, rulingFor(FAILURE))
+    await time.increase(appealTimeOut + 1)
+    await arbitrator.giveRuling(1, rulingFor(FAILURE))
+    assert.equal((await validator.reports(ID2))[9], true)
+    assert.equal(await ida.reportRegistered(key2), false)
+    assert.equal((await ida.nbPending()).toNumber(), 0)
+
+    // The report is resolved even if the IDA reverts, and the registration can be retried.
+    const escrow2 = await Escrow.new(other, 1000, { from: governor })
+    const ida2 = await Ida.new(
+      other, // Payment token.
+      other, // Impact promise.
+      escrow2.address, // Not owned by the IDA yet, so it cannot unlock the payment.
+      claimsRegistry.address,
+      'TestIda2',
+      2, // Promise number.
+      50, // Price of a single promise.
+      validator.address,
+      -1, // End time. Just set to maximum.
+      governor, // Service provider.
+      { from: governor }
     )
-
+    await validator.addIDA(ida2.address, { from: governor })
+    await validator.changeAutoRegistration(ida2.address, true, {
+      from: governor
+    })
+    const ID3 = soliditySha3(ida2.address, key, governor)
+    await claimsRegistry.setClaim(ida2.address, key, value, { from: governor })
+    await validator.makeReport(ida2.address, key, SUCCESS, { from: governor })
     await time.increase(executionTimeout + 1)
-    await validator.approveReport(ID, { from: governor })
+    const txFailedApprove = await validator.approveReport(ID3, { from: other })
+    assert.equal(txFailedApprove.logs[0].event, 'StatusChanged')
+    assert.equal(txFailedApprove.logs[1].event, 'OutcomeRegistrationFailed')
+    assert.equal(txFailedApprove.logs[1].args._ID, ID3)
+    const report = await validator.reports(ID3)
+    assert.equal(report[2].toNumber(), 4, 'The report should be resolved')
+    assert.equal(report[9], false)
+    assert.equal(
+      (await validator.registrationFailures(ID3)).toNumber(),
+      1,
+      'The registration should be recorded as reverted'
+    )
 
-    // For Resolved status
     await expectRevert(
-      validator.submitEvidence(ID, 'Evidence3.json', { from: other }),
-      'The report should exist and not be resolved.'
-    )
+      validator.registerOutcome(ID3, { from: other }),
+      'Ownable: caller is not the owner'
+    )
+    await escrow2.transferOwnership(ida2.address, { from: governor })
+    await validator.registerOutcome(ID3, { from: other })
+    assert.equal((await validator.reports(ID3))[9], true)
+    assert.equal((await validator.registrationFailures(ID3)).toNumber(), 0)
+    assert.equal((await ida2.validatedNumber()).toNumber(), 1)
   })
 
-  it('Should make governance changes', async () => {
+  it('Should register a successful outcome as a failure if the claim was removed or changed', async () => {
+    const ClaimRemoved = 2
+    const ClaimChanged = 3
+    const keys = [1, 2, 3, 4, 5].map(i => soliditySha3(`key${i}`))
+    const IDs = keys.map(k => soliditySha3(ida.address, k, governor))
+    for (const k of keys.slice(1))
+      await claimsRegistry.setClaim(ida.address, k, value, { from: governor })
+    const expectRejected = async (tx, ID, failure, outcome = SUCCESS) => {
+      assert.equal(tx.logs[0].event, 'OutcomeRejected')
+      assert.equal(tx.logs[0].args._ID, ID)
+      assert.equal(tx.logs[0].args._failure.toNumber(), failure)
+      assert.equal(tx.logs[1].event, 'OutcomeRegistered')
+      assert.equal(tx.logs[1].args._outcome.toNumber(), outcome)
+      const report = await validator.reports(ID)
+      assert.equal(
+        report[8].toNumber(),
+        outcome,
+        'The report should keep its outcome'
+      )
+      assert.equal(report[9], true)
+      assert.equal(
+        (await validator.registrationFailures(ID)).toNumber(),
+        failure
+      )
+    }
+
+    // Removed while the report is Created.
+    await validator.makeReport(ida.address, keys[0], SUCCESS, {
+      from: governor
+    })
+    await claimsRegistry.removeClaim(ida.address, keys[0], { from: governor })
+    // Removed while the report is Challenged, for a partial outcome.
+    await validator.makeReport(ida.address, keys[1], SUCCESS, {
+      from: governor
+    })
+    await validator.challengeReport(IDs[1], 60, '', {
+      from: challenger,
+      value: deposit
+    })
+    await claimsRegistry.removeClaim(ida.address, keys[1], { from: governor })
+    // Changed while the report is Created.
+    await validator.makeReport(ida.address, keys[4], SUCCESS, {
+      from: governor
+    })
+    await claimsRegistry.setClaim(
+      ida.address,
+      keys[4],
+      web3.utils.padLeft('0x01', 64),
+      {
+        from: governor
+      }
+    )
+    // Removed once the report is Resolved.
+    await validator.makeReport(ida.address, keys[3], SUCCESS, {
+      from: governor
+    })
+
+    await time.increase(executionTimeout + 1)
+    for (const ID of [IDs[0], IDs[1], IDs[3], IDs[4]])
+      await validator.approveReport(ID, { from: other })
+    await claimsRegistry.removeClaim(ida.address, keys[3], { from: governor })
+
+    await expectRejected(
+      await validator.registerOutcome(IDs[0], { from: other }),
+      IDs[0],
+      ClaimRemoved
+    )
+    await expectRejected(
+      await validator.registerOutcome(IDs[1], { from: other }),
+      IDs[1],
+      ClaimRemoved,
+      60
+    )
+    await expectRejected(
+      await validator.registerOutcome(IDs[3], { from: other }),
+      IDs[3],
+      ClaimRemoved
+    )
+    await expectRejected(
+      await validator.registerOutcome(IDs[4], { from: other }),
+      IDs[4],
+      ClaimChanged
+    )
+
+    // Removed while the report is Disputed, registered by the ruling.
+    await validator.changeAutoRegistration(ida.address, true, {
+      from: governor
+    })
+    await validator.makeReport(ida.address, keys[2], SUCCESS, {
+      from: governor
+    })
+    await validator.challengeReport(IDs[2], FAILURE, '', {
+      from: challenger,
+      value: deposit
+    })
+    await validator.confirmReport(IDs[2], '', {
+      from: supporter,
+      value: deposit
+    })
+    await claimsRegistry.removeClaim(ida.address, keys[2], { from: governor })
+    await arbitrator.giveRuling(1, rulingFor(SUCCESS))
+    await time.increase(appealTimeOut + 1)
+    await arbitrator.giveRuling(1, rulingFor(SUCCESS))
+    const [event] = await validator.getPastEvents('OutcomeRejected', {
+      filter: { _ID: IDs[2] },
+      fromBlock: 0
+    })
+    assert.equal(Number(event.returnValues._failure), ClaimRemoved)
+    assert.equal((await validator.reports(IDs[2]))[8].toNumber(), SUCCESS)
+    assert.equal((await validator.reports(IDs[2]))[9], true)
+    assert.equal(
+      (await validator.registrationFailures(IDs[2])).toNumber(),
+      ClaimRemoved
+    )
+
+    for (const k of keys) assert.equal(await ida.reportRegistered(k), false)
+    assert.equal((await ida.nbPending()).toNumber(), 0)
+    assert.equal((await ida.validatedNumber()).toNumber(), 0)
+
+    // A failure is recorded only for successful outcomes.
+    const key6 = soliditySha3('key6')
+    const ID6 = soliditySha3(ida.address, key6, governor)
+    await claimsRegistry.setClaim(ida.address, key6, value, { from: governor })
+    await validator.makeReport(ida.address, key6, FAILURE, { from: governor })
+    await claimsRegistry.removeClaim(ida.address, key6, { from: governor })
+    await time.increase(executionTimeout + 1)
+    const txApprove = await validator.approveReport(ID6, { from: other })
+    assert.equal(txApprove.logs[1].event, 'OutcomeRegistered')
+    assert.equal((await validator.registrationFailures(ID6)).toNumber(), 0)
+
+    // The promise can be reported again once the claim is restored.
+    await claimsRegistry.setClaim(ida.address, keys[0], value, {
+      from: governor
+    })
+    await validator.makeReport(ida.address, keys[0], SUCCESS, {
+      from: governor
+    })
+    assert.equal(await ida.reportRegistered(keys[0]), true)
+  })
+
+  it('Should register a successful outcome as a failure if the claim cannot be read', async () => {
+    const ClaimUnreadable = 4
+    const brokenRegistry = await BrokenClaimsRegistry.new()
+    const escrow2 = await Escrow.new(other, 1000, { from: governor })
+    const ida2 = await Ida.new(
+      other, // Payment token.
+      other, // Impact promise.
+      escrow2.address,
+      brokenRegistry.address,
+      'TestIda2',
+      2, // Promise number.
+      50, // Price of a single promise.
+      validator.address,
+      -1, // End time. Just set to maximum.
+      governor, // Service provider.
+      { from: governor }
+    )
+    await escrow2.transferOwnership(ida2.address, { from: governor })
+    await validator.addIDA(ida2.address, { from: governor })
+    await brokenRegistry.setClaim(ida2.address, key, value, { from: governor })
+    const ID2 = soliditySha3(ida2.address, key, governor)
+    await validator.makeReport(ida2.address, key, SUCCESS, { from: governor })
+    await time.increase(executionTimeout + 1)
+    await validator.approveReport(ID2, { from: other })
+    await brokenRegistry.setBroken(true)
+
+    const tx = await validator.registerOutcome(ID2, { from: other })
+    assert.equal(tx.logs[0].event, 'OutcomeRejected')
+    assert.equal(tx.logs[0].args._failure.toNumber(), ClaimUnreadable)
+    assert.equal(tx.logs[1].event, 'OutcomeRegistered')
+    assert.equal((await validator.reports(ID2))[9], true)
+    assert.equal(
+      (await validator.registrationFailures(ID2)).toNumber(),
+      ClaimUnreadable
+    )
+    assert.equal(await ida2.reportRegistered(key), false)
+    assert.equal((await ida2.validatedNumber()).toNumber(), 0)
+  })
+
+  it('Should handle partial outcomes and unlock their share of the promise price', async () => {
+    await expectRevert(
+      validator.makeReport(ida.address, key, SUCCESS + 1, { from: governor }),
+      'Invalid outcome.'
+    )
+    await validator.makeReport(ida.address, key, 60, { from: governor })
+    await expectRevert(
+      validator.challengeReport(ID, 60, 'Evidence.json', {
+        from: challenger,
+        value: deposit
+      }),
+      'The challenger must propose another valid outcome.'
+    )
+    await expectRevert(
+      validator.challengeReport(ID, SUCCESS + 1, 'Evidence.json', {
+        from: challenger,
+        value: deposit
+      }),
+      'The challenger must propose another valid outcome.'
+    )
+    await validator.challengeReport(ID, 20, 'Evidence.json', {
+      from: challenger,
+      value: deposit
+    })
+    assert.equal(
+      (await validator.reports(ID)).challengedOutcome.toNumber(),
+      20,
+      'The report has incorrect challenged outcome'
+    )
+    await validator.confirmReport(ID, 'Evidence2.json', {
+      from: supporter,
+      value: deposit
+    })
+
+    // Jurors rule for an outcome that neither party proposed.
+    await arbitrator.giveRuling(1, rulingFor(40))
+    await time.increase(appealTimeOut + 1)
+    const txRuling = await arbitrator.giveRuling(1, rulingFor(40))
+    const rulings = await validator.getPastEvents('Ruling', {
+      fromBlock: txRuling.receipt.blockNumber
+    })
+    assert.equal(
+      rulings[0].args._ruling.toNumber(),
+      rulingFor(40),
+      'The event has wrong ruling'
+    )
+
+    const report = await validator.reports(ID)
+    assert.equal(
+      report[7].toNumber(),
+      0,
+      'No party should win when another outcome is ruled'
+    )
+    assert.equal(
+      report[8].toNumber(),
+      40,
+      'The outcome should be the ruled one'
+    )
+
+    await validator.registerOutcome(ID, { from: governor })
+    assert.equal(
+      (await escrow.unlocked()).toNumber(),
+      20, // 40% of the promise price.
+      'The escrow should unlock the share of the promise price matching the outcome'
+    )
+  })
+
+  it('Should let the service provider retract or amend an unchallenged report', async () => {
+    await validator.makeReport(ida.address, key, FAILURE, { from: governor })
+    await expectRevert(
+      validator.amendReport(ID, SUCCESS, { from: other }),
+      'Only the service provider can change the report.'
+    )
+    await expectRevert(
+      validator.amendReport(ID, 101, { from: governor }),
+      'Invalid outcome.'
+    )
+
+    await time.increase(executionTimeout / 2)
+    const txAmend = await validator.amendReport(ID, SUCCESS, {
+      from: governor
+    })
+    assert.equal(txAmend.logs[0].event, 'ReportAmended')
+    assert.equal(txAmend.logs[0].args._ID, ID)
+    assert.equal(txAmend.logs[0].args._outcome.toNumber(), SUCCESS)
+    const report = await validator.reports(ID)
+    assert.equal(report[8].toNumber(), SUCCESS, 'The outcome should be amended')
+    assert.equal(
+      report[4].toNumber(),
+      (await web3.eth.getBlock(txAmend.receipt.blockNumber)).timestamp,
+      'The challenge period should start over'
+    )
+
+    const txRetract = await validator.retractReport(ID, { from: governor })
+    assert.equal(txRetract.logs[0].event, 'StatusChanged')
+    assert.equal(txRetract.logs[0].args._status.toNumber(), 0)
+    assert.equal(txRetract.logs[1].event, 'ReportRetracted')
+    assert.equal(txRetract.logs[1].args._ID, ID)
+    assert.equal((await validator.reports(ID))[2].toNumber(), 0)
+    assert.equal(await ida.reportRegistered(key), false)
+    assert.equal((await ida.nbPending()).toNumber(), 0)
+
+    // A new report can be made, and nobody can change it once its challenge is funded.
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    assert.equal((await ida.nbPending()).toNumber(), 1)
+    await expectRevert(
+      validator.challengeReport(ID, FAILURE, '', { from: challenger }),
+      'The contribution must not be empty.'
+    )
+    await validator.amendReport(ID, 90, { from: governor }) // A free challenge cannot lock the report.
+    await validator.challengeReport(ID, FAILURE, '', {
+      from: challenger,
+      value: 10
+    })
+    await expectRevert(
+      validator.retractReport(ID, { from: governor }),
+      'The report is being challenged.'
+    )
+    await validator.challengeReport(ID, FAILURE, '', {
+      from: challenger,
+      value: deposit
+    })
+    await expectRevert(
+      validator.amendReport(ID, FAILURE, { from: governor }),
+      'The report should be in Created status.'
+    )
+
+    const key2 = soliditySha3('key2')
+    const ID2 = soliditySha3(ida.address, key2, governor)
+    await claimsRegistry.setClaim(ida.address, key2, value, { from: governor })
+    await validator.makeReport(ida.address, key2, SUCCESS, { from: governor })
+    await time.increase(executionTimeout + 1)
+    await expectRevert(
+      validator.retractReport(ID2, { from: governor }),
+      'Time to change the report has passed.'
+    )
+  })
+
+  it('Should take a bond from the service provider and release it once the report is settled', async () => {
+    const bond = 700
+    await expectRevert(
+      validator.changeProviderBond(ida.address, bond, { from: other }),
+      'The caller must be the governor.'
+    )
+    await validator.changeProviderBond(ida.address, bond, { from: governor })
+    assert.equal((await validator.providerBonds(ida.address)).toNumber(), bond)
+
+    await expectRevert(
+      validator.makeReport(ida.address, key, SUCCESS, {
+        from: governor,
+        value: bond - 1
+      }),
+      'The provider bond must be paid.'
+    )
+    await validator.makeReport(ida.address, key, SUCCESS, {
+      from: governor,
+      value: bond + 100
+    })
+    assert.equal(
+      await web3.eth.getBalance(validator.address),
+      bond,
+      'Only the bond should be kept'
+    )
+    const reportBond = await validator.reportBonds(ID)
+    assert.equal(reportBond.serviceProvider, governor)
+    assert.equal(reportBond.amount.toNumber(), bond)
+
+    // Returned when the report is retracted.
+    await validator.retractReport(ID, { from: governor })
+    assert.equal(await web3.eth.getBalance(validator.address), 0)
+
+    // Shared by the contributors to the challenge when the report is overturned by approveReport.
+    await validator.makeReport(ida.address, key, SUCCESS, {
+      from: governor,
+      value: bond
+    })
+    await validator.challengeReport(ID, 40, '', { from: other, value: 100 }) // Not funded, so not rewarded.
+    await validator.challengeReport(ID, FAILURE, '', {
+      from: challenger,
+      value: 1000
+    })
+    await validator.challengeReport(ID, FAILURE, '', {
+      from: other,
+      value: deposit - 1000
+    })
+    await time.increase(executionTimeout + 1)
+    await validator.approveReport(ID, { from: governor })
+    const awardedBond = await validator.reportBonds(ID)
+    assert.equal(awardedBond.amount.toNumber(), bond)
+    assert.equal(awardedBond.awarded, true)
+    const withdrawals = [
+      [challenger, 1000 + (bond * 1000) / deposit],
+      [other, 100 + deposit - 1000 + (bond * (deposit - 1000)) / deposit]
+    ]
+    for (const [contributor, amount] of withdrawals) {
+      const oldBalance = new BN(await web3.eth.getBalance(contributor))
+      await validator.batchRoundWithdraw(contributor, ID, 0, 0, {
+        from: governor
+      })
+      const newBalance = new BN(await web3.eth.getBalance(contributor))
+      assert(
+        newBalance.eq(oldBalance.addn(amount)),
+        'The contributors to the challenge should share the bond'
+      )
+    }
+    assert.equal(await web3.eth.getBalance(validator.address), 0)
+
+    // Returned when the ruling upholds the report, awarded to the challenger otherwise.
+    const key2 = soliditySha3('key2')
+    const key3 = soliditySha3('key3')
+    const ID2 = soliditySha3(ida.address, key2, governor)
+    const ID3 = soliditySha3(ida.address, key3, governor)
+    for (const [reportID, promiseKey] of [
+      [ID2, key2],
+      [ID3, key3]
+    ]) {
+      await claimsRegistry.setClaim(ida.address, promiseKey, value, {
+        from: governor
+      })
+      await validator.makeReport(ida.address, promiseKey, SUCCESS, {
+        from: governor,
+        value: bond
+      })
+      await validator.challengeReport(reportID, FAILURE, '', {
+        from: challenger,
+        value: deposit
+      })
+      await validator.confirmReport(reportID, '', {
+        from: supporter,
+        value: deposit
+      })
+    }
+    await arbitrator.giveRuling(1, rulingFor(SUCCESS))
+    await arbitrator.giveRuling(2, rulingFor(FAILURE))
+    await time.increase(appealTimeOut + 1)
+    let oldBalance = new BN(await web3.eth.getBalance(governor))
+    const txRuling = await arbitrator.giveRuling(1, rulingFor(SUCCESS))
+    const { gasPrice } = await web3.eth.getTransaction(txRuling.tx)
+    let newBalance = new BN(await web3.eth.getBalance(governor))
+    assert(
+      newBalance.eq(
+        oldBalance
+          .addn(bond + arbitrationCost) // The governor also owns the arbitrator, which pays itself the fee.
+          .sub(new BN(gasPrice).muln(txRuling.receipt.gasUsed))
+      ),
+      'The service provider should get the bond back'
+    )
+    await arbitrator.giveRuling(2, rulingFor(FAILURE))
+    const view = await ValidatorView.new()
+    assert.equal(
+      (
+        await view.amountWithdrawable(validator.address, ID3, challenger)
+      ).toNumber(),
+      2 * deposit - arbitrationCost + bond,
+      'The winning challenger should get the fee rewards and the bond'
+    )
+    oldBalance = new BN(await web3.eth.getBalance(challenger))
+    await validator.batchRoundWithdraw(challenger, ID3, 0, 0, {
+      from: governor
+    })
+    newBalance = new BN(await web3.eth.getBalance(challenger))
+    assert(
+      newBalance.eq(oldBalance.addn(2 * deposit - arbitrationCost + bond)),
+      'The challenger should get the bond'
+    )
+  })
+
+  it('Should allow a new report to a promise once the previous one is registered as a failure', async () => {
+    const ID2 = soliditySha3(ida.address, key, governor, 1)
+    await validator.makeReport(ida.address, key, FAILURE, { from: governor })
+    await expectRevert(
+      validator.makeReport(ida.address, key, SUCCESS, { from: governor }),
+      'The previous report of the promise must be registered as a failure.'
+    )
+    await time.increase(executionTimeout + 1)
+    await validator.approveReport(ID, { from: governor })
+    await expectRevert(
+      validator.makeReport(ida.address, key, SUCCESS, { from: governor }),
+      'The previous report of the promise must be registered as a failure.'
+    )
+    await validator.registerOutcome(ID, { from: governor })
+
+    const txMakeReport = await validator.makeReport(ida.address, key, SUCCESS, {
+      from: governor
+    })
+    assert.equal(
+      txMakeReport.logs[1].args._ID,
+      ID2,
+      'The second report should have the next version'
+    )
+    assert.deepEqual(await validator.getReportHistory(ida.address, key), [
+      ID,
+      ID2
+    ])
+    assert.equal(
+      await ida.reportRegistered(key),
+      true,
+      'The second report should be registered in the IDA'
+    )
+    assert.equal((await validator.reports(ID))[8].toNumber(), FAILURE)
+    assert.equal((await validator.reports(ID2))[2].toNumber(), 1)
+
+    // A retracted report frees its version.
+    await validator.retractReport(ID2, { from: governor })
+    assert.deepEqual(await validator.getReportHistory(ida.address, key), [ID])
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    assert.deepEqual(await validator.getReportHistory(ida.address, key), [
+      ID,
+      ID2
+    ])
+
+    // No report can be made once the promise is validated.
+    await time.increase(executionTimeout + 1)
+    await validator.approveReport(ID2, { from: governor })
+    await validator.registerOutcome(ID2, { from: governor })
+    await expectRevert(
+      validator.makeReport(ida.address, key, SUCCESS, { from: governor }),
+      'The previous report of the promise must be registered as a failure.'
+    )
+    assert.equal((await ida.validatedNumber()).toNumber(), 1)
+  })
+
+  it('Should list the reports and count their rounds', async () => {
+    const key2 = soliditySha3('key2')
+    const ID2 = soliditySha3(ida.address, key2, governor)
+    await claimsRegistry.setClaim(ida.address, key2, value, { from: governor })
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    await validator.makeReport(ida.address, key2, SUCCESS, { from: governor })
+
+    assert.equal((await validator.getNumberOfReports()).toNumber(), 2)
+    assert.deepEqual(await validator.getReportIDs(0, 0), [ID, ID2])
+    assert.deepEqual(await validator.getReportIDs(0, 1), [ID])
+    assert.deepEqual(
+      await validator.getReportIDs(1, 5),
+      [ID2],
+      'The last page should be truncated'
+    )
+    assert.deepEqual(await validator.getReportIDs(2, 1), [])
+    assert.deepEqual(await validator.getReportIDs(5, 0), [])
+    assert.deepEqual(await validator.getReportsByIDA(ida.address, 1, 0), [ID2])
+    assert.deepEqual(await validator.getReportsByIDA(other, 0, 0), [])
+
+    // A report made again after its retraction is listed once.
+    await validator.retractReport(ID2, { from: governor })
+    await validator.makeReport(ida.address, key2, SUCCESS, { from: governor })
+    assert.deepEqual(await validator.getReportIDs(0, 0), [ID, ID2])
+
+    assert.equal((await validator.getNumberOfRounds(ID)).toNumber(), 0)
+    await validator.challengeReport(ID, FAILURE, '', {
+      from: challenger,
+      value: deposit
+    })
+    assert.equal((await validator.getNumberOfRounds(ID)).toNumber(), 1)
+    await validator.confirmReport(ID, '', { from: supporter, value: deposit })
+    assert.equal(
+      (await validator.getNumberOfRounds(ID)).toNumber(),
+      2,
+      'Creating the dispute should open the round of the first appeal'
+    )
+  })
+
+  it('Should not allow to make a report that does not have a claim set', async () => {
+    const key2 = soliditySha3('key2')
+
+    await expectRevert(
+      validator.makeReport(ida.address, key2, FAILURE, { from: governor }),
+      'A claim must be registered before registering a report'
+    )
+  })
+
+  it('Should only accept reports made to registered IDAs', async () => {
+    const txRemove = await validator.removeIDA(ida.address, { from: governor })
+    assert.equal(txRemove.logs[0].event, 'IDARemoved')
+    assert.equal(txRemove.logs[0].args._ida, ida.address)
+    assert.equal(await validator.registeredIDAs(ida.address), false)
+    await expectRevert(
+      validator.makeReport(ida.address, key, SUCCESS, { from: governor }),
+      'The IDA is not registered.'
+    )
+    await expectRevert(
+      validator.removeIDA(ida.address, { from: governor }),
+      'The IDA is not registered.'
+    )
+
+    // A registrar, e.g. an IDA factory, can register IDAs.
+    await expectRevert(
+      validator.addIDA(ida.address, { from: other }),
+      'The caller must be the governor or a registrar.'
+    )
+    await expectRevert(
+      validator.changeIDARegistrar(other, true, { from: other }),
+      'The caller must be the governor.'
+    )
+    await validator.changeIDARegistrar(other, true, { from: governor })
+    const txAdd = await validator.addIDA(ida.address, { from: other })
+    assert.equal(txAdd.logs[0].event, 'IDAAdded')
+    assert.equal(txAdd.logs[0].args._ida, ida.address)
+    assert.equal(txAdd.logs[0].args._registrar, other)
+    await expectRevert(
+      validator.addIDA(ida.address, { from: governor }),
+      'The IDA is already registered.'
+    )
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+
+    // Unregistering the IDA does not affect its existing reports.
+    await validator.changeIDARegistrar(other, false, { from: governor })
+    await expectRevert(
+      validator.removeIDA(ida.address, { from: other }),
+      'The caller must be the governor or a registrar.'
+    )
+    await validator.removeIDA(ida.address, { from: governor })
+    await time.increase(executionTimeout + 1)
+    await validator.approveReport(ID)
+    await validator.registerOutcome(ID)
+  })
+
+  it('Should submit evidence and fire the event', async () => {
+    await expectRevert(
+      validator.submitEvidence(ID, 'Evidence3.json', { from: other }),
+      'The report should exist and not be resolved.'
+    )
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    txEvidence = await validator.submitEvidence(ID, 'Evidence3.json', {
+      from: other
+    })
+
+    const evidenceGroupID = parseInt(ID, 16)
+
+    assert.equal(
+      txEvidence.logs[0].event,
+      'Evidence',
+      'The event Evidence has not been created'
+    )
+    assert.equal(
+      txEvidence.logs[0].args._arbitrator,
+      arbitrator.address,
+      'The event has wrong arbitrator'
+    )
+    assert.equal(
+      txEvidence.logs[0].args._evidenceGroupID,
+      evidenceGroupID,
+      'The event has wrong evidenceGroup ID'
+    )
+    assert.equal(
+      txEvidence.logs[0].args._party,
+      other,
+      'The event has wrong party'
+    )
+    assert.equal(
+      txEvidence.logs[0].args._evidence,
+      'Evidence3.json',
+      'The event has wrong evidence'
+    )
+
+    await time.increase(executionTimeout + 1)
+    await validator.approveReport(ID, { from: governor })
+
+    // For Resolved status
+    await expectRevert(
+      validator.submitEvidence(ID, 'Evidence3.json', { from: other }),
+      'The report should exist and not be resolved.'
+    )
+  })
+
+  it('Should act on behalf of the signers of the calls relayed by the trusted forwarder', async () => {
+    const provider = web3.eth.accounts.create() // A service provider without ETH.
+    const providerEscrow = await Escrow.new(other, 1000, { from: governor })
+    const providerIda = await Ida.new(
+      other, // Payment token.
+      other, // Impact promise.
+      providerEscrow.address,
+      claimsRegistry.address,
+      'RelayedIda',
+      2, // Promise number.
+      50, // Price of a single promise.
+      validator.address,
+      -1, // End time. Just set to maximum.
+      provider.address, // Service provider.
+      { from: governor }
+    )
+    await providerEscrow.transferOwnership(providerIda.address, {
+      from: governor
+    })
+    await validator.addIDA(providerIda.address, { from: governor })
+    // The claim is issued by the service provider, which pays the gas of this transaction only.
+    await web3.eth.sendTransaction({
+      from: other,
+      to: provider.address,
+      value: web3.utils.toWei('1')
+    })
+    const { rawTransaction } = await provider.signTransaction({
+      data: claimsRegistry.contract.methods
+        .setClaim(providerIda.address, key, value)
+        .encodeABI(),
+      gas: 100000,
+      gasPrice: 1,
+      to: claimsRegistry.address
+    })
+    await web3.eth.sendSignedTransaction(rawTransaction)
+    const providerBalance = await web3.eth.getBalance(provider.address)
+    const relayedID = soliditySha3(providerIda.address, key, provider.address)
+
+    const forwarder = await ValidatorForwarder.new(validator.address, 1337)
+    const forwarderContract = new web3.eth.Contract(
+      ValidatorForwarder.abi,
+      forwarder.address
+    )
+    const domain = await getDomain(forwarderContract)
+    const relay = async (data, privateKey, options = {}) => {
+      const { address } = web3.eth.accounts.privateKeyToAccount(privateKey)
+      const request = await buildRequest(
+        web3,
+        forwarderContract,
+        address,
+        data,
+        {
+          gas: 500000,
+          ...options
+        }
+      )
+      return forwarder.execute(
+        request.from,
+        request.value,
+        request.gas,
+        request.data,
+        signRequest(domain, request, privateKey),
+        { from: other, value: request.value }
+      )
+    }
+    const makeReportData = validator.contract.methods
+      .makeReport(providerIda.address, key, SUCCESS)
+      .encodeABI()
+
+    await expectRevert(
+      relay(makeReportData, provider.privateKey),
+      'Only the service provider can make a report.'
+    )
+    await expectRevert(
+      validator.changeTrustedForwarder(forwarder.address, { from: other }),
+      'The caller must be the governor.'
+    )
+    await validator.changeTrustedForwarder(forwarder.address, {
+      from: governor
+    })
+    assert.equal(await validator.trustedForwarder(), forwarder.address)
+
+    await expectRevert(
+      relay(
+        validator.contract.methods
+          .challengeReport(relayedID, FAILURE, '')
+          .encodeABI(),
+        provider.privateKey
+      ),
+      'The function cannot be relayed.'
+    )
+    const request = await buildRequest(
+      web3,
+      forwarderContract,
+      provider.address,
+      makeReportData,
+      { gas: 500000 }
+    )
+    const signature = signRequest(domain, request, provider.privateKey)
+    await expectRevert(
+      forwarder.execute(request.from, 0, request.gas, request.data, signature, {
+        from: other,
+        value: 1
+      }),
+      'The value of the request must be sent.'
+    )
+    const impostor = web3.eth.accounts.create()
+    await expectRevert(
+      forwarder.execute(
+        request.from,
+        0,
+        request.gas,
+        request.data,
+        signRequest(domain, request, impostor.privateKey),
+        { from: other }
+      ),
+      'The signature does not match the request.'
+    )
+
+    const tx = await forwarder.execute(
+      request.from,
+      0,
+      request.gas,
+      request.data,
+      signature,
+      { from: other }
+    )
+    assert.equal(tx.logs[0].event, 'Relayed')
+    assert.equal(tx.logs[0].args._from, provider.address)
+    assert.equal(tx.logs[0].args._relayer, other)
+    assert.equal(tx.logs[0].args._nonce.toNumber(), 0)
+    assert.equal((await forwarder.nonces(provider.address)).toNumber(), 1)
+    assert.equal(
+      (await validator.reports(relayedID))[2].toNumber(),
+      1,
+      'The report should be made on behalf of the signer'
+    )
+    assert.equal((await validator.reportBonds(relayedID))[0], provider.address)
+    assert.equal(
+      await web3.eth.getBalance(provider.address),
+      providerBalance,
+      'The relayer should pay the gas'
+    )
+    await expectRevert(
+      forwarder.execute(request.from, 0, request.gas, request.data, signature, {
+        from: other
+      }),
+      'The signature does not match the request.' // The nonce was used.
+    )
+
+    const fromBlock = await web3.eth.getBlockNumber()
+    await relay(
+      validator.contract.methods
+        .submitEvidence(relayedID, 'Evidence.json')
+        .encodeABI(),
+      provider.privateKey
+    )
+    // Appending an address to a call does not impersonate it if the caller is not the forwarder.
+    await web3.eth.sendTransaction({
+      data: `${validator.contract.methods
+        .submitEvidence(relayedID, 'Evidence2.json')
+        .encodeABI()}${provider.address.slice(2)}`,
+      from: other,
+      gas: 500000,
+      to: validator.address
+    })
+    const evidence = await validator.getPastEvents('Evidence', { fromBlock })
+    assert.equal(evidence[0].args._party, provider.address)
+    assert.equal(evidence[1].args._party, other)
+
+    await time.increase(executionTimeout + 1)
+    await relay(
+      validator.contract.methods.approveReport(relayedID).encodeABI(),
+      provider.privateKey
+    )
+    await relay(
+      validator.contract.methods.registerOutcome(relayedID).encodeABI(),
+      provider.privateKey
+    )
+    const report = await validator.reports(relayedID)
+    assert.equal(report[2].toNumber(), 4)
+    assert.equal(report[9], true)
+  })
+
+  it('Should make governance changes', async () => {
     await expectRevert(
       validator.changeExecutionTimeout(31, { from: other }),
       'The caller must be the governor.'
@@ -1147,12 +2381,19 @@ contract('Validator', function(accounts) {
       validator.changeBaseDeposit(212, { from: other }),
       'The caller must be the governor.'
     )
-    await validator.changeBaseDeposit(212, { from: governor })
+    const txChange = await validator.changeBaseDeposit(212, { from: governor })
     assert.equal(
       (await validator.baseDeposit()).toNumber(),
       212,
       'Incorrect baseDeposit value'
     )
+    const data = validator.contract.methods.changeBaseDeposit(212).encodeABI()
+    assert.equal(txChange.logs[0].event, 'ParameterChanged')
+    assert.equal(
+      txChange.logs[0].args._selector,
+      web3.utils.padRight(data.slice(0, 10), 64)
+    )
+    assert.equal(txChange.logs[0].args._data, data)
 
     await expectRevert(
       validator.changeSharedStakeMultiplier(51, { from: other }),
@@ -1195,4 +2436,267 @@ contract('Validator', function(accounts) {
       'Incorrect loserStakeMultiplier value'
     )
   })
+
+  it('Should queue governance changes and execute them after the delay', async () => {
+    await validator.changeGovernanceDelay(100, { from: governor })
+    assert.equal((await validator.governanceDelay()).toNumber(), 100)
+    await expectRevert(
+      validator.changeBaseDeposit(10, { from: governor }),
+      'The change must be queued.'
+    )
+    await expectRevert(
+      validator.changeBaseDeposit(10, { from: other }),
+      'The caller must be the governor.'
+    )
+
+    const data = validator.contract.methods.changeBaseDeposit(10).encodeABI()
+    await expectRevert(
+      validator.queueChange(data, { from: other }),
+      'The caller must be the governor.'
+    )
+    const txQueue = await validator.queueChange(data, { from: governor })
+    const { timestamp } = await web3.eth.getBlock(txQueue.receipt.blockNumber)
+    assert.equal(txQueue.logs[0].event, 'ChangeQueued')
+    assert.equal(txQueue.logs[0].args._changeID.toNumber(), 0)
+    assert.equal(txQueue.logs[0].args._data, data)
+    assert.equal(txQueue.logs[0].args._eta.toNumber(), timestamp + 100)
+
+    await expectRevert(
+      validator.executeChange(0, { from: other }),
+      'The governance delay has not passed yet.'
+    )
+    await time.increase(101)
+    const txExecute = await validator.executeChange(0, { from: other }) // Anyone can execute a change once its delay has passed.
+    assert.equal(txExecute.logs[0].event, 'ParameterChanged')
+    assert.equal(txExecute.logs[0].args._data, data)
+    assert.equal(txExecute.logs[1].event, 'ChangeExecuted')
+    assert.equal((await validator.baseDeposit()).toNumber(), 10)
+    assert.equal((await validator.changes(0)).status.toNumber(), 1)
+    await expectRevert(
+      validator.executeChange(0, { from: other }),
+      'The change must be pending.'
+    )
+
+    await validator.queueChange(
+      validator.contract.methods.changeGovernor(other).encodeABI(),
+      { from: governor }
+    )
+    await expectRevert(
+      validator.cancelChange(1, { from: other }),
+      'The caller must be the governor.'
+    )
+    const txCancel = await validator.cancelChange(1, { from: governor })
+    assert.equal(txCancel.logs[0].event, 'ChangeCancelled')
+    await time.increase(101)
+    await expectRevert(
+      validator.executeChange(1, { from: governor }),
+      'The change must be pending.'
+    )
+    assert.equal(await validator.governor(), governor)
+
+    // Only governance functions can be called through the queue.
+    await validator.queueChange(
+      validator.contract.methods.removeIDA(ida.address).encodeABI(),
+      { from: governor }
+    )
+    await time.increase(101)
+    await expectRevert(
+      validator.executeChange(2, { from: governor }),
+      'The change failed.'
+    )
+  })
+
+  it('Should snapshot the parameters of each report and apply IDA profiles', async () => {
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    assert.equal((await validator.reports(ID))[12].toNumber(), 0)
+
+    // Governance changes do not apply to the existing report.
+    await validator.changeExecutionTimeout(60, { from: governor })
+    await validator.changeBaseDeposit(10, { from: governor })
+    assert.equal((await validator.defaultParametersID()).toNumber(), 2)
+    await time.increase(120)
+    await validator.challengeReport(ID, FAILURE, '', {
+      from: challenger,
+      value: deposit * 2
+    })
+    let round = await validator.getRoundInfo(ID, 0)
+    assert.equal(
+      round[1][2].toNumber(),
+      deposit,
+      'The deposit should be the one of the snapshot'
+    )
+
+    await expectRevert(
+      validator.setIDAProfile(ida.address, '0x', 1000, 500, 0, 0, 0, {
+        from: other
+      }),
+      'The caller must be the governor.'
+    )
+    await validator.setIDAProfile(ida.address, '0x', 1000, 500, 0, 0, 0, {
+      from: governor
+    })
+    assert.equal((await validator.idaProfiles(ida.address)).toNumber(), 3)
+    const profile = await validator.parameterSnapshots(3)
+    assert.equal(profile.executionTimeout.toNumber(), 1000)
+    assert.equal(profile.baseDeposit.toNumber(), 500)
+
+    const key2 = soliditySha3('key2')
+    const ID2 = soliditySha3(ida.address, key2, governor)
+    await claimsRegistry.setClaim(ida.address, key2, value, { from: governor })
+    await validator.makeReport(ida.address, key2, SUCCESS, { from: governor })
+    assert.equal((await validator.reports(ID2))[12].toNumber(), 3)
+    await time.increase(900) // Past the default timeout, within the one of the profile.
+    await validator.challengeReport(ID2, FAILURE, '', {
+      from: challenger,
+      value: deposit
+    })
+    round = await validator.getRoundInfo(ID2, 0)
+    assert.equal(round[1][2].toNumber(), arbitrationCost + 500)
+
+    await validator.removeIDAProfile(ida.address, { from: governor })
+    assert.equal((await validator.idaProfiles(ida.address)).toNumber(), 0)
+  })
+
+  it('Should switch the arbitrator and keep the one of the in-flight disputes', async () => {
+    const arbitrator2 = await Arbitrator.new(
+      arbitrationCost,
+      governor,
+      arbitratorExtraData,
+      appealTimeOut,
+      { from: governor }
+    )
+    await arbitrator2.changeArbitrator(arbitrator2.address)
+    await arbitrator2.createDispute(3, arbitratorExtraData, {
+      from: other,
+      value: arbitrationCost
+    }) // Both disputes will have the ID 1.
+
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    await expectRevert(
+      validator.changeArbitrator(arbitrator2.address, '0x', { from: other }),
+      'The caller must be the governor.'
+    )
+    await validator.changeArbitrator(arbitrator2.address, '0x', {
+      from: governor
+    })
+    assert.equal(await validator.arbitrator(), arbitrator2.address)
+    assert.equal(await validator.arbitratorExtraData(), null)
+
+    const key2 = soliditySha3('key2')
+    const ID2 = soliditySha3(ida.address, key2, governor)
+    await claimsRegistry.setClaim(ida.address, key2, value, { from: governor })
+    await validator.makeReport(ida.address, key2, SUCCESS, { from: governor })
+    assert.equal((await validator.reports(ID))[13], arbitrator.address)
+    assert.equal((await validator.reports(ID2))[13], arbitrator2.address)
+
+    for (const reportID of [ID, ID2]) {
+      await validator.challengeReport(reportID, FAILURE, '', {
+        from: challenger,
+        value: deposit
+      })
+      await validator.confirmReport(reportID, '', {
+        from: supporter,
+        value: deposit
+      })
+    }
+    assert.equal((await validator.reports(ID))[3].toNumber(), 1)
+    assert.equal((await validator.reports(ID2))[3].toNumber(), 1)
+    assert.equal(await validator.disputeIDToReportID(arbitrator.address, 1), ID)
+    assert.equal(
+      await validator.disputeIDToReportID(arbitrator2.address, 1),
+      ID2
+    )
+
+    await expectRevert(
+      validator.rule(1, rulingFor(FAILURE), { from: governor }),
+      'Only the arbitrator can give a ruling'
+    )
+
+    // Each arbitrator rules its own dispute.
+    await arbitrator.giveRuling(1, rulingFor(FAILURE))
+    await arbitrator2.giveRuling(1, rulingFor(SUCCESS))
+    await time.increase(appealTimeOut + 1)
+    await arbitrator.giveRuling(1, rulingFor(FAILURE))
+    await arbitrator2.giveRuling(1, rulingFor(SUCCESS))
+
+    let report = await validator.reports(ID)
+    assert.equal(report[2].toNumber(), 4, 'The first report should be resolved')
+    assert.equal(report[8].toNumber(), FAILURE)
+    report = await validator.reports(ID2)
+    assert.equal(
+      report[2].toNumber(),
+      4,
+      'The second report should be resolved'
+    )
+    assert.equal(report[8].toNumber(), SUCCESS)
+  })
+
+  it('Should update the meta evidence and keep the previous one for existing reports', async () => {
+    await expectRevert(
+      validator.changeMetaEvidence('test2.json', { from: other }),
+      'The caller must be the governor.'
+    )
+
+    await validator.makeReport(ida.address, key, SUCCESS, { from: governor })
+    const txMetaEvidence = await validator.changeMetaEvidence('test2.json', {
+      from: governor
+    })
+    assert.equal(txMetaEvidence.logs[0].event, 'ParameterChanged')
+    assert.equal(
+      txMetaEvidence.logs[1].event,
+      'MetaEvidence',
+      'The event MetaEvidence has not been created'
+    )
+    assert.equal(
+      txMetaEvidence.logs[1].args._metaEvidenceID.toNumber(),
+      1,
+      'The event has wrong meta evidence ID'
+    )
+    assert.equal(
+      txMetaEvidence.logs[1].args._evidence,
+      'test2.json',
+      'The event has wrong meta evidence'
+    )
+    assert.equal(
+      (await validator.metaEvidenceUpdates()).toNumber(),
+      1,
+      'Incorrect metaEvidenceUpdates value'
+    )
+
+    const key2 = soliditySha3('key2')
+    const ID2 = soliditySha3(ida.address, key2, governor)
+    await claimsRegistry.setClaim(ida.address, key2, value, { from: governor })
+    await validator.makeReport(ida.address, key2, SUCCESS, { from: governor })
+
+    assert.equal(
+      (await validator.reports(ID)).metaEvidenceID.toNumber(),
+      0,
+      'The first report should keep the initial meta evidence'
+    )
+    assert.equal(
+      (await validator.reports(ID2)).metaEvidenceID.toNumber(),
+      1,
+      'The second report should use the updated meta evidence'
+    )
+
+    // Each dispute references the meta evidence of its report.
+    for (const [reportID, metaEvidenceID] of [
+      [ID, 0],
+      [ID2, 1]
+    ]) {
+      await validator.challengeReport(reportID, FAILURE, '', {
+        from: challenger,
+        value: deposit
+      })
+      const txConfirm = await validator.confirmReport(reportID, '', {
+        from: supporter,
+        value: deposit
+      })
+      assert.equal(
+        txConfirm.logs[3].args._metaEvidenceID.toNumber(),
+        metaEvidenceID,
+        'The dispute has wrong meta evidence ID'
+      )
+    }
+  })
 })